@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+import { mapComponents } from '../config.js';
+import { linearGamutToColor } from '../utils.js';
+
+export class GamutHull {
+    /**
+     * the boundary of an RGB gamut drawn in the active colour space, either as a translucent surface
+     * coloured by its own colours or as a wireframe
+     *
+     * the surface of the RGB cube is sampled as a grid on each of its six faces and every sample is run
+     * through the same mapping as getPosition, so the hull lines up with the instances in any space.
+     * register it with PointCloud.addOverlay to follow colour space morphs and the scale slider;
+     * positions are only computed while the hull is visible
+     * @param {THREE.Scene} scene - the Three.js scene to add the hull to
+     * @param {string} gamut - key of rgbGamuts in utils.js
+     * @param {Object} options - { wireframe, color (wireframe line colour), segments (grid cells per face edge), opacity }
+     */
+    constructor(scene, gamut, options = {}) {
+        this.scene = scene;
+        this.gamut = gamut;
+        this.wireframe = !!options.wireframe;
+        this.segments = options.segments || (this.wireframe ? 12 : 24);
+
+        this.colors = null;
+        this.from = null;
+        this.to = null;
+        this.space = null;
+        this.dirty = true;
+        this.morph = 1;
+        this.scale = 1;
+        // morph value the position buffer was last written for, NaN when it is stale
+        this.writtenMorph = NaN;
+
+        this.geometry = new THREE.BufferGeometry();
+
+        if (this.wireframe) {
+            this.material = new THREE.LineBasicMaterial({
+                color: options.color !== undefined ? options.color : 0xffffff,
+                transparent: true,
+                opacity: options.opacity !== undefined ? options.opacity : 0.3,
+                depthWrite: false
+            });
+            this.object = new THREE.LineSegments(this.geometry, this.material);
+        } else {
+            this.material = new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: options.opacity !== undefined ? options.opacity : 0.3,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.object = new THREE.Mesh(this.geometry, this.material);
+        }
+
+        // drawn after the opaque instances so they show through
+        this.object.renderOrder = 1;
+        this.object.frustumCulled = false;
+        this.object.visible = false;
+        this.scene.add(this.object);
+    }
+
+    /**
+     * shows or hides the hull, sampling it the first time it is shown
+     * @param {boolean} visible - whether to show the hull
+     */
+    setVisible(visible) {
+        this.object.visible = visible;
+        if (!visible) return;
+
+        if (!this.colors) this._build();
+        if (this.dirty && this.space) this.jumpTo(this.space);
+        this.place(this.morph, this.scale);
+    }
+
+    /**
+     * sets the hull's opacity
+     * @param {number} opacity - 0..1
+     */
+    setOpacity(opacity) {
+        this.material.opacity = Math.min(1, Math.max(0, opacity));
+    }
+
+    /**
+     * moves the hull straight to its shape in a space
+     * @param {Object} space - colour space object (see config.js)
+     */
+    jumpTo(space) {
+        this.space = space;
+        if (!this.object.visible || !this.colors) {
+            this.dirty = true;
+            return;
+        }
+
+        this._layout(space, this.to);
+        this.from.set(this.to);
+        this.dirty = false;
+        this.writtenMorph = NaN;
+    }
+
+    /**
+     * starts following a morph into another space from the hull's current shape
+     * @param {Object} space - colour space object (see config.js)
+     * @param {number} morph - progress of the morph that is being replaced, 0..1
+     */
+    retarget(space, morph) {
+        if (!this.object.visible || !this.colors || this.dirty) {
+            this.jumpTo(space);
+            return;
+        }
+
+        const from = this.from;
+        const to = this.to;
+        for (let i = 0; i < from.length; i++) from[i] += (to[i] - from[i]) * morph;
+
+        this._layout(space, to);
+        this.space = space;
+        this.writtenMorph = NaN;
+    }
+
+    /**
+     * places the hull along the morph
+     * @param {number} morph - eased morph progress, 0..1
+     * @param {number} scale - global scale
+     */
+    place(morph, scale) {
+        this.morph = morph;
+        this.scale = scale;
+        this.object.scale.setScalar(scale);
+        if (!this.object.visible || !this.colors || morph === this.writtenMorph) return;
+
+        this.writtenMorph = morph;
+        const attribute = this.geometry.getAttribute('position');
+        const out = attribute.array;
+        const from = this.from;
+        const to = this.to;
+        for (let i = 0; i < out.length; i++) out[i] = from[i] + (to[i] - from[i]) * morph;
+
+        attribute.needsUpdate = true;
+    }
+
+    /**
+     * samples the cube surface: a (segments + 1)² grid of colours per face, with triangle or grid line indices
+     */
+    _build() {
+        const n = this.segments;
+        const side = n + 1;
+        const colors = [];
+        const indices = [];
+        const vertexColors = [];
+        const helper = new THREE.Color();
+
+        // samples are spaced evenly in gamma encoded values, which reads more evenly than linear
+        const decode = (t) => t <= 0.04045 ? t / 12.92 : Math.pow((t + 0.055) / 1.055, 2.4);
+
+        for (let axis = 0; axis < 3; axis++) {
+            for (const value of [0, 1]) {
+                const base = colors.length;
+
+                for (let i = 0; i <= n; i++) {
+                    for (let j = 0; j <= n; j++) {
+                        const rgb = [0, 0, 0];
+                        rgb[axis] = value;
+                        rgb[(axis + 1) % 3] = decode(i / n);
+                        rgb[(axis + 2) % 3] = decode(j / n);
+
+                        const color = linearGamutToColor(this.gamut, rgb[0], rgb[1], rgb[2]);
+                        colors.push(color);
+
+                        helper.set(color.hex);
+                        vertexColors.push(helper.r, helper.g, helper.b);
+                    }
+                }
+
+                for (let i = 0; i <= n; i++) {
+                    for (let j = 0; j <= n; j++) {
+                        const v = base + i * side + j;
+                        if (this.wireframe) {
+                            if (j < n) indices.push(v, v + 1);
+                            if (i < n) indices.push(v, v + side);
+                        } else if (i < n && j < n) {
+                            indices.push(v, v + side, v + 1, v + 1, v + side, v + side + 1);
+                        }
+                    }
+                }
+            }
+        }
+
+        this.colors = colors;
+        this.from = new Float32Array(colors.length * 3);
+        this.to = new Float32Array(colors.length * 3);
+
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(colors.length * 3), 3));
+        if (!this.wireframe) this.geometry.setAttribute('color', new THREE.Float32BufferAttribute(vertexColors, 3));
+        this.geometry.setIndex(indices);
+    }
+
+    /**
+     * writes every sample's unscaled position in a space
+     */
+    _layout(space, out) {
+        for (let i = 0; i < this.colors.length; i++) {
+            const p = mapComponents(space, space.components(this.colors[i]));
+            out[i * 3] = p.x;
+            out[i * 3 + 1] = p.y;
+            out[i * 3 + 2] = p.z;
+        }
+    }
+}
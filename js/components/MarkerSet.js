@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { mapComponents } from '../config.js';
+
+export class MarkerSet {
+    /**
+     * a handful of colours drawn as marker spheres at their positions in the active colour space,
+     * optionally joined by a line. register it with PointCloud.addOverlay so it follows colour space
+     * morphs and the scale slider the same way the instances do
+     * @param {THREE.Scene} scene - the Three.js scene to add the markers to
+     * @param {Object} options - { coreRadius, cageRadius (0 for no cage), lineColor, lineOpacity }
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.colors = [];
+        this.connect = null;
+        this.space = null;
+        this.morph = 1;
+        this.scale = 1;
+
+        // unscaled positions at the start and end of the current morph
+        this.from = [];
+        this.to = [];
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.coreGeometry = new THREE.SphereGeometry(options.coreRadius || 0.006, 16, 12);
+        this.cageGeometry = options.cageRadius
+            ? new THREE.EdgesGeometry(new THREE.OctahedronGeometry(options.cageRadius))
+            : null;
+        this.cageMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
+        this.lineMaterial = new THREE.LineBasicMaterial({
+            color: options.lineColor !== undefined ? options.lineColor : 0xffffff,
+            transparent: true,
+            opacity: options.lineOpacity !== undefined ? options.lineOpacity : 0.6
+        });
+
+        this.markers = [];
+        this.line = null;
+    }
+
+    /**
+     * replaces the marked colours
+     * @param {Array<Object>} colors - colour objects shaped like the dataset entries
+     * @param {string|null} connect - 'open' to join them in order, 'closed' to also join the last to the first, null for no line
+     */
+    setColors(colors, connect = null) {
+        this._clearObjects();
+
+        this.colors = colors.slice();
+        this.connect = colors.length > 1 ? connect : null;
+
+        for (const color of this.colors) {
+            const marker = new THREE.Group();
+            const core = new THREE.Mesh(this.coreGeometry, new THREE.MeshBasicMaterial({ color: color.hex }));
+            marker.add(core);
+            if (this.cageGeometry) marker.add(new THREE.LineSegments(this.cageGeometry, this.cageMaterial));
+
+            this.markers.push(marker);
+            this.group.add(marker);
+        }
+
+        if (this.connect) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.colors.length * 3), 3));
+            this.line = this.connect === 'closed'
+                ? new THREE.LineLoop(geometry, this.lineMaterial)
+                : new THREE.Line(geometry, this.lineMaterial);
+            this.line.frustumCulled = false;
+            this.group.add(this.line);
+        }
+
+        if (this.space) this.jumpTo(this.space);
+        this.place(this.morph, this.scale);
+    }
+
+    /**
+     * removes every marker
+     */
+    clear() {
+        this.setColors([]);
+    }
+
+    /**
+     * starts following a morph into another space from wherever the markers are now
+     * @param {Object} space - colour space object (see config.js)
+     * @param {number} morph - progress of the morph that is being replaced, 0..1
+     */
+    retarget(space, morph) {
+        for (let i = 0; i < this.colors.length; i++) {
+            this.from[i].lerp(this.to[i], morph);
+            this._positionIn(space, this.colors[i], this.to[i]);
+        }
+        this.space = space;
+    }
+
+    /**
+     * moves the markers straight to their positions in a space
+     * @param {Object} space - colour space object (see config.js)
+     */
+    jumpTo(space) {
+        this.from.length = this.colors.length;
+        this.to.length = this.colors.length;
+
+        for (let i = 0; i < this.colors.length; i++) {
+            if (!this.to[i]) this.to[i] = new THREE.Vector3();
+            if (!this.from[i]) this.from[i] = new THREE.Vector3();
+            this._positionIn(space, this.colors[i], this.to[i]);
+            this.from[i].copy(this.to[i]);
+        }
+        this.space = space;
+    }
+
+    /**
+     * places the markers along the morph
+     * @param {number} morph - eased morph progress, 0..1
+     * @param {number} scale - global scale
+     */
+    place(morph, scale) {
+        this.morph = morph;
+        this.scale = scale;
+
+        const positions = this.line ? this.line.geometry.getAttribute('position') : null;
+
+        for (let i = 0; i < this.markers.length && i < this.to.length; i++) {
+            const position = this.markers[i].position
+                .lerpVectors(this.from[i], this.to[i], morph)
+                .multiplyScalar(scale);
+            if (positions) positions.setXYZ(i, position.x, position.y, position.z);
+        }
+
+        if (positions) positions.needsUpdate = true;
+    }
+
+    _positionIn(space, color, target) {
+        const p = mapComponents(space, space.components(color));
+        return target.set(p.x, p.y, p.z);
+    }
+
+    _clearObjects() {
+        for (const marker of this.markers) {
+            marker.children[0].material.dispose();
+            this.group.remove(marker);
+        }
+        this.markers = [];
+
+        if (this.line) {
+            this.line.geometry.dispose();
+            this.group.remove(this.line);
+            this.line = null;
+        }
+    }
+}
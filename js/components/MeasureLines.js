@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { mapComponents } from '../config.js';
+
+export class MeasureLines {
+    /**
+     * lines between every pair of a few colours, each labelled with the colours' distance
+     *
+     * labels are sprites drawn on a canvas once per pair; they keep a constant size on screen and
+     * are never hidden by the instances. register it with PointCloud.addOverlay so the lines follow
+     * colour space morphs and the scale slider
+     * @param {THREE.Scene} scene - the Three.js scene to add the lines to
+     * @param {Object} options - { maxColors (no lines above this many colours), lineColor, lineOpacity, labelHeight (fraction of the view) }
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.maxColors = options.maxColors || 8;
+        this.labelHeight = options.labelHeight || 0.035;
+
+        this.colors = [];
+        this.pairs = [];
+        this.space = null;
+        this.morph = 1;
+        this.scale = 1;
+
+        // unscaled positions at the start and end of the current morph
+        this.from = [];
+        this.to = [];
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.lineMaterial = new THREE.LineBasicMaterial({
+            color: options.lineColor !== undefined ? options.lineColor : 0xffffff,
+            transparent: true,
+            opacity: options.lineOpacity !== undefined ? options.lineOpacity : 0.7
+        });
+
+        this.lines = null;
+        this.labels = [];
+        this.start = new THREE.Vector3();
+        this.end = new THREE.Vector3();
+    }
+
+    /**
+     * replaces the measured colours
+     * @param {Array<Object>} colors - colour objects shaped like the dataset entries
+     * @param {Object} metric - entry of colorDistances the labels show
+     */
+    setColors(colors, metric) {
+        this._clearObjects();
+
+        this.colors = colors.length <= this.maxColors ? colors.slice() : [];
+        this.pairs = [];
+        for (let i = 0; i < this.colors.length; i++) {
+            for (let j = i + 1; j < this.colors.length; j++) this.pairs.push([i, j]);
+        }
+
+        if (this.pairs.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.pairs.length * 6), 3));
+            this.lines = new THREE.LineSegments(geometry, this.lineMaterial);
+            this.lines.frustumCulled = false;
+            this.group.add(this.lines);
+        }
+
+        for (const [i, j] of this.pairs) {
+            const distance = metric.fn(this.colors[i], this.colors[j]);
+            const label = this._createLabel(`${metric.name} ${distance.toFixed(metric.precision)}`);
+            this.labels.push(label);
+            this.group.add(label);
+        }
+
+        if (this.space) this.jumpTo(this.space);
+        this.place(this.morph, this.scale);
+    }
+
+    /**
+     * removes every line
+     */
+    clear() {
+        this.setColors([], null);
+    }
+
+    /**
+     * starts following a morph into another space from wherever the lines are now
+     * @param {Object} space - colour space object (see config.js)
+     * @param {number} morph - progress of the morph that is being replaced, 0..1
+     */
+    retarget(space, morph) {
+        for (let i = 0; i < this.colors.length; i++) {
+            this.from[i].lerp(this.to[i], morph);
+            this._positionIn(space, this.colors[i], this.to[i]);
+        }
+        this.space = space;
+    }
+
+    /**
+     * moves the lines straight to their positions in a space
+     * @param {Object} space - colour space object (see config.js)
+     */
+    jumpTo(space) {
+        this.from.length = this.colors.length;
+        this.to.length = this.colors.length;
+
+        for (let i = 0; i < this.colors.length; i++) {
+            if (!this.to[i]) this.to[i] = new THREE.Vector3();
+            if (!this.from[i]) this.from[i] = new THREE.Vector3();
+            this._positionIn(space, this.colors[i], this.to[i]);
+            this.from[i].copy(this.to[i]);
+        }
+        this.space = space;
+    }
+
+    /**
+     * places the lines and labels along the morph
+     * @param {number} morph - eased morph progress, 0..1
+     * @param {number} scale - global scale
+     */
+    place(morph, scale) {
+        this.morph = morph;
+        this.scale = scale;
+        if (!this.lines || this.to.length < this.colors.length) return;
+
+        const positions = this.lines.geometry.getAttribute('position');
+        const a = this.start;
+        const b = this.end;
+
+        this.pairs.forEach(([i, j], p) => {
+            a.lerpVectors(this.from[i], this.to[i], morph).multiplyScalar(scale);
+            b.lerpVectors(this.from[j], this.to[j], morph).multiplyScalar(scale);
+            positions.setXYZ(p * 2, a.x, a.y, a.z);
+            positions.setXYZ(p * 2 + 1, b.x, b.y, b.z);
+            this.labels[p].position.addVectors(a, b).multiplyScalar(0.5);
+        });
+
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * draws a label's text onto a canvas backed sprite
+     * @param {string} text - label text
+     * @returns {THREE.Sprite} sprite sized to keep its aspect ratio
+     */
+    _createLabel(text) {
+        const fontSize = 40;
+        const padding = 12;
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        const font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+
+        context.font = font;
+        canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+        canvas.height = fontSize + padding * 2;
+
+        // resizing the canvas resets its state
+        context.font = font;
+        context.fillStyle = 'rgba(0, 0, 0, 0.65)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#fff';
+        context.textBaseline = 'middle';
+        context.fillText(text, padding, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            depthTest: false,
+            sizeAttenuation: false
+        }));
+        sprite.scale.set(this.labelHeight * canvas.width / canvas.height, this.labelHeight, 1);
+        sprite.renderOrder = 2;
+        return sprite;
+    }
+
+    _positionIn(space, color, target) {
+        const p = mapComponents(space, space.components(color));
+        return target.set(p.x, p.y, p.z);
+    }
+
+    _clearObjects() {
+        for (const label of this.labels) {
+            label.material.map.dispose();
+            label.material.dispose();
+            this.group.remove(label);
+        }
+        this.labels = [];
+
+        if (this.lines) {
+            this.lines.geometry.dispose();
+            this.group.remove(this.lines);
+            this.lines = null;
+        }
+    }
+}
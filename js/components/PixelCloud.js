@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+import { mapComponents } from '../config.js';
+
+export class PixelCloud {
+    /**
+     * a faint secondary cloud of loose colours, e.g. pixels sampled from an image, drawn as points
+     *
+     * points are positioned on the CPU like the other overlays, so keep the count to a few thousand.
+     * register it with PointCloud.addOverlay so the points follow colour space morphs and the scale slider
+     * @param {THREE.Scene} scene - the Three.js scene to add the points to
+     * @param {Object} options - { size (world units), opacity }
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.colors = [];
+        this.space = null;
+        this.morph = 1;
+        this.scale = 1;
+
+        // unscaled positions at the start and end of the current morph
+        this.from = new Float32Array(0);
+        this.to = new Float32Array(0);
+
+        this.material = new THREE.PointsMaterial({
+            size: options.size || 0.005,
+            vertexColors: true,
+            transparent: true,
+            opacity: options.opacity !== undefined ? options.opacity : 0.35,
+            depthWrite: false
+        });
+
+        this.points = null;
+        this.colorTransform = null;
+        this.colorHelper = new THREE.Color();
+    }
+
+    /**
+     * replaces the colours in the cloud
+     * @param {Array<Object>} colors - colour objects shaped like the dataset entries
+     */
+    setColors(colors) {
+        this._clearObjects();
+
+        this.colors = colors.slice();
+        this.from = new Float32Array(this.colors.length * 3);
+        this.to = new Float32Array(this.colors.length * 3);
+        if (this.colors.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.colors.length * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.colors.length * 3), 3));
+
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+        this._applyColors();
+
+        if (this.space) this.jumpTo(this.space);
+        this.place(this.morph, this.scale);
+    }
+
+    /**
+     * recolours the points, e.g. to simulate a colour vision deficiency
+     * @param {Function|null} transform - (r, g, b) => { r, g, b } on sRGB 0-255 values, or null for the true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._applyColors();
+    }
+
+    /**
+     * removes every point
+     */
+    clear() {
+        this.setColors([]);
+    }
+
+    /**
+     * starts following a morph into another space from wherever the points are now
+     * @param {Object} space - colour space object (see config.js)
+     * @param {number} morph - progress of the morph that is being replaced, 0..1
+     */
+    retarget(space, morph) {
+        for (let i = 0; i < this.from.length; i++) {
+            this.from[i] += (this.to[i] - this.from[i]) * morph;
+        }
+        this._positionAll(space, this.to);
+        this.space = space;
+    }
+
+    /**
+     * moves the points straight to their positions in a space
+     * @param {Object} space - colour space object (see config.js)
+     */
+    jumpTo(space) {
+        this._positionAll(space, this.to);
+        this.from.set(this.to);
+        this.space = space;
+    }
+
+    /**
+     * places the points along the morph
+     * @param {number} morph - eased morph progress, 0..1
+     * @param {number} scale - global scale
+     */
+    place(morph, scale) {
+        this.morph = morph;
+        this.scale = scale;
+        if (!this.points) return;
+
+        const positions = this.points.geometry.getAttribute('position');
+        const out = positions.array;
+        for (let i = 0; i < out.length; i++) {
+            out[i] = (this.from[i] + (this.to[i] - this.from[i]) * morph) * scale;
+        }
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * writes every point's display colour, through the colour transform if there is one
+     */
+    _applyColors() {
+        if (!this.points) return;
+
+        const attribute = this.points.geometry.getAttribute('color');
+        this.colors.forEach((color, i) => {
+            if (this.colorTransform) {
+                const c = this.colorTransform(color.r, color.g, color.b);
+                this.colorHelper.setRGB(c.r / 255, c.g / 255, c.b / 255, THREE.SRGBColorSpace);
+            } else {
+                this.colorHelper.set(color.hex);
+            }
+            this.colorHelper.toArray(attribute.array, i * 3);
+        });
+        attribute.needsUpdate = true;
+    }
+
+    _positionAll(space, target) {
+        this.colors.forEach((color, i) => {
+            const p = mapComponents(space, space.components(color));
+            target[i * 3] = p.x;
+            target[i * 3 + 1] = p.y;
+            target[i * 3 + 2] = p.z;
+        });
+    }
+
+    _clearObjects() {
+        if (!this.points) return;
+
+        this.points.geometry.dispose();
+        this.scene.remove(this.points);
+        this.points = null;
+    }
+}
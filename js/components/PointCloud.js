@@ -1,9 +1,38 @@
 import * as THREE from 'three';
-import { indexToColor } from '../utils.js';
+import { indexToColor, easings, regionContains } from '../utils.js';
+import { mapComponents } from '../config.js';
+import { SpatialIndex } from '../data/SpatialIndex.js';
+import { MarkerSet } from './MarkerSet.js';
+
+// mapping used for snapshotted positions, which are already unscaled XYZ
+const IDENTITY_MAPPING = {
+    offset: [0, 0, 0],
+    axisScale: [1, 1, 1],
+    cylindrical: false,
+    cone: false
+};
+
+// mirrors mapComponents() in config.js
+const MAP_SPACE_GLSL = `
+    vec3 mapSpace(vec3 c, vec3 offset, vec3 axisScale, vec2 cylinder) {
+        if (cylinder.x > 0.5) {
+            float h = radians(c.z);
+            float r = c.y * axisScale.y * mix(1.0, c.x, cylinder.y);
+            return vec3(r * cos(h), (c.x + offset.x) * axisScale.x, r * sin(h));
+        }
+        return (c + offset) * axisScale;
+    }
+`;
 
 export class PointCloud {
     /**
      * manages instanced meshes for color data visualization and GPU picking
+     *
+     * each instance only carries its raw colour components, so the colour space mapping, global scale,
+     * and selection pop are all resolved in the vertex shader from uniforms. switching space or
+     * dragging the scale slider never touches per-instance buffers. highlighted instances (e.g. palette
+     * members), dimmed instances (e.g. failing a contrast check), hidden instances (e.g. filtered out) and
+     * outlined instances (e.g. imported colours) are marked by per-instance flags instead
      * @param {THREE.Scene} scene - the Three.js scene to add meshes to
      */
     constructor(scene, camera) {
@@ -11,47 +40,156 @@ export class PointCloud {
         this.camera = camera;
 
         this.data = [];
+        // colours the instances are positioned from, normally the data itself (see setPositionColors)
+        this.positionData = [];
+        this.colorTransform = null;
         this.mesh = null;
         this.pickingMesh = null;
+        this.geometry = null;
+        // instances the buffers have room for; mesh.count says how many are drawn
+        this.capacity = 0;
 
-        this.dummy = new THREE.Object3D();
         this.colorHelper = new THREE.Color();
 
         this.selectedIndex = -1;
-        this.hideUnflagged = false;
         this.currentSpace = null;
-
         this.sphereRadius = 0.004;
+
+        // component attributes and spatial indices are built once per space, then reused
+        this.componentAttributes = new Map();
+        this.spatialIndices = new Map();
+        this.snapshotAttribute = null;
+
+        // optionally builds component attributes elsewhere, e.g. in a worker (see setComponentProvider).
+        // only the most recent request is kept, older ones are cancelled
+        this.componentProvider = null;
+        this.pendingComponents = null;
+
+        // named sets of highlighted, dimmed, hidden and outlined instances, merged into the aHighlight, aDim,
+        // aHidden and aOutline attributes
+        this.highlightGroups = new Map();
+        this.dimGroups = new Map();
+        this.hiddenGroups = new Map();
+        this.outlineGroups = new Map();
+
+        // shared by the visual and picking materials, so picking always matches what's drawn
+        this.uniforms = {
+            uNear: { value: this.camera ? this.camera.near : 0.01 },
+            uSphereRadius: { value: this.sphereRadius },
+            uScale: { value: 1 },
+            uMorph: { value: 1 },
+            uSelected: { value: -1 },
+            uSelectedScale: { value: 2.4 },
+            uHighlightScale: { value: 1.8 },
+            uDimScale: { value: 0.5 },
+            uGhostColor: { value: new THREE.Color() },
+            uGhostMix: { value: 0.85 },
+            uOutlineColor: { value: new THREE.Color(0xffffff) },
+            uFromOffset: { value: new THREE.Vector3() },
+            uFromAxisScale: { value: new THREE.Vector3(1, 1, 1) },
+            uFromCylinder: { value: new THREE.Vector2() },
+            uToOffset: { value: new THREE.Vector3() },
+            uToAxisScale: { value: new THREE.Vector3(1, 1, 1) },
+            uToCylinder: { value: new THREE.Vector2() }
+        };
+
+        this.morphDuration = 1.2;
+        this.morphEasing = 'easeInOutCubic';
+        this.morphElapsed = 0;
+        this.isMorphing = false;
+        this.fromSpace = null;
+
+        this.queryColor = null;
+        this.queryMarker = new MarkerSet(scene, {
+            coreRadius: this.sphereRadius * 1.5,
+            cageRadius: this.sphereRadius * 4
+        });
+
+        // marker sets and other objects that follow the instances through morphs and scale changes
+        this.overlays = [this.queryMarker];
     }
 
     /**
-     * patches a material so that any instance whose sphere intersects the
-     * camera's near clip plane is discarded entirely, instead of rendering
-     * a clipped/open sphere
+     * patches an instanced material so that:
+     * - each instance is positioned from its raw components by the from/to space mappings,
+     *   blended by uMorph and multiplied by uScale
+     * - the instance scale comes from the selection uniform and the per-instance flags; highlighted
+     *   instances are enlarged and shown even when a filter would hide them
+     * - with `visual`, dimmed instances (which also shrink) fade towards uGhostColor (the background), and
+     *   outlined instances get a rim of uOutlineColor. the picking material leaves colours alone so indices still decode
+     * - any instance whose sphere intersects the camera's near clip plane is discarded entirely,
+     *   instead of rendering a clipped/open sphere
      * @param {THREE.Material} material - the instanced material to patch
+     * @param {boolean} visual - whether to apply the dim and outline colouring
      */
-    _applyNearPlaneCull(material) {
+    _patchInstanceShader(material, visual = false) {
+        // also read by the picker to tell whether the instances moved since its last pick
+        material.userData.uniforms = this.uniforms;
         material.onBeforeCompile = (shader) => {
-            shader.uniforms.uNear = { value: this.camera ? this.camera.near : 0.01 };
-            shader.uniforms.uSphereRadius = { value: this.sphereRadius };
+            Object.assign(shader.uniforms, this.uniforms);
 
             shader.vertexShader = `
                 uniform float uNear;
                 uniform float uSphereRadius;
+                uniform float uScale;
+                uniform float uMorph;
+                uniform float uSelected;
+                uniform float uSelectedScale;
+                uniform float uHighlightScale;
+                uniform float uDimScale;
+                uniform vec3 uFromOffset;
+                uniform vec3 uFromAxisScale;
+                uniform vec2 uFromCylinder;
+                uniform vec3 uToOffset;
+                uniform vec3 uToAxisScale;
+                uniform vec2 uToCylinder;
+                attribute vec3 aFrom;
+                attribute vec3 aTo;
+                attribute float aIndex;
+                attribute float aHidden;
+                attribute float aHighlight;
+                attribute float aDim;
+                attribute float aOutline;
                 varying float vClipDiscard;
+                varying float vDim;
+                varying float vOutline;
+                varying float vRim;
+                ${MAP_SPACE_GLSL}
             ` + shader.vertexShader;
 
             shader.vertexShader = shader.vertexShader.replace(
                 '#include <project_vertex>',
-                `#include <project_vertex>
+                `vec4 mvPosition = vec4(transformed, 1.0);
                 #ifdef USE_INSTANCING
-                    vec4 centerView = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
-                    float instScale = length(instanceMatrix[0].xyz);
+                    vec3 fromPos = mapSpace(aFrom, uFromOffset, uFromAxisScale, uFromCylinder);
+                    vec3 toPos = mapSpace(aTo, uToOffset, uToAxisScale, uToCylinder);
+                    vec3 instanceOffset = mix(fromPos, toPos, uMorph) * uScale;
+
+                    float instScale = aHidden > 0.5 ? 0.0 : 1.0;
+                    if (aDim > 0.5) instScale *= uDimScale;
+                    if (aHighlight > 0.5) instScale = uHighlightScale;
+                    vDim = aDim;
+                    if (abs(aIndex - uSelected) < 0.5) {
+                        instScale = uSelectedScale;
+                        vDim = 0.0;
+                    }
+
+                    mvPosition.xyz = mvPosition.xyz * instScale + instanceOffset;
+
+                    vec4 centerView = modelViewMatrix * vec4(instanceOffset, 1.0);
                     float effRadius = uSphereRadius * instScale;
                     vClipDiscard = (centerView.z + effRadius > -uNear) ? 1.0 : 0.0;
+                    vOutline = aOutline;
                 #else
                     vClipDiscard = 0.0;
-                #endif`
+                    vDim = 0.0;
+                    vOutline = 0.0;
+                #endif
+                mvPosition = modelViewMatrix * mvPosition;
+                gl_Position = projectionMatrix * mvPosition;
+
+                // 0 where the sphere faces the camera, 1 at its silhouette
+                vRim = 1.0 - abs(dot(normalize(normalMatrix * normal), normalize(-mvPosition.xyz)));`
             );
 
             shader.fragmentShader = `varying float vClipDiscard;\n` + shader.fragmentShader;
@@ -60,122 +198,549 @@ export class PointCloud {
                 'void main() {\n\tif (vClipDiscard > 0.5) discard;'
             );
 
+            if (visual) {
+                shader.fragmentShader = `uniform vec3 uGhostColor;
+                    uniform float uGhostMix;
+                    uniform vec3 uOutlineColor;
+                    varying float vDim;
+                    varying float vOutline;
+                    varying float vRim;
+                ` + shader.fragmentShader;
+                shader.fragmentShader = shader.fragmentShader.replace(
+                    '#include <tonemapping_fragment>',
+                    `gl_FragColor.rgb = mix(gl_FragColor.rgb, uOutlineColor, vOutline * smoothstep(0.55, 0.7, vRim));
+                    gl_FragColor.rgb = mix(gl_FragColor.rgb, uGhostColor, vDim * uGhostMix);
+                    #include <tonemapping_fragment>`
+                );
+            }
+
             material.userData.shader = shader;
         };
     }
 
     /**
-     * initializes the point cloud with colour data, creating both visual and picking meshes
-     * @param {Array} colorData - array of colour objects to visualize
+     * builds the instances for a dataset. when the dataset only adds colours after the ones already shown
+     * (e.g. while it streams in, or after a list was imported) the new colours are appended instead,
+     * keeping the current space, selection and flags; a running morph jumps to its end.
+     * groups are kept either way, so callers should set any group whose indices changed
+     * @param {Array} colorData - colour objects
      */
     init(colorData) {
+        if (this.mesh && this._extendsData(colorData)) {
+            if (colorData.length > this.data.length) this._append(colorData);
+            return;
+        }
+
+        this._disposeMeshes();
+
         this.data = colorData;
+        this.positionData = colorData;
+        this._buildMeshes(colorData.length);
+
+        console.log(`PointCloud created with ${colorData.length} instances.`);
+    }
+
+    /**
+     * whether a dataset starts with exactly the colours already shown, in order
+     * @param {Array} colorData - colour objects
+     * @returns {boolean}
+     */
+    _extendsData(colorData) {
+        if (colorData.length < this.data.length) return false;
+        for (let i = 0; i < this.data.length; i++) {
+            if (colorData[i] !== this.data[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * adds the colours after the current ones, growing the buffers (to at least double) when they are full
+     * @param {Array} colorData - the current colours followed by the new ones
+     */
+    _append(colorData) {
+        const from = this.data.length;
         const count = colorData.length;
+        const positionedByData = this.positionData === this.data;
+
+        if (this.isMorphing) this._finishMorph();
+
+        this.data = colorData;
+        // colours positioned elsewhere (see setPositionColors) keep that; the new ones go where they are
+        this.positionData = positionedByData ? colorData : this.positionData.concat(colorData.slice(from));
+        this.spatialIndices.clear();
+        this.snapshotAttribute = null;
+
+        // other spaces are built again when they are next shown
+        const space = this.currentSpace;
+        const current = space ? this.componentAttributes.get(space) : null;
+        this.componentAttributes.clear();
+
+        if (count > this.capacity) {
+            this._buildMeshes(Math.max(count, this.capacity * 2));
+        } else {
+            this.mesh.count = count;
+            this.pickingMesh.count = count;
+            this._applyInstanceColors(from);
+        }
+
+        if (!space) return;
+
+        const array = new Float32Array(count * 3);
+        if (current) array.set(current.array.subarray(0, from * 3));
+        for (let i = current ? from : 0; i < count; i++) {
+            const c = space.components(this.positionData[i]);
+            array[i * 3] = c[0];
+            array[i * 3 + 1] = c[1];
+            array[i * 3 + 2] = c[2];
+        }
+
+        const attribute = new THREE.InstancedBufferAttribute(array, 3);
+        this.componentAttributes.set(space, attribute);
+        this._bindEndpoint('To', space, attribute);
+        this._bindEndpoint('From', space, attribute);
+        this.fromSpace = space;
+    }
+
+    /**
+     * (re)creates the geometry, visual and picking meshes with room for `capacity` instances, of which
+     * the first data.length are drawn. per-space caches are left alone; the caller binds a space
+     * @param {number} capacity - number of instances the buffers hold
+     */
+    _buildMeshes(capacity) {
+        this._removeMeshes();
 
         const geometry = new THREE.SphereGeometry(this.sphereRadius, 16, 12);
+        this.geometry = geometry;
+        this.capacity = capacity;
+
+        const indices = new Float32Array(capacity);
+        for (let i = 0; i < capacity; i++) indices[i] = i;
+        geometry.setAttribute('aIndex', new THREE.InstancedBufferAttribute(indices, 1));
+        geometry.setAttribute('aHighlight', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('aDim', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('aHidden', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+        geometry.setAttribute('aOutline', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+        this._updateHighlightAttribute();
+        this._updateMaskAttribute('aDim', this.dimGroups);
+        this._updateMaskAttribute('aHidden', this.hiddenGroups);
+        this._updateMaskAttribute('aOutline', this.outlineGroups);
+
+        // placeholders until the first updatePositions binds a space
+        const empty = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        geometry.setAttribute('aFrom', empty);
+        geometry.setAttribute('aTo', empty);
 
         const material = new THREE.MeshBasicMaterial();
-        this._applyNearPlaneCull(material);
-        this.mesh = new THREE.InstancedMesh(geometry, material, count);
+        this._patchInstanceShader(material, true);
+        this.mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        this.mesh.count = this.data.length;
         this.mesh.frustumCulled = false;
         this.scene.add(this.mesh);
 
         const pickingMaterial = new THREE.MeshBasicMaterial();
-        this._applyNearPlaneCull(pickingMaterial);
-        this.pickingMesh = new THREE.InstancedMesh(geometry, pickingMaterial, count);
+        this._patchInstanceShader(pickingMaterial);
+        this.pickingMesh = new THREE.InstancedMesh(geometry, pickingMaterial, capacity);
+        this.pickingMesh.count = this.data.length;
         this.pickingMesh.frustumCulled = false;
         this.pickingMesh.visible = false;
         this.scene.add(this.pickingMesh);
 
-        console.log(`PointCloud created with ${count} instances.`);
+        for (let i = 0; i < capacity; i++) {
+            this.pickingMesh.setColorAt(i, indexToColor(i, this.colorHelper));
+        }
+        this.pickingMesh.instanceColor.needsUpdate = true;
+
+        this._applyInstanceColors();
+    }
+
+    /**
+     * removes the meshes from the scene and frees their GPU resources
+     */
+    _removeMeshes() {
+        if (!this.mesh) return;
+
+        this.scene.remove(this.mesh);
+        this.scene.remove(this.pickingMesh);
+        this.mesh.material.dispose();
+        this.pickingMesh.material.dispose();
+        this.mesh.dispose();
+        this.pickingMesh.dispose();
+        this.geometry.dispose();
+
+        this.mesh = null;
+        this.pickingMesh = null;
+        this.geometry = null;
     }
 
     /**
-     * updates positions and scales for all instances based on colour space
-     * processes in chunks to prevent UI freezing during large updates
-     * @param {Object} colorSpace - colour space object with getPosition method
+     * removes the meshes along with every per-space cache.
+     * the next updatePositions binds its space from scratch
+     */
+    _disposeMeshes() {
+        this._cancelPendingComponents();
+        if (!this.mesh) return;
+
+        this._removeMeshes();
+        this.componentAttributes.clear();
+        this.spatialIndices.clear();
+        this.snapshotAttribute = null;
+        this.currentSpace = null;
+        this.fromSpace = null;
+        this.isMorphing = false;
+        this.uniforms.uMorph.value = 1;
+        this.selectIndex(-1);
+    }
+
+    /**
+     * moves every instance straight to its position in a colour space, without animating.
+     * calling it again with the current space only applies its new scale, which leaves a running morph alone
+     * @param {Object} colorSpace - colour space object (see config.js)
      * @param {Function} onProgress - callback for progress updates: (percent, message) => void
      */
     async updatePositions(colorSpace, onProgress) {
+        if (!this.mesh) return;
+        if (!(await this._prepareComponents(colorSpace, onProgress))) return;
+
+        this.uniforms.uScale.value = colorSpace.scale || 1;
+
+        if (colorSpace !== this.currentSpace || !this.isMorphing) {
+            if (onProgress) onProgress(70, `Preparing ${colorSpace.name}...`);
+            this._bindEndpoint('To', colorSpace, this._getComponentAttribute(colorSpace));
+            this._bindEndpoint('From', colorSpace, this._getComponentAttribute(colorSpace));
+            this.currentSpace = colorSpace;
+            this.fromSpace = colorSpace;
+            this._finishMorph();
+            this.overlays.forEach(overlay => overlay.jumpTo(colorSpace));
+        }
+
+        this._placeOverlays();
+    }
+
+    /**
+     * animates every instance from where it is now to its position in another colour space.
+     * the blend happens in the vertex shader, driven by update(). with a component provider the morph
+     * starts once the space's components are ready, unless another space was asked for meanwhile
+     * @param {Object} colorSpace - colour space object (see config.js)
+     */
+    async morphTo(colorSpace) {
+        if (!this.mesh) return;
+        if (!(await this._prepareComponents(colorSpace))) return;
+
+        if (this.morphDuration <= 0 || !this.currentSpace) {
+            this.updatePositions(colorSpace);
+            return;
+        }
+
+        if (this.isMorphing) {
+            // switching mid-morph: freeze the blended positions and morph on from there
+            this._bindSnapshot();
+        } else {
+            this._bindEndpoint('From', this.currentSpace, this._getComponentAttribute(this.currentSpace));
+            this.fromSpace = this.currentSpace;
+        }
+
+        this.overlays.forEach(overlay => overlay.retarget(colorSpace, this.uniforms.uMorph.value));
+
+        this._bindEndpoint('To', colorSpace, this._getComponentAttribute(colorSpace));
         this.currentSpace = colorSpace;
-        const count = this.data.length;
-        const chunkSize = 1000;
+        this.uniforms.uScale.value = colorSpace.scale || 1;
 
-        for (let i = 0; i < count; i++) {
-            const colorObj = this.data[i];
-            const pos = colorSpace.getPosition(colorObj);
+        this.morphElapsed = 0;
+        this.uniforms.uMorph.value = 0;
+        this.isMorphing = true;
 
-            this.dummy.position.set(pos.x, pos.y, pos.z);
-            this.dummy.quaternion.identity();
+        this._placeOverlays();
+    }
 
-            const scale = this._calculateScale(i, colorObj);
-            this.dummy.scale.set(scale, scale, scale);
+    /**
+     * sets how colour space switches are animated
+     * @param {number} duration - morph duration in seconds, 0 to jump
+     * @param {string} easing - key of the easings table in utils.js
+     */
+    setMorphOptions(duration, easing) {
+        if (typeof duration === 'number' && duration >= 0) this.morphDuration = duration;
+        if (easings[easing]) this.morphEasing = easing;
+    }
 
-            this.dummy.updateMatrix();
+    /**
+     * advances the colour space morph, called from the main animation loop each frame
+     * @param {number} deltaTime - time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isMorphing) return;
 
-            this.mesh.setMatrixAt(i, this.dummy.matrix);
-            this.colorHelper.set(colorObj.hex);
-            this.mesh.setColorAt(i, this.colorHelper);
+        this.morphElapsed += deltaTime;
+        const progress = Math.min(1, this.morphElapsed / this.morphDuration);
+        const ease = easings[this.morphEasing] || easings.linear;
+        this.uniforms.uMorph.value = ease(progress);
 
-            if (this.pickingMesh) {
-                this.pickingMesh.setMatrixAt(i, this.dummy.matrix);
-                this.pickingMesh.setColorAt(i, indexToColor(i));
-            }
+        if (progress >= 1) this._finishMorph();
+        this._placeOverlays();
+    }
 
-            if (i % chunkSize === 0) {
-                if (onProgress) {
-                    const percent = 70 + (i / count) * 30;
-                    onProgress(percent, `Updating positions... ${i}/${count}`);
-                }
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
+    /**
+     * snaps the morph to its end state
+     */
+    _finishMorph() {
+        if (this.isMorphing) {
+            this._bindEndpoint('From', this.currentSpace, this._getComponentAttribute(this.currentSpace));
+            this.fromSpace = this.currentSpace;
         }
+        this.uniforms.uMorph.value = 1;
+        this.isMorphing = false;
+    }
 
-        this.mesh.instanceMatrix.needsUpdate = true;
-        this.mesh.instanceColor.needsUpdate = true;
+    /**
+     * points one end of the morph at a component attribute and that space's mapping uniforms
+     * @param {string} end - 'From' or 'To'
+     * @param {Object} mapping - colour space, or any object with offset, axisScale, cylindrical and cone
+     * @param {THREE.InstancedBufferAttribute} attribute - per-instance components for the mapping
+     */
+    _bindEndpoint(end, mapping, attribute) {
+        this.geometry.setAttribute(end === 'From' ? 'aFrom' : 'aTo', attribute);
+        this.uniforms[`u${end}Offset`].value.fromArray(mapping.offset);
+        this.uniforms[`u${end}AxisScale`].value.fromArray(mapping.axisScale);
+        this.uniforms[`u${end}Cylinder`].value.set(mapping.cylindrical ? 1 : 0, mapping.cone ? 1 : 0);
+    }
+
+    /**
+     * sets where component attributes for spaces that haven't been shown yet come from.
+     * without a provider, or when it declines, they are built synchronously on first use
+     * @param {Function|null} provider - (colors, colorSpace, onProgress) => { promise, cancel }, where the promise
+     *     resolves to a Float32Array of x, y, z components per colour, or null to build them here
+     */
+    setComponentProvider(provider) {
+        this.componentProvider = provider;
+    }
+
+    /**
+     * makes sure a space's component attribute is cached, asking the component provider for it when there is one
+     * @param {Object} colorSpace - colour space object (see config.js)
+     * @param {Function} onProgress - optional callback for progress updates: (percent, message) => void
+     * @returns {Promise<boolean>} false when the request was superseded by another space or new data
+     */
+    async _prepareComponents(colorSpace, onProgress) {
+        const pending = this.pendingComponents;
+        if (pending && pending.space === colorSpace) {
+            // the same space is already on its way, follow that request
+            await pending.promise.catch(() => null);
+            return this.pendingComponents === null && this.mesh !== null && pending.finished;
+        }
 
-        if (this.pickingMesh) {
-            this.pickingMesh.instanceMatrix.needsUpdate = true;
-            this.pickingMesh.instanceColor.needsUpdate = true;
+        // whatever was asked for before is superseded
+        this._cancelPendingComponents();
+        if (this.componentAttributes.has(colorSpace) || !this.componentProvider) return true;
+
+        const positionData = this.positionData;
+        const job = this.componentProvider(positionData, colorSpace, onProgress);
+        const request = { space: colorSpace, cancel: job.cancel, promise: job.promise, finished: false };
+        this.pendingComponents = request;
+
+        let array;
+        try {
+            array = await job.promise;
+        } catch (e) {
+            if (e.cancelled) return false;
+            console.error(e);
+            array = null;
         }
+
+        if (this.pendingComponents !== request) return false;
+        this.pendingComponents = null;
+        request.finished = true;
+
+        // null means build it here, which _getComponentAttribute does on first use
+        if (array && positionData === this.positionData) {
+            this.componentAttributes.set(colorSpace, new THREE.InstancedBufferAttribute(array, 3));
+        }
+        return this.mesh !== null;
     }
 
     /**
-     * updates visibility by scaling instances without recalculating positions
-     * @param {boolean} hideUnflagged - whether to hide unflagged colours
+     * drops a component request that is still running, e.g. because the data it was for changed
      */
-    updateVisibility(hideUnflagged) {
-        this.hideUnflagged = hideUnflagged;
-        const count = this.data.length;
-        let needsUpdate = false;
+    _cancelPendingComponents() {
+        if (!this.pendingComponents) return;
+
+        const pending = this.pendingComponents;
+        this.pendingComponents = null;
+        pending.cancel();
+    }
 
+    /**
+     * returns the per-instance component attribute for a space, building it the first time
+     * @param {Object} colorSpace - colour space object (see config.js)
+     * @returns {THREE.InstancedBufferAttribute} vec3 attribute of raw components
+     */
+    _getComponentAttribute(colorSpace) {
+        let attribute = this.componentAttributes.get(colorSpace);
+        if (attribute) return attribute;
+
+        const count = this.positionData.length;
+        const array = new Float32Array(count * 3);
         for (let i = 0; i < count; i++) {
-            if (i === this.selectedIndex) continue;
+            const c = colorSpace.components(this.positionData[i]);
+            array[i * 3] = c[0];
+            array[i * 3 + 1] = c[1];
+            array[i * 3 + 2] = c[2];
+        }
 
-            const colorObj = this.data[i];
+        attribute = new THREE.InstancedBufferAttribute(array, 3);
+        this.componentAttributes.set(colorSpace, attribute);
+        return attribute;
+    }
 
-            this.mesh.getMatrixAt(i, this.dummy.matrix);
-            this.dummy.matrix.decompose(this.dummy.position, this.dummy.quaternion, this.dummy.scale);
+    /**
+     * freezes the current blended positions (unscaled) into a snapshot attribute and binds it
+     * as the morph start, with an identity mapping
+     */
+    _bindSnapshot() {
+        const count = this.data.length;
+        if (!this.snapshotAttribute || this.snapshotAttribute.count !== count) {
+            this.snapshotAttribute = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
+        }
 
-            const targetScale = this._calculateScale(i, colorObj);
+        const fromMapping = this.fromSpace || this.currentSpace;
+        const from = this.geometry.getAttribute('aFrom').array;
+        const to = this.geometry.getAttribute('aTo').array;
+        const out = this.snapshotAttribute.array;
+        const t = this.uniforms.uMorph.value;
+        const c0 = [0, 0, 0];
+        const c1 = [0, 0, 0];
 
-            if (Math.abs(this.dummy.scale.x - targetScale) > 0.001) {
-                if (this.dummy.scale.x < 0.001) this.dummy.quaternion.identity();
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < 3; j++) {
+                c0[j] = from[i * 3 + j];
+                c1[j] = to[i * 3 + j];
+            }
+            const p0 = mapComponents(fromMapping, c0);
+            const p1 = mapComponents(this.currentSpace, c1);
+            out[i * 3] = p0.x + (p1.x - p0.x) * t;
+            out[i * 3 + 1] = p0.y + (p1.y - p0.y) * t;
+            out[i * 3 + 2] = p0.z + (p1.z - p0.z) * t;
+        }
 
-                this.dummy.scale.set(targetScale, targetScale, targetScale);
-                this.dummy.updateMatrix();
+        this.snapshotAttribute.needsUpdate = true;
+        this.fromSpace = IDENTITY_MAPPING;
+        this._bindEndpoint('From', this.fromSpace, this.snapshotAttribute);
+    }
 
-                this.mesh.setMatrixAt(i, this.dummy.matrix);
-                if (this.pickingMesh) this.pickingMesh.setMatrixAt(i, this.dummy.matrix);
+    /**
+     * returns a spatial index over the instances in the current colour space at the current scale.
+     * indices are built lazily in unscaled units and cached per space, so scale changes are free
+     * @returns {SpatialIndex|null} index whose result indices match this.data, or null before the first layout
+     */
+    getSpatialIndex() {
+        if (!this.currentSpace) return null;
+
+        let index = this.spatialIndices.get(this.currentSpace);
+        if (!index || index.count !== this.data.length) {
+            const space = this.currentSpace;
+            index = SpatialIndex.fromItems(this.positionData, (color) => {
+                const p = mapComponents(space, space.components(color));
+                return [p.x, p.y, p.z];
+            });
+            this.spatialIndices.set(space, index);
+        }
 
-                needsUpdate = true;
+        index.setScale(this.currentSpace.scale || 1);
+        return index;
+    }
+
+    /**
+     * returns every shown instance whose centre projects inside a screen region, including those hidden
+     * behind others, which picking cannot see. uses the current space's layout, not a morph in progress
+     * @param {THREE.Camera} camera - the camera the region was drawn through
+     * @param {number} width - viewport width in CSS pixels
+     * @param {number} height - viewport height in CSS pixels
+     * @param {Object} region - rect or lasso region in CSS pixels (see regionBounds)
+     * @returns {Array<number>} instance indices
+     */
+    indicesInRegion(camera, width, height, region) {
+        const index = this.getSpatialIndex();
+        if (!index) return [];
+
+        camera.updateMatrixWorld();
+        const positions = index.positions;
+        const point = new THREE.Vector3();
+        const found = [];
+        for (let i = 0; i < index.count; i++) {
+            point.set(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+                .multiplyScalar(index.scale)
+                .project(camera);
+            if (point.z < -1 || point.z > 1 || this.isHidden(i)) continue;
+
+            const x = (point.x + 1) / 2 * width;
+            const y = (1 - point.y) / 2 * height;
+            if (regionContains(region, x, y)) found.push(i);
+        }
+        return found;
+    }
+
+    /**
+     * recolours the visual instances, e.g. to simulate a colour vision deficiency. picking is unaffected
+     * @param {Function|null} transform - (r, g, b) => { r, g, b } on sRGB 0-255 values, or null for the true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._applyInstanceColors();
+    }
+
+    /**
+     * writes the instances' display colours, through the colour transform if there is one
+     * @param {number} from - first instance to write, e.g. after colours were appended
+     */
+    _applyInstanceColors(from = 0) {
+        if (!this.mesh) return;
+
+        for (let i = from; i < this.data.length; i++) {
+            const color = this.data[i];
+            if (this.colorTransform) {
+                const c = this.colorTransform(color.r, color.g, color.b);
+                this.colorHelper.setRGB(c.r / 255, c.g / 255, c.b / 255, THREE.SRGBColorSpace);
+            } else {
+                this.colorHelper.set(color.hex);
             }
+            this.mesh.setColorAt(i, this.colorHelper);
         }
 
-        if (needsUpdate) {
-            this.mesh.instanceMatrix.needsUpdate = true;
-            if (this.pickingMesh) this.pickingMesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * positions the instances from a different colour for each data entry, e.g. where a simulated colour
+     * lands, and morphs them there. the data itself, picking and selection indices are unchanged
+     * @param {Array|null} colors - one colour object per data entry, or null to position from the data again
+     */
+    setPositionColors(colors) {
+        const source = colors || this.data;
+        if (source === this.positionData || source.length !== this.data.length) return;
+
+        // freeze any running morph before the cached attributes it reads are thrown away
+        if (this.isMorphing) this._bindSnapshot();
+        this._cancelPendingComponents();
+
+        this.positionData = source;
+        this.componentAttributes.clear();
+        this.spatialIndices.clear();
+
+        if (!this.mesh || !this.currentSpace) return;
+
+        const space = this.currentSpace;
+        this._bindEndpoint('To', space, this._getComponentAttribute(space));
+
+        if (this.morphDuration <= 0) {
+            this._bindEndpoint('From', space, this._getComponentAttribute(space));
+            this.fromSpace = space;
+            this.uniforms.uMorph.value = 1;
+            this.isMorphing = false;
+            return;
         }
+
+        // the From end still holds the old positions
+        this.morphElapsed = 0;
+        this.uniforms.uMorph.value = 0;
+        this.isMorphing = true;
     }
 
     /**
@@ -183,62 +748,176 @@ export class PointCloud {
      * @param {number} index - index of the color to select, or -1 to deselect
      */
     selectIndex(index) {
-        const oldIndex = this.selectedIndex;
-
         this.selectedIndex = index;
+        this.uniforms.uSelected.value = index;
+    }
+
+    /**
+     * highlights a named group of instances, replacing that group's previous members.
+     * groups are independent, so e.g. the palette and other features can highlight at the same time
+     * @param {string} group - group name
+     * @param {Array<number>} indices - instance indices to highlight, empty to clear the group
+     */
+    setHighlight(group, indices) {
+        if (indices && indices.length > 0) {
+            this.highlightGroups.set(group, indices.slice());
+        } else {
+            this.highlightGroups.delete(group);
+        }
+        this._updateHighlightAttribute();
+    }
+
+    /**
+     * rewrites the per-instance highlight flags from every group
+     */
+    _updateHighlightAttribute() {
+        if (!this.geometry) return;
+
+        const attribute = this.geometry.getAttribute('aHighlight');
+        attribute.array.fill(0);
+        for (const indices of this.highlightGroups.values()) {
+            for (const index of indices) {
+                if (index >= 0 && index < attribute.count) attribute.array[index] = 1;
+            }
+        }
+        attribute.needsUpdate = true;
+    }
 
-        if (oldIndex !== -1 && oldIndex !== index) {
-            this._updateSingleInstance(oldIndex);
+    /**
+     * dims a named group of instances, replacing that group's previous mask. an instance is dimmed
+     * when any group dims it
+     * @param {string} group - group name
+     * @param {Uint8Array|null} mask - one entry per instance, non-zero to dim, or null to clear the group
+     */
+    setDimmed(group, mask) {
+        if (mask) {
+            this.dimGroups.set(group, mask);
+        } else {
+            this.dimGroups.delete(group);
+        }
+        this._updateMaskAttribute('aDim', this.dimGroups);
+    }
+
+    /**
+     * hides a named group of instances, replacing that group's previous mask. an instance is hidden
+     * when any group hides it, unless it is highlighted or selected
+     * @param {string} group - group name
+     * @param {Uint8Array|null} mask - one entry per instance, non-zero to hide, or null to clear the group
+     */
+    setHidden(group, mask) {
+        if (mask) {
+            this.hiddenGroups.set(group, mask);
+        } else {
+            this.hiddenGroups.delete(group);
         }
+        this._updateMaskAttribute('aHidden', this.hiddenGroups);
+    }
 
-        if (this.selectedIndex !== -1) {
-            this._updateSingleInstance(this.selectedIndex);
+    /**
+     * whether an instance is currently hidden by any group
+     * @param {number} index - instance index
+     * @returns {boolean}
+     */
+    isHidden(index) {
+        for (const mask of this.hiddenGroups.values()) {
+            if (mask[index]) return true;
         }
+        return false;
+    }
 
-        this.mesh.instanceMatrix.needsUpdate = true;
-        if (this.pickingMesh) this.pickingMesh.instanceMatrix.needsUpdate = true;
+    /**
+     * outlines a named group of instances with a rim, replacing that group's previous mask.
+     * only the visual mesh is affected
+     * @param {string} group - group name
+     * @param {Uint8Array|null} mask - one entry per instance, non-zero to outline, or null to clear the group
+     */
+    setOutlined(group, mask) {
+        if (mask) {
+            this.outlineGroups.set(group, mask);
+        } else {
+            this.outlineGroups.delete(group);
+        }
+        this._updateMaskAttribute('aOutline', this.outlineGroups);
     }
 
     /**
-     * updates a single instance's scale based on current selection and visibility rules
-     * @param {number} index - index of the instance to update
+     * sets the rim colour of outlined instances, e.g. to contrast with the background
+     * @param {THREE.Color} color - colour in the renderer's working colour space
      */
-    _updateSingleInstance(index) {
-        const colorObj = this.data[index];
+    setOutlineColor(color) {
+        this.uniforms.uOutlineColor.value.copy(color);
+    }
 
-        this.mesh.getMatrixAt(index, this.dummy.matrix);
-        this.dummy.matrix.decompose(this.dummy.position, this.dummy.quaternion, this.dummy.scale);
+    /**
+     * sets the colour dimmed instances fade towards, normally the scene background
+     * @param {THREE.Color} color - colour in the renderer's working colour space
+     */
+    setGhostColor(color) {
+        this.uniforms.uGhostColor.value.copy(color);
+    }
 
-        if (this.dummy.scale.x < 0.001) this.dummy.quaternion.identity();
+    /**
+     * rewrites a per-instance flag attribute from every group's mask
+     * @param {string} name - attribute name, 'aDim', 'aHidden' or 'aOutline'
+     * @param {Map<string, Uint8Array>} groups - masks by group name
+     */
+    _updateMaskAttribute(name, groups) {
+        if (!this.geometry) return;
+
+        const attribute = this.geometry.getAttribute(name);
+        const out = attribute.array;
+        out.fill(0);
+        for (const mask of groups.values()) {
+            const n = Math.min(mask.length, out.length);
+            for (let i = 0; i < n; i++) {
+                if (mask[i]) out[i] = 1;
+            }
+        }
+        attribute.needsUpdate = true;
+    }
 
-        const scale = this._calculateScale(index, colorObj);
-        this.dummy.scale.set(scale, scale, scale);
-        this.dummy.updateMatrix();
+    /**
+     * shows a temporary marker at an arbitrary colour's position, e.g. a colour typed into search
+     * @param {Object|null} color - colour object shaped like the dataset entries (see parseColor), or null to remove
+     */
+    setQueryMarker(color) {
+        this.queryColor = color;
+        this.queryMarker.setColors(color ? [color] : []);
+    }
 
-        this.mesh.setMatrixAt(index, this.dummy.matrix);
-        if (this.pickingMesh) this.pickingMesh.setMatrixAt(index, this.dummy.matrix);
+    /**
+     * registers an object that should follow the instances when the colour space or scale changes.
+     * overlays implement jumpTo(space), retarget(space, morph) and place(morph, scale), see MarkerSet
+     * @param {Object} overlay - overlay to register
+     */
+    addOverlay(overlay) {
+        this.overlays.push(overlay);
+        if (this.currentSpace) {
+            overlay.jumpTo(this.currentSpace);
+            overlay.place(this.uniforms.uMorph.value, this.uniforms.uScale.value);
+        }
     }
 
     /**
-     * calculates the scale for a color instance based on selection and visibility rules
-     * @param {number} index - index of the instance
-     * @param {Object} colorObj - colour data object
-     * @returns {number} scale factor (0 = hidden, 1 = normal, 2.4 = selected)
+     * places every overlay along the morph, using the same easing and scale as the instances
      */
-    _calculateScale(index, colorObj) {
-        if (index === this.selectedIndex) return 2.4;
-        if (this.hideUnflagged && !colorObj.flag) return 0;
-        return 1.0;
+    _placeOverlays() {
+        const morph = this.uniforms.uMorph.value;
+        const scale = this.uniforms.uScale.value;
+        this.overlays.forEach(overlay => overlay.place(morph, scale));
     }
 
     /**
-     * returns the 3D position of a color instance in the current color space
+     * returns the 3D position of a color instance in the current color space.
+     * during a morph, or while the next space's components are being built, this is where the
+     * instance is heading, so the camera arrives with it
      * @param {number} index - index of the colour instance
      * @returns {THREE.Vector3|null} position vector or null if index is invalid
      */
     getBounds(index) {
-        if (index < 0 || index >= this.data.length) return null;
-        const pos = this.currentSpace.getPosition(this.data[index]);
+        const space = this.pendingComponents ? this.pendingComponents.space : this.currentSpace;
+        if (index < 0 || index >= this.data.length || !space) return null;
+        const pos = space.getPosition(this.positionData[index]);
         return new THREE.Vector3(pos.x, pos.y, pos.z);
     }
-}
\ No newline at end of file
+}
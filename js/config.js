@@ -1,55 +1,143 @@
 /**
  * color space definitions for 3D visualization.
  * each space defines how colors are positioned in 3D space based on their components.
+ *
+ * positions are computed on the GPU: `components` picks the three raw values uploaded per
+ * instance, and `offset`, `axisScale`, `cylindrical` and `cone` describe how the vertex
+ * shader turns them into a position. getPosition runs the same mapping on the CPU
+ * (see mapComponents) for markers, camera targets and the spatial index.
+ *
+ * cartesian:   position = (components + offset) * axisScale
+ * cylindrical: components are (lightness, chroma, hue in degrees). lightness runs up the
+ *              Y axis, hue is the angle around it and chroma the distance from it.
+ *              with `cone` the radius also shrinks with lightness (HSV)
  */
 export const colorSpaces = {
     oklab: {
         name: 'Oklab',
         scale: 4.0,
-        getPosition: function(color) {
-            const s = (typeof this !== 'undefined' && this.scale) ? this.scale : 4.0;
-
-            return {
-                x: ((color.l - 0.5) * 1.0) * s,
-                y: (color.a * 2.5) * s,
-                z: (color.oklab_b * 2.5) * s
-            };
-        },
+        components: (color) => [color.l, color.a, color.oklab_b],
+        offset: [-0.5, 0, 0],
+        axisScale: [1.0, 2.5, 2.5],
+        cylindrical: false,
+        cone: false,
+        getPosition: getPosition,
         scales: { x: 1.0, y: 2.5, z: 2.5 },
         axisLabels: { x: 'L', y: 'A', z: 'B' }
     },
     cielab: {
         name: 'CIELAB (1976)',
         scale: 4.0,
-        getPosition: function(color) {
-            const s = (typeof this !== 'undefined' && this.scale) ? this.scale : 4.0;
-
-            // expect color.cielab_l in [0..100], a/b roughly [-128..127]
-            const L = (typeof color.cielab_l === 'number') ? color.cielab_l : 50;
-            const A = (typeof color.cielab_a === 'number') ? color.cielab_a : 0;
-            const B = (typeof color.cielab_b === 'number') ? color.cielab_b : 0;
-
-            return {
-                x: ((L / 100) - 0.5) * s,
-                y: (A / 128) * s,
-                z: (B / 128) * s
-            };
-        },
+        // expect L* in [0..100], a*/b* roughly [-128..127]
+        components: (color) => [color.cielab_l, color.cielab_a, color.cielab_b],
+        offset: [-50, 0, 0],
+        axisScale: [1 / 100, 1 / 128, 1 / 128],
+        cylindrical: false,
+        cone: false,
+        getPosition: getPosition,
         scales: { x: 1.0, y: 1.0, z: 1.0 },
         axisLabels: { x: 'L*', y: 'a*', z: 'b*' }
     },
     rgb: {
         name: 'RGB',
         scale: 4.0,
-        getPosition: function(color) {
-            const s = (typeof this !== 'undefined' && this.scale) ? this.scale : 4.0;
-            return {
-                x: (color.r - 127.5) / 255 * s,
-                y: (color.g - 127.5) / 255 * s,
-                z: (color.b - 127.5) / 255 * s
-            };
-        },
+        components: (color) => [color.r, color.g, color.b],
+        offset: [-127.5, -127.5, -127.5],
+        axisScale: [1 / 255, 1 / 255, 1 / 255],
+        cylindrical: false,
+        cone: false,
+        getPosition: getPosition,
         scales: { x: 2.0, y: 2.0, z: 2.0 },
         axisLabels: { x: 'R', y: 'G', z: 'B' }
+    },
+    oklch: {
+        name: 'OKLCh',
+        scale: 4.0,
+        components: (color) => [color.l, color.oklch_c, color.oklch_h],
+        offset: [-0.5, 0, 0],
+        // same 2.5x chroma stretch as Oklab so the two read the same way
+        axisScale: [1.0, 2.5, 0],
+        cylindrical: true,
+        cone: false,
+        getPosition: getPosition,
+        scales: { x: 2.5, y: 1.0, z: 2.5 },
+        axisLabels: { x: 'C (h = 0°)', y: 'L', z: 'C (h = 90°)' }
+    },
+    cielch: {
+        name: 'CIELCh',
+        scale: 4.0,
+        components: (color) => [color.cielab_l, color.cielch_c, color.cielch_h],
+        offset: [-50, 0, 0],
+        axisScale: [1 / 100, 1 / 128, 0],
+        cylindrical: true,
+        cone: false,
+        getPosition: getPosition,
+        scales: { x: 1.0, y: 1.0, z: 1.0 },
+        axisLabels: { x: 'C* (h = 0°)', y: 'L*', z: 'C* (h = 90°)' }
+    },
+    hsl: {
+        name: 'HSL',
+        scale: 4.0,
+        // cylinder of unit height and unit diameter
+        components: (color) => [color.hsl_l, color.hsl_s, color.hsl_h],
+        offset: [-0.5, 0, 0],
+        axisScale: [1.0, 0.5, 0],
+        cylindrical: true,
+        cone: false,
+        getPosition: getPosition,
+        scales: { x: 0.5, y: 1.0, z: 0.5 },
+        axisLabels: { x: 'S (h = 0°)', y: 'L', z: 'S (h = 90°)' }
+    },
+    hsv: {
+        name: 'HSV',
+        scale: 4.0,
+        // cone with black at the tip, radius shrinks with value
+        components: (color) => [color.hsv_v, color.hsv_s, color.hsv_h],
+        offset: [-0.5, 0, 0],
+        axisScale: [1.0, 0.5, 0],
+        cylindrical: true,
+        cone: true,
+        getPosition: getPosition,
+        scales: { x: 0.5, y: 1.0, z: 0.5 },
+        axisLabels: { x: 'S·V (h = 0°)', y: 'V', z: 'S·V (h = 90°)' }
+    }
+};
+
+/**
+ * positions a colour object in a space, called as a method of the space
+ * @param {Object} color - colour object
+ * @returns {{x:number,y:number,z:number}} position scaled by the space's scale
+ */
+function getPosition(color) {
+    const s = (typeof this !== 'undefined' && this.scale) ? this.scale : 4.0;
+    return mapComponents(this, this.components(color), s);
+}
+
+/**
+ * maps a space's raw components to a position.
+ * must stay in sync with mapSpace() in the PointCloud vertex shader
+ * @param {Object} space - colour space definition
+ * @param {Array<number>} c - the three raw components
+ * @param {number} scale - global scale
+ * @returns {{x:number,y:number,z:number}} position
+ */
+export function mapComponents(space, c, scale = 1) {
+    const o = space.offset;
+    const k = space.axisScale;
+
+    if (space.cylindrical) {
+        const h = c[2] * Math.PI / 180;
+        const r = c[1] * k[1] * (space.cone ? c[0] : 1);
+        return {
+            x: r * Math.cos(h) * scale,
+            y: (c[0] + o[0]) * k[0] * scale,
+            z: r * Math.sin(h) * scale
+        };
     }
-};
\ No newline at end of file
+
+    return {
+        x: (c[0] + o[0]) * k[0] * scale,
+        y: (c[1] + o[1]) * k[1] * scale,
+        z: (c[2] + o[2]) * k[2] * scale
+    };
+}
@@ -0,0 +1,181 @@
+/**
+ * channels a range rule can test. lightness, chroma and hue are OKLCh; hue ranges wrap, so
+ * min 300 / max 30 keeps the reds either side of 0°
+ */
+export const filterChannels = {
+    l: { name: 'Lightness', min: 0, max: 1, step: 0.01, precision: 2, get: (color) => color.l },
+    c: { name: 'Chroma', min: 0, max: 0.4, step: 0.005, precision: 3, get: (color) => color.oklch_c },
+    h: { name: 'Hue', min: 0, max: 360, step: 1, precision: 0, circular: true, get: (color) => color.oklch_h },
+    r: { name: 'Red', min: 0, max: 255, step: 1, precision: 0, get: (color) => color.r },
+    g: { name: 'Green', min: 0, max: 255, step: 1, precision: 0, get: (color) => color.g },
+    b: { name: 'Blue', min: 0, max: 255, step: 1, precision: 0, get: (color) => color.b }
+};
+
+/**
+ * kinds of rule, keyed by the id used to create them
+ */
+export const filterRuleKinds = {
+    l: { name: 'Lightness range', create: () => rangeRule('l') },
+    c: { name: 'Chroma range', create: () => rangeRule('c') },
+    h: { name: 'Hue range', create: () => rangeRule('h') },
+    r: { name: 'Red range', create: () => rangeRule('r') },
+    g: { name: 'Green range', create: () => rangeRule('g') },
+    b: { name: 'Blue range', create: () => rangeRule('b') },
+    name: { name: 'Name', create: () => ({ type: 'name', mode: 'contains', pattern: '', negate: false }) },
+    flag: { name: 'Flag', create: () => ({ type: 'flag', value: true, negate: false }) },
+    palette: { name: 'In palette', create: () => ({ type: 'palette', negate: false }) },
+    search: { name: 'In search results', create: () => ({ type: 'search', negate: false }) },
+    region: { name: 'In region selection', create: () => ({ type: 'region', negate: false }) }
+};
+
+function rangeRule(channel) {
+    const spec = filterChannels[channel];
+    return { type: 'range', channel, min: spec.min, max: spec.max, negate: false };
+}
+
+export class ColorFilter {
+    /**
+     * a list of rules combined with AND or OR, evaluated over the whole dataset at once
+     *
+     * rules are plain objects (see filterRuleKinds) that the UI edits in place before calling evaluate.
+     * channel values are copied into typed arrays once per dataset so slider drags stay cheap.
+     * rules that can't match anything yet (an empty name pattern, an invalid regex) are skipped
+     * rather than failing every colour
+     */
+    constructor() {
+        this.data = [];
+        this.channels = {};
+        this.rules = [];
+        this.combine = 'and';
+    }
+
+    /**
+     * sets the colours to filter
+     * @param {Array} data - colour objects
+     */
+    setData(data) {
+        this.data = data;
+        this.channels = {};
+
+        for (const [key, spec] of Object.entries(filterChannels)) {
+            const values = new Float32Array(data.length);
+            for (let i = 0; i < data.length; i++) values[i] = spec.get(data[i]);
+            this.channels[key] = values;
+        }
+    }
+
+    /**
+     * adds a rule of a given kind
+     * @param {string} kind - key of filterRuleKinds
+     * @returns {Object|null} the new rule, to be edited in place
+     */
+    addRule(kind) {
+        const spec = filterRuleKinds[kind];
+        if (!spec) return null;
+
+        const rule = spec.create();
+        this.rules.push(rule);
+        return rule;
+    }
+
+    /**
+     * removes a rule
+     * @param {Object} rule - rule returned by addRule
+     */
+    removeRule(rule) {
+        this.rules = this.rules.filter(other => other !== rule);
+    }
+
+    /**
+     * whether any rule of a type would currently take part in evaluation
+     * @param {string} type - rule type, e.g. 'search'
+     * @returns {boolean}
+     */
+    uses(type) {
+        return this.rules.some(rule => rule.type === type && this._compile(rule, {}) !== null);
+    }
+
+    /**
+     * works out which colours pass the filter
+     * @param {Object} context - membership sets for the set rules: { palette: Set<number>, search: Set<number>, region: Set<number> }
+     * @param {Array<string>} ignore - rule types to leave out, e.g. ['search'] when filtering the search itself
+     * @returns {Uint8Array|null} 1 for every passing colour, or null when no rule applies
+     */
+    evaluate(context = {}, ignore = []) {
+        const tests = this.rules
+            .filter(rule => !ignore.includes(rule.type))
+            .map(rule => this._compile(rule, context))
+            .filter(test => test !== null);
+
+        if (tests.length === 0) return null;
+
+        const count = this.data.length;
+        const mask = new Uint8Array(count);
+        const any = this.combine === 'or';
+
+        for (let i = 0; i < count; i++) {
+            let pass = !any;
+            for (let t = 0; t < tests.length; t++) {
+                if (tests[t](i) === any) {
+                    pass = any;
+                    break;
+                }
+            }
+            mask[i] = pass ? 1 : 0;
+        }
+
+        return mask;
+    }
+
+    /**
+     * turns a rule into an (index) => boolean test, or null when the rule should be skipped.
+     * a name rule with an invalid regex gets rule.error set
+     */
+    _compile(rule, context) {
+        const test = this._compileBase(rule, context);
+        if (!test || !rule.negate) return test;
+        return (i) => !test(i);
+    }
+
+    _compileBase(rule, context) {
+        if (rule.type === 'range') {
+            const values = this.channels[rule.channel];
+            const spec = filterChannels[rule.channel];
+            if (!values) return null;
+
+            const { min, max } = rule;
+            if (spec.circular && min > max) return (i) => values[i] >= min || values[i] <= max;
+            return (i) => values[i] >= min && values[i] <= max;
+        }
+
+        if (rule.type === 'name') {
+            rule.error = null;
+            if (!rule.pattern) return null;
+
+            if (rule.mode === 'regex') {
+                let regex;
+                try {
+                    regex = new RegExp(rule.pattern, 'i');
+                } catch (e) {
+                    rule.error = e.message;
+                    return null;
+                }
+                return (i) => regex.test(this.data[i].name);
+            }
+
+            const needle = rule.pattern.toLowerCase();
+            return (i) => this.data[i].name.toLowerCase().includes(needle);
+        }
+
+        if (rule.type === 'flag') {
+            return (i) => !!this.data[i].flag === rule.value;
+        }
+
+        if (rule.type === 'palette' || rule.type === 'search' || rule.type === 'region') {
+            const members = context[rule.type] || new Set();
+            return (i) => members.has(i);
+        }
+
+        return null;
+    }
+}
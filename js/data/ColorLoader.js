@@ -1,81 +1,924 @@
-import { hexToRgb, rgbToCielab } from '../utils.js';
+import { DatasetCache } from './DatasetCache.js';
+import { hexToRgb, rgbToCielab, rgbToOklab, rgbToHex, parseColor, addCylindricalValues, deltaEOK } from '../utils.js';
+
+/**
+ * dataset formats the loader understands. each parser turns the file contents into records of
+ * { name, hex, flag? } plus optionally { l, a, oklab_b } when the file carries Oklab itself
+ * (or the colour is out of sRGB and the hex alone would move it); everything else is derived.
+ * text formats receive a string, binary formats an ArrayBuffer. detect sniffs the start of a file
+ * when neither a format nor a known extension is given. parse may note rows it rejects or doubts in
+ * the load report it receives (see ColorLoader.parse); records may carry the line they came from
+ */
+export const datasetFormats = {
+    csv: {
+        name: 'CSV (header mapped)',
+        extensions: ['csv'],
+        binary: false,
+        detect: (text) => /^[^\n]*,/.test(text) && findColumns(csvRows(text).next().value.cells) !== null,
+        parse: (text, options, onProgress, report) => parseCsv(text, options, onProgress, report)
+    },
+    json: {
+        name: 'JSON (meodai/color-names)',
+        extensions: ['json'],
+        binary: false,
+        detect: (text) => /^\s*[[{]/.test(text),
+        parse: (text) => {
+            const json = JSON.parse(text);
+            // the plain list, or an API response / exported palette with a colors array
+            const list = Array.isArray(json) ? json : (json.colors || []);
+            return list.map(item => ({ name: item.name, hex: item.hex, flag: item.flag }));
+        }
+    },
+    gpl: {
+        name: 'GIMP palette',
+        extensions: ['gpl'],
+        binary: false,
+        detect: (text) => /^\s*GIMP Palette/.test(text),
+        parse: (text) => {
+            const records = [];
+            text.split('\n').forEach((line, i) => {
+                const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+                if (!match) return;
+
+                const hex = rgbToHex(+match[1], +match[2], +match[3]);
+                records.push({ name: match[4].trim() || hex, hex, line: i + 1 });
+            });
+            return records;
+        }
+    },
+    css: {
+        name: 'CSS custom properties',
+        extensions: ['css'],
+        binary: false,
+        detect: (text) => /--[\w-]+\s*:/.test(text),
+        parse: (text) => {
+            const records = [];
+            const declaration = /--([\w-]+)\s*:\s*([^;{}]+)/g;
+
+            // comments could hold commented out declarations
+            const source = text.replace(/\/\*[\s\S]*?\*\//g, '');
+            let match;
+            while ((match = declaration.exec(source)) !== null) {
+                // var() references and non-colour values are skipped
+                const color = parseColor(match[2]);
+                if (color) records.push({ name: match[1], hex: color.hex, l: color.l, a: color.a, oklab_b: color.oklab_b });
+            }
+            return records;
+        }
+    },
+    ase: {
+        name: 'Adobe Swatch Exchange',
+        extensions: ['ase'],
+        binary: true,
+        detect: (buffer) => buffer.byteLength >= 4 && new TextDecoder().decode(buffer.slice(0, 4)) === 'ASEF',
+        parse: (buffer, options, onProgress, report) => decodeAse(buffer, report)
+    }
+};
+
+/**
+ * numeric fields of a colour object, in the order toColumns packs them
+ */
+const colorFields = [
+    'l', 'a', 'oklab_b', 'r', 'g', 'b', 'cielab_l', 'cielab_a', 'cielab_b',
+    'oklch_c', 'oklch_h', 'cielch_c', 'cielch_h', 'hsl_h', 'hsl_s', 'hsl_l', 'hsv_h', 'hsv_s', 'hsv_v'
+];
+
+/**
+ * encode keeps Oklab, which positions are built from, at full precision, and everything derived from the hex as Float32
+ */
+const preciseFields = colorFields.slice(0, 3);
+const compactFields = colorFields.slice(3);
+
+/**
+ * 'CNC1' read as a little-endian uint32, at the start of every encoded dataset
+ */
+const encodingMagic = 0x31434e43;
+
+/**
+ * part of every cache fingerprint. bump it when parsing changes what a dataset turns into,
+ * so datasets cached by older code are parsed again
+ */
+const cacheVersion = 1;
 
 export class ColorLoader {
     /**
-     * fetches and parses the CSV data.
-     * @param {string} url - path to the CSV file
+     * fetches and parses a colour dataset
+     *
+     * with options.onColors, colours are handed over as soon as they are parsed: a CSV is read from the
+     * response stream and passed on in batches while it downloads, anything else (or a cached copy) in one batch
+     * @param {string} url - path to the dataset
      * @param {function} onProgress - callback (percent, statusMessage)
-     * @returns {Promise<Array>} - array of colour objects
+     * @param {Object} options - { format: key of datasetFormats, columns: CSV column mapping (see parseCsv), oklabTolerance,
+     *     cache: keep the parsed dataset in the DatasetCache and reuse it while the file is unchanged,
+     *     onColors: callback (colors) for each batch of new colour objects, the same objects the result holds }
+     * @returns {Promise<Object>} - { colors, report } (see parse)
      */
-    static async load(url, onProgress) {
-        try {
-            // fetch
-            if (onProgress) onProgress(10, 'Fetching CSV file...');
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    static async load(url, onProgress, options = {}) {
+        // fetch
+        if (onProgress) onProgress(10, 'Fetching data file...');
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        // a cached copy made from the same version of the file is good without reading the body at all
+        const cache = options.cache ? sharedCache() : null;
+        const validator = httpValidator(response);
+        let fingerprint = validator ? cacheFingerprint(validator, options) : null;
+        if (cache && fingerprint) {
+            const cached = await readCache(cache, url, fingerprint, onProgress);
+            if (cached) {
+                if (response.body) response.body.cancel();
+                if (options.onColors) options.onColors(cached.colors);
+                return cached;
             }
+        }
 
-            // read text
+        // without a validator the cache needs the whole file to hash, so only then is the stream given up
+        const format = options.format || ColorLoader.detectFormat('', url);
+        let result;
+        if (options.onColors && response.body && format === 'csv' && (fingerprint || !cache)) {
+            result = await streamCsv(response, options, onProgress);
+        } else {
+            // read
             if (onProgress) onProgress(30, 'Reading file data...');
-            const text = await response.text();
-
-            // parse lines
-            if (onProgress) onProgress(40, 'Parsing colors...');
-            const lines = text.split('\n');
-            const totalLines = lines.length;
-            const data = [];
-
-            // skip header (i=1)
-            for (let i = 1; i < totalLines; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-
-                const parts = line.split(',');
-                
-                // ensure row has enough columns based on your specific CSV structure
-                if (parts.length >= 5) {
-                    const hex = parts[1];
-                    const rgb = hexToRgb(hex);
-                    const lab = rgbToCielab(rgb.r, rgb.g, rgb.b);
-                    
-                    data.push({
-                        name: parts[0],
-                        hex: hex,
-                        l: parseFloat(parts[2]),
-                        a: parseFloat(parts[3]),
-                        oklab_b: parseFloat(parts[4]),
-                        // adding RGB to the data object avoids recalculating it later
-                        r: rgb.r,
-                        g: rgb.g,
-                        b: rgb.b,
-                        // CIELAB (1976) derived from sRGB
-                        cielab_l: lab.l,
-                        cielab_a: lab.a,
-                        cielab_b: lab.b,
-                        flag: JSON.parse(parts[5] || 'false'),
-                    });
+            const buffer = await response.arrayBuffer();
+
+            if (cache && !fingerprint) {
+                fingerprint = cacheFingerprint(`content ${await contentHash(buffer)}`, options);
+                const cached = await readCache(cache, url, fingerprint, onProgress);
+                if (cached) {
+                    if (options.onColors) options.onColors(cached.colors);
+                    return cached;
                 }
+            }
 
-                // non blocking yield
-                // every 2000 lines, update the loading bar
-                if (i % 2000 === 0) {
-                    const progress = 40 + (i / totalLines) * 30;
-                    if (onProgress) {
-                        onProgress(progress, `Parsing colors... ${i}/${totalLines}`);
+            result = await ColorLoader.parse(buffer, { ...options, filename: url }, onProgress);
+            if (options.onColors) options.onColors(result.colors);
+        }
+
+        if (cache) await cache.put({ url, fingerprint, data: ColorLoader.encode(result.colors), report: result.report });
+        return result;
+    }
+
+    /**
+     * parses dataset contents that are already in memory, e.g. a dropped file
+     *
+     * rows that can't be read are skipped rather than guessed at, and listed in the load report:
+     * { format, rows, loaded, skipped: [{ line, entry, reason }], warnings: [{ line, entry, reason }] }.
+     * line is the file line a row starts on where the format has lines, otherwise entry counts records
+     * @param {ArrayBuffer|string} input - file contents
+     * @param {Object} options - { format: key of datasetFormats, filename: used to pick a format by extension, columns,
+     *     oklabTolerance: largest ΔEok allowed between a CSV's stored Oklab and its hex (default 0.01) }
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @returns {Promise<Object>} - { colors: array of colour objects, report }
+     */
+    static async parse(input, options = {}, onProgress) {
+        const key = options.format || ColorLoader.detectFormat(input, options.filename);
+        const format = datasetFormats[key];
+        if (!format) throw new Error('Unrecognised colour data format');
+
+        let contents = input;
+        if (format.binary && typeof input === 'string') throw new Error(`${format.name} files are binary`);
+        if (!format.binary && typeof input !== 'string') contents = new TextDecoder().decode(input);
+
+        if (onProgress) onProgress(40, `Parsing ${format.name}...`);
+        const report = newReport(format);
+        const records = await format.parse(contents, options, onProgress, report);
+        report.rows = records.length + report.skipped.length;
+
+        const colors = await ColorLoader.toColors(records, onProgress, report);
+        report.loaded = colors.length;
+        return { colors, report };
+    }
+
+    /**
+     * packs colour objects into columns, e.g. to post them to or from a worker. the numeric columns
+     * share one Float64Array, so its buffer can be transferred instead of copied
+     * @param {Array} colors - colour objects
+     * @returns {Object} { count, names, hexes, flags: Uint8Array, values: Float64Array }
+     */
+    static toColumns(colors) {
+        const count = colors.length;
+        const stride = colorFields.length;
+        const names = new Array(count);
+        const hexes = new Array(count);
+        const flags = new Uint8Array(count);
+        const values = new Float64Array(count * stride);
+
+        for (let i = 0; i < count; i++) {
+            const color = colors[i];
+            names[i] = color.name;
+            hexes[i] = color.hex;
+            flags[i] = color.flag ? 1 : 0;
+            for (let j = 0; j < stride; j++) values[i * stride + j] = color[colorFields[j]];
+        }
+
+        return { count, names, hexes, flags, values };
+    }
+
+    /**
+     * rebuilds colour objects from toColumns output
+     * @param {Object} columns - { count, names, hexes, flags, values }
+     * @returns {Array} colour objects
+     */
+    static fromColumns(columns) {
+        const { count, names, hexes, flags, values } = columns;
+        const stride = colorFields.length;
+        const colors = new Array(count);
+
+        for (let i = 0; i < count; i++) {
+            colors[i] = colorFromValues(names[i], hexes[i], flags[i] === 1, values, i * stride, values, i * stride + 3);
+        }
+
+        return colors;
+    }
+
+    /**
+     * packs colour objects into one compact buffer, e.g. to cache them:
+     * a header (magic, count, string bytes, 0 as uint32), Oklab as Float64, the other numeric fields as Float32,
+     * a flag byte per colour, then the names and hexes as NUL separated UTF-8
+     * @param {Array} colors - colour objects
+     * @returns {ArrayBuffer}
+     */
+    static encode(colors) {
+        const count = colors.length;
+        const strings = new TextEncoder().encode(colors.map(color => color.name).concat(colors.map(color => color.hex)).join('\0'));
+
+        const preciseOffset = 16;
+        const compactOffset = preciseOffset + count * preciseFields.length * 8;
+        const flagOffset = compactOffset + count * compactFields.length * 4;
+        const stringOffset = flagOffset + count;
+        const buffer = new ArrayBuffer(stringOffset + strings.length);
+
+        new Uint32Array(buffer, 0, 4).set([encodingMagic, count, strings.length, 0]);
+        const precise = new Float64Array(buffer, preciseOffset, count * preciseFields.length);
+        const compact = new Float32Array(buffer, compactOffset, count * compactFields.length);
+        const flags = new Uint8Array(buffer, flagOffset, count);
+        new Uint8Array(buffer, stringOffset).set(strings);
+
+        colors.forEach((color, i) => {
+            for (let j = 0; j < preciseFields.length; j++) precise[i * preciseFields.length + j] = color[preciseFields[j]];
+            for (let j = 0; j < compactFields.length; j++) compact[i * compactFields.length + j] = color[compactFields[j]];
+            flags[i] = color.flag ? 1 : 0;
+        });
+
+        return buffer;
+    }
+
+    /**
+     * unpacks encode output
+     * @param {ArrayBuffer} buffer - encoded colours
+     * @returns {Array} colour objects
+     */
+    static decode(buffer) {
+        const [magic, count, stringBytes] = new Uint32Array(buffer, 0, 4);
+        if (magic !== encodingMagic) throw new Error('Not an encoded colour dataset');
+
+        const preciseOffset = 16;
+        const compactOffset = preciseOffset + count * preciseFields.length * 8;
+        const flagOffset = compactOffset + count * compactFields.length * 4;
+        const stringOffset = flagOffset + count;
+
+        const precise = new Float64Array(buffer, preciseOffset, count * preciseFields.length);
+        const compact = new Float32Array(buffer, compactOffset, count * compactFields.length);
+        const flags = new Uint8Array(buffer, flagOffset, count);
+        const strings = new TextDecoder().decode(new Uint8Array(buffer, stringOffset, stringBytes)).split('\0');
+
+        const colors = new Array(count);
+        for (let i = 0; i < count; i++) {
+            colors[i] = colorFromValues(strings[i], strings[count + i], flags[i] === 1,
+                precise, i * preciseFields.length, compact, i * compactFields.length);
+        }
+
+        return colors;
+    }
+
+    /**
+     * picks a format from the file extension, falling back to sniffing the contents
+     * @param {ArrayBuffer|string} input - file contents
+     * @param {string} filename - optional file name or URL
+     * @returns {string|null} key of datasetFormats
+     */
+    static detectFormat(input, filename) {
+        const extension = filename ? (/\.([a-z0-9]+)(?:[?#].*)?$/i.exec(filename) || [])[1] : null;
+        if (extension) {
+            const key = Object.keys(datasetFormats).find(k => datasetFormats[k].extensions.includes(extension.toLowerCase()));
+            if (key) return key;
+        }
+
+        const binary = typeof input !== 'string';
+        if (binary && datasetFormats.ase.detect(input)) return 'ase';
+
+        // only sniff the start of large files
+        const head = binary ? new TextDecoder().decode(input.slice(0, 4096)) : input.slice(0, 4096);
+        return ['gpl', 'json', 'csv', 'css'].find(key => datasetFormats[key].detect(head)) || null;
+    }
+
+    /**
+     * turns parsed records into the colour objects the rest of the app consumes,
+     * skipping records without a valid hex
+     * @param {Array<Object>} records - { name, hex, flag?, l?, a?, oklab_b?, line? }
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @param {Object} report - optional load report to list skipped records in (see parse)
+     * @returns {Promise<Array>} - array of colour objects
+     */
+    static async toColors(records, onProgress, report) {
+        const data = [];
+
+        for (let i = 0; i < records.length; i++) {
+            const problem = recordProblem(records[i]);
+            if (!problem) {
+                data.push(toColor(records[i]));
+            } else if (report) {
+                report.skipped.push({ line: (records[i] && records[i].line) || null, entry: i + 1, reason: problem });
+            }
+
+            // every 2000 colours, update the loading bar and let the browser render it
+            if (i % 2000 === 1999) {
+                if (onProgress) onProgress(70 + (i / records.length) * 10, `Converting colors... ${i + 1}/${records.length}`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return data;
+    }
+}
+
+/**
+ * builds a colour object from packed numeric fields: Oklab from precise[p], the rest of colorFields in order
+ * from compact[c]. a literal gives every colour the same hidden class, which is many times faster than
+ * assigning the fields in a loop
+ */
+function colorFromValues(name, hex, flag, precise, p, compact, c) {
+    return {
+        name,
+        hex,
+        flag,
+        l: precise[p],
+        a: precise[p + 1],
+        oklab_b: precise[p + 2],
+        r: compact[c],
+        g: compact[c + 1],
+        b: compact[c + 2],
+        cielab_l: compact[c + 3],
+        cielab_a: compact[c + 4],
+        cielab_b: compact[c + 5],
+        oklch_c: compact[c + 6],
+        oklch_h: compact[c + 7],
+        cielch_c: compact[c + 8],
+        cielch_h: compact[c + 9],
+        hsl_h: compact[c + 10],
+        hsl_s: compact[c + 11],
+        hsl_l: compact[c + 12],
+        hsv_h: compact[c + 13],
+        hsv_s: compact[c + 14],
+        hsv_v: compact[c + 15]
+    };
+}
+
+let datasetCache = null;
+
+/**
+ * the cache load uses, opened on first use (the worker and the page each get their own handle)
+ */
+function sharedCache() {
+    if (!datasetCache) datasetCache = new DatasetCache();
+    return datasetCache;
+}
+
+/**
+ * names the version of a file a response carries from its headers: the ETag, or failing that the
+ * modification time and length
+ * @returns {string|null} null when the server sends neither
+ */
+function httpValidator(response) {
+    const etag = response.headers.get('ETag');
+    if (etag) return `etag ${etag}`;
+
+    const modified = response.headers.get('Last-Modified');
+    return modified ? `modified ${modified} ${response.headers.get('Content-Length') || ''}` : null;
+}
+
+/**
+ * names a file's content together with the options that change how it is parsed
+ */
+function cacheFingerprint(content, options) {
+    const settings = JSON.stringify([options.format || null, options.columns || null, options.oklabTolerance !== undefined ? options.oklabTolerance : null]);
+    return `v${cacheVersion} ${content} ${settings}`;
+}
+
+/**
+ * hashes file contents with SHA-256, or FNV-1a where SubtleCrypto is missing (it needs a secure context)
+ * @returns {Promise<string>} digest, prefixed with the algorithm
+ */
+async function contentHash(buffer) {
+    if (typeof crypto !== 'undefined' && crypto.subtle) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+        return 'sha256-' + Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    const bytes = new Uint8Array(buffer);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    return `fnv1a-${(hash >>> 0).toString(16)}-${bytes.length}`;
+}
+
+/**
+ * reads a cached dataset, or null when there is no usable entry
+ */
+async function readCache(cache, url, fingerprint, onProgress) {
+    const entry = await cache.get(url, fingerprint);
+    if (!entry) return null;
+
+    // outside the try, so a cancelled job stops here rather than passing for an unreadable entry
+    if (onProgress) onProgress(50, 'Reading cached colours...');
+    try {
+        return { colors: ColorLoader.decode(entry.data), report: entry.report };
+    } catch (e) {
+        console.warn('Ignoring unreadable cached dataset.', e);
+        return null;
+    }
+}
+
+/**
+ * an empty load report (see ColorLoader.parse)
+ */
+function newReport(format) {
+    return { format: format.name, rows: 0, loaded: 0, skipped: [], warnings: [] };
+}
+
+/**
+ * parses a CSV response while it downloads, handing new colours to options.onColors
+ * at most every 100ms (and once more at the end)
+ * @returns {Promise<Object>} { colors, report }
+ */
+async function streamCsv(response, options, onProgress) {
+    const report = newReport(datasetFormats.csv);
+    const csv = createCsvReader(options, report);
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    const body = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    const colors = [];
+    let unsent = [];
+    let sentAt = 0;
+    let received = 0;
+    let records = 0;
+
+    try {
+        for (;;) {
+            const { done, value } = await body.read();
+            if (value) received += value.byteLength;
+
+            const text = done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const parsed = await csv.read(text, done);
+            records += parsed.length;
+
+            for (const color of await ColorLoader.toColors(parsed, null, report)) {
+                colors.push(color);
+                unsent.push(color);
+            }
+
+            // the length is of the encoded body, so it is only an estimate when the server compresses
+            if (onProgress) {
+                const percent = total ? 10 + Math.min(1, received / total) * 70 : 40;
+                onProgress(percent, `Loading colors... ${colors.length.toLocaleString()}`);
+            }
+
+            if (unsent.length > 0 && (done || Date.now() - sentAt >= 100)) {
+                options.onColors(unsent);
+                unsent = [];
+                sentAt = Date.now();
+            }
+            if (done) break;
+        }
+    } catch (e) {
+        // e.g. the job was cancelled; stop downloading
+        body.cancel().catch(() => {});
+        throw e;
+    }
+
+    // CSV rows are checked before they become records, so every skip is a row
+    report.rows = records + report.skipped.length;
+    report.loaded = colors.length;
+    return { colors, report };
+}
+
+/**
+ * says why a parsed record can't become a colour
+ * @returns {string|null} the reason, or null when the record is fine
+ */
+function recordProblem(record) {
+    if (!record || typeof record.hex !== 'string' || !record.hex.trim()) return 'no hex';
+    if (!isHex(record.hex.trim())) return `invalid hex "${record.hex.trim()}"`;
+    return null;
+}
+
+function isHex(hex) {
+    return /^#?[0-9a-f]{6}$/i.test(hex);
+}
+
+/**
+ * builds a colour object from a parsed record that passed recordProblem
+ */
+function toColor(record) {
+    const hex = record.hex.trim();
+    const rgb = hexToRgb(hex);
+    const lab = rgbToCielab(rgb.r, rgb.g, rgb.b);
+    const oklab = Number.isFinite(record.l) ? { l: record.l, a: record.a, b: record.oklab_b } : rgbToOklab(rgb.r, rgb.g, rgb.b);
+
+    const color = {
+        name: String(record.name || hex),
+        hex: hex.startsWith('#') ? hex : '#' + hex,
+        l: oklab.l,
+        a: oklab.a,
+        oklab_b: oklab.b,
+        // adding RGB to the data object avoids recalculating it later
+        r: rgb.r,
+        g: rgb.g,
+        b: rgb.b,
+        // CIELAB (1976) derived from sRGB
+        cielab_l: lab.l,
+        cielab_a: lab.a,
+        cielab_b: lab.b,
+        // formats without a quality flag count every colour as good
+        flag: record.flag === undefined ? true : !!record.flag
+    };
+
+    // OKLCh, CIELCh, HSL and HSV for the cylindrical colour spaces
+    return addCylindricalValues(color);
+}
+
+/**
+ * header aliases for the CSV columns, lower case. 'b' means Oklab b when the header also has l and a
+ * (as in colors_oklab.csv), otherwise blue
+ */
+const csvColumnAliases = {
+    name: ['name', 'title', 'label', 'color name', 'colour name'],
+    hex: ['hex', 'color', 'colour', 'value', 'code'],
+    l: ['l', 'oklab_l', 'oklab l'],
+    a: ['a', 'oklab_a', 'oklab a'],
+    oklab_b: ['oklab_b', 'oklab b'],
+    r: ['r', 'red'],
+    g: ['g', 'green'],
+    blue: ['blue'],
+    flag: ['flag', 'good name', 'good']
+};
+
+/**
+ * maps columns to header positions
+ * @param {Array<string>} header - header cells
+ * @param {Object} overrides - { field: header name } taking precedence over the aliases
+ * @returns {Object|null} { name, hex, l, a, oklab_b, r, g, b, flag } positions (-1 when absent), or null without a name and a colour
+ */
+function findColumns(header, overrides = {}) {
+    const cells = header.map(cell => cell.trim().toLowerCase());
+    const find = (field) => {
+        if (overrides[field]) return cells.indexOf(overrides[field].toLowerCase());
+        return cells.findIndex(cell => (csvColumnAliases[field] || []).includes(cell));
+    };
+
+    const columns = {};
+    for (const field of Object.keys(csvColumnAliases)) columns[field] = find(field);
+
+    // a bare b is Oklab next to l and a, and blue next to r and g
+    const bare = cells.indexOf('b');
+    if (columns.oklab_b < 0 && columns.l >= 0 && columns.a >= 0) columns.oklab_b = bare;
+    columns.b = overrides.b ? find('b') : (columns.blue >= 0 ? columns.blue : (columns.r >= 0 && columns.g >= 0 ? bare : -1));
+    delete columns.blue;
+
+    const hasRgb = columns.r >= 0 && columns.g >= 0 && columns.b >= 0;
+    if (columns.name < 0 || (columns.hex < 0 && !hasRgb)) return null;
+    return columns;
+}
+
+/**
+ * reads CSV rows as RFC 4180 describes them: fields may be quoted, quoted fields may hold commas,
+ * line breaks and doubled quotes ("") for a quote, and lines may end in CRLF. a leading byte order
+ * mark is dropped. a quote inside an unquoted field is kept as text
+ *
+ * text may be the start of a longer file: unless `final`, a row that runs into the end of the text
+ * isn't yielded, so the caller can read it again once more text has arrived (from the last row's end)
+ * @param {string} text - file contents, or the part of them not read yet
+ * @param {Object} options - { line: line number text starts on (default 1), final: whether text runs to the end of the file (default true) }
+ * @yields {Object} { cells, line (1-based line the row starts on), next (line the following row starts on),
+ *     end (offset just past the row), error (or null) }
+ */
+function* csvRows(text, options = {}) {
+    const final = options.final !== false;
+    const length = text.length;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    let line = options.line || 1;
+
+    while (i < length) {
+        const start = line;
+        const cells = [];
+        let error = null;
+
+        for (;;) {
+            let value = '';
+            const quoted = text[i] === '"';
+
+            if (quoted) {
+                i++;
+                let closed = false;
+                while (i < length) {
+                    const quote = text.indexOf('"', i);
+                    const chunk = text.slice(i, quote < 0 ? length : quote);
+                    value += chunk;
+                    for (let n = chunk.indexOf('\n'); n >= 0; n = chunk.indexOf('\n', n + 1)) line++;
+
+                    if (quote < 0 || (quote === length - 1 && !final)) {
+                        // the closing quote, or the second quote of a pair, may still be on its way
+                        i = length;
+                    } else if (text[quote + 1] === '"') {
+                        value += '"';
+                        i = quote + 2;
+                    } else {
+                        i = quote + 1;
+                        closed = true;
+                        break;
                     }
+                }
+                if (!closed && !final) return;
+                if (!closed) error = error || 'unterminated quoted field, which runs to the end of the file';
+            }
+
+            let end = i;
+            while (end < length && text[end] !== ',' && text[end] !== '\n' && text[end] !== '\r') end++;
+            if (end > i && quoted && !error) error = 'text after a closing quote';
+            value += text.slice(i, end);
+            i = end;
+
+            cells.push(value);
+            if (text[i] !== ',') break;
+            i++;
+        }
+
+        // \r\n, \n, or a lone \r. a row (or a \r that may be half of a \r\n) running into the end waits for more text
+        if (!final && (i >= length || (text[i] === '\r' && i === length - 1))) return;
+        if (text[i] === '\r') i++;
+        if (text[i] === '\n') i++;
+        line++;
+
+        yield { cells, line: start, next: line, end: i, error };
+    }
+}
+
+/**
+ * reads a CSV number cell strictly, so "0.5abc" doesn't pass as 0.5
+ * @returns {number} the number, or NaN
+ */
+function csvNumber(cell) {
+    return cell === '' ? NaN : Number(cell);
+}
+
+/**
+ * flag cells: true/false, or meodai's "x" marking good names. empty means not good
+ */
+const csvFlagValues = new Map([
+    ['true', true], ['x', true], ['1', true], ['yes', true],
+    ['false', false], ['0', false], ['no', false], ['', false]
+]);
+
+/**
+ * parses a CSV with a header row. columns are found by name (see csvColumnAliases), or by
+ * options.columns, e.g. { name: 'Title', hex: 'Code' }. a name column plus either a hex column
+ * or r, g and b columns are required; Oklab l, a, b and a flag column are used when present
+ */
+async function parseCsv(text, options = {}, onProgress, report) {
+    const reader = createCsvReader(options, report);
+    return reader.read(text, true, (fraction, line) => {
+        if (onProgress) onProgress(40 + fraction * 30, `Parsing colors... line ${line}`);
+    });
+}
+
+/**
+ * makes a CSV parser that takes the file in pieces, e.g. as it downloads, and returns the records
+ * each piece completes. see parseCsv for the columns
+ *
+ * every row is checked before it becomes a record. rows with the wrong number of fields, a bad hex
+ * or r, g, b, or non-numeric Oklab are skipped; stored Oklab further than options.oklabTolerance from
+ * the hex is dropped in favour of the hex, and unknown flags count as not good. both are noted in the report
+ * @param {Object} options - { columns, oklabTolerance }
+ * @param {Object} report - optional load report (see ColorLoader.parse)
+ * @returns {Object} { read(text, final, onYield) => Promise<Array> of records }, where onYield(fraction of
+ *     this piece read, line) is called every 2000 rows, just before letting the browser render
+ */
+function createCsvReader(options = {}, report) {
+    const skip = (row, reason) => report && report.skipped.push({ line: row.line, entry: null, reason });
+    const warn = (row, reason) => report && report.warnings.push({ line: row.line, entry: null, reason });
+    const tolerance = options.oklabTolerance !== undefined ? options.oklabTolerance : 0.01;
+
+    // text after the last complete row, and the line it starts on
+    let pending = '';
+    let line = 1;
+    let header = null;
+    let columns = null;
+    let hasOklab = false;
+    let count = 0;
+
+    /**
+     * finds the columns from the header, the first row with anything in it
+     */
+    const readHeader = (row) => {
+        if (row.cells.join('').trim() === '') return;
+        if (row.error) throw new Error(`CSV header: ${row.error}`);
+
+        columns = findColumns(row.cells, options.columns);
+        if (!columns) throw new Error('CSV needs a name column and a hex or r, g, b columns');
+        header = row;
+        hasOklab = columns.l >= 0 && columns.a >= 0 && columns.oklab_b >= 0;
+    };
 
-                    // let the browser render the loading bar update
+    /**
+     * checks a data row and turns it into a record
+     * @returns {Object|null} the record, or null when the row is blank or skipped
+     */
+    const toRecord = (row) => {
+        const parts = row.cells;
+        const cell = (column) => column >= 0 ? parts[column].trim() : '';
+
+        if (parts.length === 1 && parts[0].trim() === '') return null;
+        if (row.error) {
+            skip(row, row.error);
+            return null;
+        }
+        if (parts.length !== header.cells.length) {
+            skip(row, `${parts.length} fields where the header has ${header.cells.length}`);
+            return null;
+        }
+
+        let hex = cell(columns.hex);
+        if (!hex && columns.r >= 0) {
+            const rgb = [columns.r, columns.g, columns.b].map(column => csvNumber(cell(column)));
+            if (!rgb.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+                skip(row, `invalid r, g, b "${[columns.r, columns.g, columns.b].map(cell).join(', ')}"`);
+                return null;
+            }
+            hex = rgbToHex(rgb[0], rgb[1], rgb[2]);
+        }
+        if (!hex) {
+            skip(row, 'no hex');
+            return null;
+        }
+        if (!isHex(hex)) {
+            skip(row, `invalid hex "${hex}"`);
+            return null;
+        }
+        if (!hex.startsWith('#')) hex = '#' + hex;
+
+        const record = { name: cell(columns.name), hex, line: row.line };
+
+        if (hasOklab && (cell(columns.l) || cell(columns.a) || cell(columns.oklab_b))) {
+            const oklab = { l: csvNumber(cell(columns.l)), a: csvNumber(cell(columns.a)), oklab_b: csvNumber(cell(columns.oklab_b)) };
+            const invalid = ['l', 'a', 'oklab_b'].find(field => !Number.isFinite(oklab[field]));
+            if (invalid) {
+                skip(row, `Oklab ${invalid === 'oklab_b' ? 'b' : invalid} is not a number: "${cell(columns[invalid])}"`);
+                return null;
+            }
+
+            const rgb = hexToRgb(hex);
+            const derived = rgbToOklab(rgb.r, rgb.g, rgb.b);
+            const distance = deltaEOK(oklab, { l: derived.l, a: derived.a, oklab_b: derived.b });
+            if (distance > tolerance) {
+                warn(row, `Oklab is ΔEok ${distance.toFixed(3)} from ${hex}; placed by the hex`);
+            } else {
+                Object.assign(record, oklab);
+            }
+        }
+
+        if (columns.flag >= 0) {
+            const flag = cell(columns.flag).toLowerCase();
+            if (!csvFlagValues.has(flag)) warn(row, `unknown flag "${cell(columns.flag)}", counted as not good`);
+            record.flag = csvFlagValues.get(flag) === true;
+        }
+
+        return record;
+    };
+
+    return {
+        async read(text, final, onYield) {
+            const source = pending + text;
+            const records = [];
+            let consumed = 0;
+
+            for (const row of csvRows(source, { line, final })) {
+                consumed = row.end;
+                line = row.next;
+
+                if (!header) {
+                    readHeader(row);
+                    continue;
+                }
+
+                const record = toRecord(row);
+                if (record) records.push(record);
+
+                // non blocking yield
+                // every 2000 rows, update the loading bar and let the browser render it
+                if (++count % 2000 === 0) {
+                    if (onYield) onYield(row.end / source.length, row.line);
                     await new Promise(resolve => setTimeout(resolve, 0));
                 }
             }
 
-            return data;
+            pending = source.slice(consumed);
+            if (final && !header) throw new Error('CSV is empty');
+            return records;
+        }
+    };
+}
+
+/**
+ * number of float32 values each Adobe Swatch Exchange colour model stores
+ */
+const aseModelValues = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 };
+
+/**
+ * reads the colour entries of an Adobe Swatch Exchange file, ignoring groups.
+ * RGB, CMYK (naive conversion), LAB and Gray entries are supported; other entries, and blocks
+ * that run past the end of the file, are noted in the report by block number
+ */
+function decodeAse(buffer, report) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || new TextDecoder().decode(buffer.slice(0, 4)) !== 'ASEF') {
+        throw new Error('Not an Adobe Swatch Exchange file');
+    }
+
+    const skip = (block, reason) => report && report.skipped.push({ line: null, entry: block + 1, reason });
+    const blockCount = view.getUint32(8);
+    const records = [];
+    let offset = 12;
+
+    for (let block = 0; block < blockCount; block++) {
+        if (offset + 6 > buffer.byteLength) {
+            skip(block, `file ends before block ${block + 1} of ${blockCount}`);
+            break;
+        }
+
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        const end = start + length;
+        offset = end;
 
-        } catch (error) {
-            // re-throw to let main.js handle the UI error display
-            throw error;
+        if (end > buffer.byteLength) {
+            skip(block, 'block runs past the end of the file');
+            break;
         }
+
+        // 0x0001 is a colour entry; group start and end blocks carry nothing we need
+        if (type !== 0x0001) continue;
+
+        if (start + 2 > end) {
+            skip(block, 'colour entry too short');
+            continue;
+        }
+        let p = start;
+        const nameLength = view.getUint16(p);
+        p += 2;
+        if (p + nameLength * 2 + 4 > end) {
+            skip(block, 'colour entry too short');
+            continue;
+        }
+        let name = '';
+        for (let i = 0; i < nameLength; i++) {
+            const code = view.getUint16(p);
+            p += 2;
+            if (code !== 0) name += String.fromCharCode(code);
+        }
+
+        const model = new TextDecoder().decode(buffer.slice(p, p + 4)).trim();
+        p += 4;
+        if (!aseModelValues[model]) {
+            skip(block, `unsupported colour model "${model}"`);
+            continue;
+        }
+        if (p + aseModelValues[model] * 4 > end) {
+            skip(block, `${model} entry too short`);
+            continue;
+        }
+        const value = (i) => view.getFloat32(p + i * 4);
+
+        let color = null;
+        if (model === 'RGB') {
+            color = parseColor(`rgb(${value(0) * 255} ${value(1) * 255} ${value(2) * 255})`);
+        } else if (model === 'CMYK') {
+            const k = 1 - value(3);
+            color = parseColor(`rgb(${255 * (1 - value(0)) * k} ${255 * (1 - value(1)) * k} ${255 * (1 - value(2)) * k})`);
+        } else if (model === 'LAB') {
+            // lightness is stored 0..1, a and b as is, relative to D50 like CSS lab()
+            color = parseColor(`lab(${value(0) * 100} ${value(1)} ${value(2)})`);
+        } else {
+            color = parseColor(`rgb(${value(0) * 255} ${value(0) * 255} ${value(0) * 255})`);
+        }
+
+        if (color) records.push({ name: name || color.hex, hex: color.hex, l: color.l, a: color.a, oklab_b: color.oklab_b });
+        else skip(block, `unreadable ${model} values`);
     }
-}
\ No newline at end of file
+
+    return records;
+}
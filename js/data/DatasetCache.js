@@ -0,0 +1,113 @@
+export class DatasetCache {
+    /**
+     * keeps parsed datasets in IndexedDB so repeat visits skip parsing (see ColorLoader.load)
+     *
+     * there is one entry per dataset URL: { url, fingerprint, data: ArrayBuffer (see ColorLoader.encode),
+     * report, savedAt }. the fingerprint names the file's content (its ETag or a hash) and the parse settings,
+     * so an entry whose fingerprint no longer matches is stale and gets overwritten. every method resolves
+     * even when IndexedDB is unavailable (e.g. private browsing), as if the cache were empty
+     * @param {string} name - database name, shared by every page and worker of the origin
+     */
+    constructor(name = 'color-explorer-cache') {
+        this.name = name;
+        this.storeName = 'datasets';
+        this.db = null;
+    }
+
+    /**
+     * @param {string} url - dataset URL
+     * @param {string} fingerprint - the content and settings the entry must have been made from
+     * @returns {Promise<Object|null>} the entry, or null when there is none or it is stale
+     */
+    async get(url, fingerprint) {
+        const done = await this._request('readonly', store => store.get(url));
+        const entry = done && done.result;
+        return entry && entry.fingerprint === fingerprint ? entry : null;
+    }
+
+    /**
+     * stores a dataset, replacing any older entry for its URL
+     * @param {Object} entry - { url, fingerprint, data, report }
+     * @returns {Promise<boolean>} whether it was stored
+     */
+    async put(entry) {
+        const stored = await this._request('readwrite', store => store.put({ ...entry, savedAt: Date.now() }));
+        return stored !== null;
+    }
+
+    /**
+     * removes every cached dataset
+     * @returns {Promise<boolean>} whether the cache was cleared
+     */
+    async clear() {
+        const cleared = await this._request('readwrite', store => store.clear());
+        return cleared !== null;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { entries, bytes } of what is cached, or null when IndexedDB is unavailable
+     */
+    async stats() {
+        const done = await this._request('readonly', store => store.getAll());
+        if (!done) return null;
+
+        const entries = done.result;
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.data.byteLength, 0)
+        };
+    }
+
+    /**
+     * opens the database once, creating the store on first use
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (this.db) return this.db;
+
+        this.db = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Dataset cache unavailable.', request.error);
+                resolve(null);
+            };
+        });
+        return this.db;
+    }
+
+    /**
+     * runs one request against the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (IDBObjectStore) => IDBRequest
+     * @returns {Promise<Object|null>} { result } once the transaction completes, or null when the database
+     *     is unavailable or the request failed
+     */
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = makeRequest(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve({ result: request.result });
+                transaction.onerror = () => {
+                    console.warn('Dataset cache request failed.', transaction.error);
+                    resolve(null);
+                };
+                // e.g. the quota ran out; the error event fires first
+                transaction.onabort = () => resolve(null);
+            } catch (e) {
+                console.warn('Dataset cache request failed.', e);
+                resolve(null);
+            }
+        });
+    }
+}
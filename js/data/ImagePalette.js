@@ -0,0 +1,220 @@
+import { rgbToOklab, labToLch, oklchToColor } from '../utils.js';
+
+/**
+ * ways to cluster an image's pixels into a palette. each takes the samples from samplePixels and a
+ * palette size, and returns clusters of { l, a, b, count } in Oklab. both are deterministic, so the
+ * same image always gives the same palette
+ */
+export const paletteMethods = {
+    kmeans: {
+        name: 'k-means',
+        extract: (samples, k) => kMeans(samples, k)
+    },
+    median: {
+        name: 'Median cut',
+        extract: (samples, k) => medianCut(samples, k)
+    }
+};
+
+/**
+ * samples the opaque pixels of an image evenly, converting each to Oklab
+ * @param {ImageData} imageData - decoded image, e.g. from a canvas
+ * @param {number} maxSamples - upper bound on the number of samples
+ * @returns {Object} { count, oklab: Float32Array of l, a, b triples, rgb: Uint8Array of r, g, b triples }
+ */
+export function samplePixels(imageData, maxSamples = 20000) {
+    const pixels = imageData.data;
+    const total = imageData.width * imageData.height;
+    const step = Math.max(1, Math.floor(total / maxSamples));
+
+    const oklab = new Float32Array(Math.ceil(total / step) * 3);
+    const rgb = new Uint8Array(oklab.length);
+    let count = 0;
+
+    for (let i = 0; i < total; i += step) {
+        // mostly transparent pixels aren't part of what the image shows
+        if (pixels[i * 4 + 3] < 128) continue;
+
+        const r = pixels[i * 4];
+        const g = pixels[i * 4 + 1];
+        const b = pixels[i * 4 + 2];
+        const lab = rgbToOklab(r, g, b);
+
+        oklab[count * 3] = lab.l;
+        oklab[count * 3 + 1] = lab.a;
+        oklab[count * 3 + 2] = lab.b;
+        rgb[count * 3] = r;
+        rgb[count * 3 + 1] = g;
+        rgb[count * 3 + 2] = b;
+        count++;
+    }
+
+    return { count, oklab: oklab.subarray(0, count * 3), rgb: rgb.subarray(0, count * 3) };
+}
+
+/**
+ * clusters sampled pixels into at most k colours
+ * @param {Object} samples - result of samplePixels
+ * @param {number} k - palette size
+ * @param {string} method - key of paletteMethods
+ * @returns {Array<Object>} { color, coverage (share of the sampled pixels, 0..1) }, most common first
+ */
+export function extractPalette(samples, k, method = 'kmeans') {
+    if (samples.count === 0) return [];
+
+    const extract = (paletteMethods[method] || paletteMethods.kmeans).extract;
+    const clusters = extract(samples, Math.max(1, Math.min(k, samples.count)));
+
+    return clusters
+        .filter(cluster => cluster.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .map(cluster => {
+            const lch = labToLch(cluster.l, cluster.a, cluster.b);
+            return { color: oklchToColor(cluster.l, lch.c, lch.h), coverage: cluster.count / samples.count };
+        });
+}
+
+/**
+ * Lloyd's k-means in Oklab, seeded with k-means++ from a fixed seed
+ */
+function kMeans(samples, k, maxIterations = 24) {
+    const { count, oklab } = samples;
+    const random = seededRandom(1);
+    const centres = new Float32Array(k * 3);
+    const nearest = new Float32Array(count).fill(Infinity);
+    const assignment = new Int32Array(count).fill(-1);
+
+    // k-means++: each new centre is picked with probability proportional to its squared distance from the others
+    let pick = Math.floor(random() * count);
+    for (let c = 0; c < k; c++) {
+        centres.set(oklab.subarray(pick * 3, pick * 3 + 3), c * 3);
+
+        let sum = 0;
+        for (let i = 0; i < count; i++) {
+            nearest[i] = Math.min(nearest[i], distanceSquared(oklab, i, centres, c));
+            sum += nearest[i];
+        }
+        if (sum === 0) {
+            // fewer distinct colours than k
+            k = c + 1;
+            break;
+        }
+
+        let target = random() * sum;
+        for (pick = 0; pick < count - 1; pick++) {
+            target -= nearest[pick];
+            if (target <= 0) break;
+        }
+    }
+
+    const sums = new Float64Array(k * 3);
+    const counts = new Uint32Array(k);
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        let changed = 0;
+        sums.fill(0);
+        counts.fill(0);
+
+        for (let i = 0; i < count; i++) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let c = 0; c < k; c++) {
+                const d = distanceSquared(oklab, i, centres, c);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = c;
+                }
+            }
+
+            if (assignment[i] !== best) changed++;
+            assignment[i] = best;
+            counts[best]++;
+            sums[best * 3] += oklab[i * 3];
+            sums[best * 3 + 1] += oklab[i * 3 + 1];
+            sums[best * 3 + 2] += oklab[i * 3 + 2];
+        }
+
+        // empty clusters keep their centre and drop out at the end
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0) continue;
+            for (let j = 0; j < 3; j++) centres[c * 3 + j] = sums[c * 3 + j] / counts[c];
+        }
+
+        if (changed === 0) break;
+    }
+
+    return Array.from(counts, (n, c) => ({ l: centres[c * 3], a: centres[c * 3 + 1], b: centres[c * 3 + 2], count: n }));
+}
+
+/**
+ * median cut in Oklab: keeps splitting the box with the most spread (extent times pixel count)
+ * at the median of its widest axis
+ */
+function medianCut(samples, k) {
+    const { count, oklab } = samples;
+    const boxes = [boxOf(oklab, Uint32Array.from({ length: count }, (_, i) => i))];
+
+    while (boxes.length < k) {
+        let widest = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            const box = boxes[i];
+            if (box.indices.length > 1 && (widest < 0 || box.score > boxes[widest].score)) widest = i;
+        }
+        if (widest < 0 || boxes[widest].score === 0) break;
+
+        const { indices, axis } = boxes[widest];
+        indices.sort((a, b) => oklab[a * 3 + axis] - oklab[b * 3 + axis]);
+        const middle = indices.length >> 1;
+        boxes.splice(widest, 1, boxOf(oklab, indices.subarray(0, middle)), boxOf(oklab, indices.subarray(middle)));
+    }
+
+    return boxes.map(({ indices }) => {
+        const mean = [0, 0, 0];
+        for (const i of indices) {
+            for (let j = 0; j < 3; j++) mean[j] += oklab[i * 3 + j];
+        }
+        return { l: mean[0] / indices.length, a: mean[1] / indices.length, b: mean[2] / indices.length, count: indices.length };
+    });
+}
+
+/**
+ * measures a median cut box: its widest axis and how much splitting it would help
+ */
+function boxOf(oklab, indices) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const i of indices) {
+        for (let j = 0; j < 3; j++) {
+            const v = oklab[i * 3 + j];
+            if (v < min[j]) min[j] = v;
+            if (v > max[j]) max[j] = v;
+        }
+    }
+
+    let axis = 0;
+    for (let j = 1; j < 3; j++) {
+        if (max[j] - min[j] > max[axis] - min[axis]) axis = j;
+    }
+    return { indices, axis, score: (max[axis] - min[axis]) * indices.length };
+}
+
+function distanceSquared(points, i, centres, c) {
+    const dl = points[i * 3] - centres[c * 3];
+    const da = points[i * 3 + 1] - centres[c * 3 + 1];
+    const db = points[i * 3 + 2] - centres[c * 3 + 2];
+    return dl * dl + da * da + db * db;
+}
+
+/**
+ * small deterministic generator (mulberry32), so palettes don't change between runs
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
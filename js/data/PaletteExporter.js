@@ -0,0 +1,193 @@
+import { hexToRgb } from '../utils.js';
+
+/**
+ * palette export formats. each serializer takes { name, colors: [{ name, hex }] } and returns
+ * the file contents as a string, or a Uint8Array for binary formats
+ */
+export const paletteFormats = {
+    css: {
+        name: 'CSS custom properties',
+        extension: 'css',
+        mimeType: 'text/css',
+        serialize: (palette) => {
+            const lines = uniqueSlugs(palette.colors).map((slug, i) => `    --${slug}: ${palette.colors[i].hex};`);
+            return `/* ${singleLine(palette.name).replace(/\*\//g, '* /')} */\n:root {\n${lines.join('\n')}\n}\n`;
+        }
+    },
+    scss: {
+        name: 'SCSS variables',
+        extension: 'scss',
+        mimeType: 'text/x-scss',
+        serialize: (palette) => {
+            const lines = uniqueSlugs(palette.colors, true).map((slug, i) => `$${slug}: ${palette.colors[i].hex};`);
+            return `// ${singleLine(palette.name)}\n${lines.join('\n')}\n`;
+        }
+    },
+    json: {
+        name: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        serialize: (palette) => JSON.stringify({
+            name: palette.name,
+            colors: palette.colors.map(color => ({ name: color.name, hex: color.hex }))
+        }, null, 2) + '\n'
+    },
+    tailwind: {
+        name: 'Tailwind config',
+        extension: 'js',
+        mimeType: 'text/javascript',
+        serialize: (palette) => {
+            const group = toSlug(palette.name) || 'palette';
+            const lines = uniqueSlugs(palette.colors).map((slug, i) => `                    '${slug}': '${palette.colors[i].hex}',`);
+            return `/** @type {import('tailwindcss').Config} */\nmodule.exports = {\n    theme: {\n        extend: {\n            colors: {\n` +
+                `                '${group}': {\n${lines.join('\n')}\n                }\n` +
+                `            }\n        }\n    }\n};\n`;
+        }
+    },
+    gpl: {
+        name: 'GIMP palette',
+        extension: 'gpl',
+        mimeType: 'text/plain',
+        serialize: (palette) => {
+            const rows = palette.colors.map(color => {
+                const { r, g, b } = hexToRgb(color.hex);
+                const channels = [r, g, b].map(v => String(v).padStart(3, ' ')).join(' ');
+                return `${channels}\t${singleLine(color.name)}`;
+            });
+            return `GIMP Palette\nName: ${singleLine(palette.name)}\nColumns: 0\n#\n${rows.join('\n')}\n`;
+        }
+    },
+    ase: {
+        name: 'Adobe swatch exchange',
+        extension: 'ase',
+        mimeType: 'application/octet-stream',
+        serialize: (palette) => encodeAse(palette)
+    }
+};
+
+/**
+ * serializes a palette and wraps it in a Blob ready for download
+ * @param {Object} palette - { name, colors: [{ name, hex }] }
+ * @param {string} format - key of paletteFormats
+ * @returns {{blob: Blob, filename: string}} file to download
+ */
+export function exportPalette(palette, format) {
+    const spec = paletteFormats[format];
+    if (!spec) throw new Error(`Unknown palette format: ${format}`);
+
+    const content = spec.serialize(palette);
+    const blob = new Blob([content], { type: spec.mimeType });
+    const filename = `${toSlug(palette.name) || 'palette'}.${spec.extension}`;
+
+    return { blob, filename };
+}
+
+/**
+ * lowercases a name and collapses everything but letters and digits to single dashes
+ * @param {string} name - display name
+ * @returns {string} slug, possibly empty
+ */
+function toSlug(name) {
+    return name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * joins the lines of a name with spaces, for formats where a line break would end the comment or entry it is in
+ * @param {string} name - display name
+ * @returns {string} name on one line
+ */
+function singleLine(name) {
+    return String(name).replace(/\s*[\r\n\u2028\u2029]+\s*/g, ' ');
+}
+
+/**
+ * slugs for a list of colours, deduplicated with numeric suffixes
+ * @param {Array} colors - colours with a name
+ * @param {boolean} identifier - prefix slugs that start with a digit, for languages where that's invalid
+ * @returns {Array<string>} one slug per colour
+ */
+function uniqueSlugs(colors, identifier = false) {
+    const seen = new Map();
+
+    return colors.map(color => {
+        let slug = toSlug(color.name) || 'color';
+        if (identifier && /^[0-9]/.test(slug)) slug = 'color-' + slug;
+
+        const count = (seen.get(slug) || 0) + 1;
+        seen.set(slug, count);
+        return count > 1 ? `${slug}-${count}` : slug;
+    });
+}
+
+/**
+ * encodes a palette as an Adobe Swatch Exchange (ASE 1.0) file: a named group of RGB global colours.
+ * all values are big-endian and names are null terminated UTF-16
+ * @param {Object} palette - { name, colors: [{ name, hex }] }
+ * @returns {Uint8Array} file bytes
+ */
+function encodeAse(palette) {
+    const nameBlockLength = (name) => 2 + (name.length + 1) * 2;
+    const colorBlockLength = (name) => nameBlockLength(name) + 4 + 12 + 2;
+
+    let size = 12;
+    size += 6 + nameBlockLength(palette.name);
+    for (const color of palette.colors) size += 6 + colorBlockLength(color.name);
+    size += 6;
+
+    const view = new DataView(new ArrayBuffer(size));
+    let offset = 0;
+
+    const writeName = (name) => {
+        view.setUint16(offset, name.length + 1);
+        offset += 2;
+        for (let i = 0; i < name.length; i++) {
+            view.setUint16(offset, name.charCodeAt(i));
+            offset += 2;
+        }
+        view.setUint16(offset, 0);
+        offset += 2;
+    };
+
+    // header: signature, version 1.0, block count
+    [0x41, 0x53, 0x45, 0x46].forEach(byte => view.setUint8(offset++, byte));
+    view.setUint16(offset, 1);
+    view.setUint16(offset + 2, 0);
+    view.setUint32(offset + 4, palette.colors.length + 2);
+    offset += 8;
+
+    // group start
+    view.setUint16(offset, 0xc001);
+    view.setUint32(offset + 2, nameBlockLength(palette.name));
+    offset += 6;
+    writeName(palette.name);
+
+    for (const color of palette.colors) {
+        const { r, g, b } = hexToRgb(color.hex);
+
+        view.setUint16(offset, 0x0001);
+        view.setUint32(offset + 2, colorBlockLength(color.name));
+        offset += 6;
+        writeName(color.name);
+
+        [0x52, 0x47, 0x42, 0x20].forEach(byte => view.setUint8(offset++, byte));
+        view.setFloat32(offset, r / 255);
+        view.setFloat32(offset + 4, g / 255);
+        view.setFloat32(offset + 8, b / 255);
+        offset += 12;
+
+        // colour type: global
+        view.setUint16(offset, 0);
+        offset += 2;
+    }
+
+    // group end
+    view.setUint16(offset, 0xc002);
+    view.setUint32(offset + 2, 0);
+
+    return new Uint8Array(view.buffer);
+}
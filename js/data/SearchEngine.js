@@ -0,0 +1,797 @@
+/**
+ * score of a query word against a name word, by how it matched. the fractions reward
+ * query words that cover more of the word they matched
+ */
+const wordScores = {
+    exact: 10,
+    wordStart: 6,
+    wordStartCoverage: 3,
+    infix: 3,
+    infixCoverage: 2,
+    fuzzy: 4,
+    fuzzyPrefix: 2.5,
+    fuzzyEdit: 1
+};
+
+/**
+ * bonuses for the whole name: the query is the name, or the name starts with it
+ */
+const nameScores = {
+    exact: 30,
+    prefix: 12,
+    // per character, so shorter names win ties
+    length: 0.02
+};
+
+// characters with an accent are indexed without it, and apostrophes are dropped so "brandy's" is one word
+const accents = /[\u0300-\u036f]/g;
+const apostrophes = /['’]/g;
+const nonAscii = /[^\x00-\x7f]/;
+const wordPattern = /[\p{L}\p{N}]+/gu;
+const asciiWordPattern = /[a-z0-9]+/g;
+
+// colours or words handled between the index build's yields
+const BUILD_STEP = 1024;
+
+export class SearchEngine {
+    /**
+     * indexed text search over colour names, hex codes and source names
+     *
+     * names are normalised (lowercase, no accents or apostrophes) and split into words. every distinct word
+     * is listed once, sorted, with the colours it appears in; a prefix trie over the sorted words finds
+     * every word starting with a query word as one range, and an index of the words' trigrams finds words
+     * that contain it or are a typo or two away from it. each query word must match a word of a colour,
+     * and colours are ranked by how well their words matched plus a bonus when the name is, or starts with,
+     * the whole query. hex codes are kept apart as sorted numbers, where a hex prefix is one range.
+     *
+     * the index is built on the first search after setData, or ahead of it in slices by prepareInBackground,
+     * so setting data repeatedly (e.g. while a dataset streams in) costs nothing until someone searches
+     */
+    constructor() {
+        this.data = [];
+        this.dirty = false;
+        // the index build in progress (see prepareInBackground), or null
+        this.building = null;
+
+        this.words = [];
+        this.postings = [];
+        this.names = [];
+        // per colour, so ranking can skip reading most names: their length, and the id of their first word
+        this.nameLengths = new Uint16Array(0);
+        this.firstWords = new Int32Array(0);
+        this.trie = null;
+        this.grams = new Map();
+        // hex codes as numbers, sorted, and the colours they belong to
+        this.hexValues = new Uint32Array(0);
+        this.hexColors = new Uint32Array(0);
+
+        // per colour scratch space for a search; marks are offset by a new base each search so they never need clearing
+        this.marks = new Uint32Array(0);
+        this.best = new Float32Array(0);
+        this.totals = new Float32Array(0);
+        this.markBase = 0;
+    }
+
+    /**
+     * sets the colours to search
+     * @param {Array} data - colour objects
+     */
+    setData(data) {
+        this.data = data;
+        this.dirty = true;
+        this.building = null;
+    }
+
+    /**
+     * builds the index now if the data changed, finishing a background build if one is under way
+     */
+    prepare() {
+        if (!this.dirty) return;
+
+        const steps = this.building || this._buildSteps();
+        this.building = null;
+        while (!steps.next().done);
+    }
+
+    /**
+     * builds the index in slices of a few milliseconds, yielding to the event loop between them, so the
+     * next search doesn't wait for it and the page never stalls. restarts when the data changes mid-build
+     * @param {number} sliceMs - time to work before yielding
+     * @returns {Promise<void>} resolves once the index matches the data
+     */
+    async prepareInBackground(sliceMs = 8) {
+        while (this.dirty) {
+            if (!this.building) this.building = this._buildSteps();
+            const steps = this.building;
+
+            const end = performance.now() + sliceMs;
+            let done = false;
+            while (!done && performance.now() < end) done = steps.next().done;
+            if (done && this.building === steps) this.building = null;
+
+            if (this.dirty) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    /**
+     * finds the colours matching a query, best first
+     * @param {string} query - words to look for, in any order; each can be the start, part of or a typo of a word
+     * @param {Object} options - { limit: max results (100), filter: (color, index) => boolean,
+     *     fuzzy: whether typos match (true) }
+     * @returns {Array<{index:number,score:number,highlights:Object}>} results, where highlights holds
+     *     [start, end) ranges of the matched text for each of the colour's name, hex and source
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 100;
+        const filter = options.filter;
+        const fuzzy = options.fuzzy !== false;
+
+        this.prepare();
+
+        const normalized = normalize(query);
+        const queryWords = this._queryWords(normalized);
+        if (queryWords.length === 0 || this.data.length === 0) return [];
+
+        const phraseWords = queryWords.length > 1 ? splitWords(normalized) : queryWords;
+        const phrase = phraseWords.join(' ');
+
+        // only names whose first word could start the phrase need comparing with it
+        const [firstLo, firstHi] = phraseWords.length > 1 ? this._wordRange(phraseWords[0]) : this._prefixRange(phrase);
+        const rank = (i, total) => {
+            let score = total - this.nameLengths[i] * nameScores.length;
+            const first = this.firstWords[i];
+            if (first >= firstLo && first < firstHi) {
+                const name = this.names[i];
+                if (name === phrase) score += nameScores.exact;
+                else if (name.startsWith(phrase)) score += nameScores.prefix;
+            }
+            return score;
+        };
+
+        // keep the best results in a heap whose root is the worst of them, so most candidates are turned away
+        // by one comparison
+        const top = new TopScores(limit);
+        const offer = (i, score) => {
+            if (!top.accepts(score)) return;
+            if (filter && !filter(this.data[i], i)) return;
+            top.push(i, score);
+        };
+
+        if (queryWords.length === 1) {
+            this._rankWord(queryWords[0], fuzzy, rank, top, offer);
+        } else {
+            for (const i of this._matchAll(queryWords, fuzzy)) offer(i, rank(i, this.totals[i]));
+        }
+
+        const results = top.sorted();
+        for (const result of results) {
+            result.highlights = this._highlight(this.data[result.index], queryWords, fuzzy);
+        }
+        return results;
+    }
+
+    /**
+     * finds every colour matching a query, unranked, e.g. to test colours against a word of a structured query
+     * @param {string} query - words to look for (see search)
+     * @param {Object} options - { fuzzy: whether typos match (true) }
+     * @returns {Set<number>} indices of the matching colours
+     */
+    matching(query, options = {}) {
+        this.prepare();
+        const queryWords = this._queryWords(normalize(query));
+        if (queryWords.length === 0 || this.data.length === 0) return new Set();
+        return new Set(this._matchAll(queryWords, options.fuzzy !== false));
+    }
+
+    /**
+     * finds where a query's words appear in a colour's name, hex and source
+     * @param {Object} color - colour object
+     * @param {string} query - words to look for (see search)
+     * @param {Object} options - { fuzzy: whether typos count (true) }
+     * @returns {Object} { name, hex, source }, each a list of [start, end) ranges
+     */
+    highlight(color, query, options = {}) {
+        return this._highlight(color, this._queryWords(normalize(query)), options.fuzzy !== false);
+    }
+
+    /**
+     * ranks the colours matching a single query word. short queries match a large part of the data, so the words
+     * they match are visited best first, and the walk stops once no colour of the remaining words could make
+     * the top results, even with the whole name bonus
+     * @param {Function} rank - (index, word score) => the colour's score
+     * @param {TopScores} top - the best results so far
+     * @param {Function} offer - (index, score) => void, adds a result to top if it is good enough
+     */
+    _rankWord(queryWord, fuzzy, rank, top, offer) {
+        const base = this._newMarks();
+        const marks = this.marks;
+
+        const found = this._matchWord(queryWord, fuzzy).sort((a, b) => b[1] - a[1]);
+        for (const [docs, score] of found) {
+            // only a name that is the query word itself gets the exact bonus, and it matched exactly
+            const bound = score + (score >= wordScores.exact ? nameScores.exact : nameScores.prefix);
+            if (!top.accepts(bound)) break;
+
+            for (let d = 0; d < docs.length; d++) {
+                const i = docs[d];
+                if (marks[i] === base) continue;
+                marks[i] = base;
+                offer(i, rank(i, score));
+            }
+        }
+    }
+
+    /**
+     * starts a new round of marks, leaving room for `span` values of its own after the base
+     * @returns {number} the base; marks below it are from earlier rounds
+     */
+    _newMarks(span = 1) {
+        if (this.markBase > 0xffffffff - 2 * span) {
+            this.marks.fill(0);
+            this.markBase = 0;
+        }
+        return this.markBase += span;
+    }
+
+    /**
+     * splits a normalised query into its distinct words, longest first
+     */
+    _queryWords(normalized) {
+        return [...new Set(splitWords(normalized))]
+            // longer words match fewer colours, so narrowing with them first leaves less to check
+            .sort((a, b) => b.length - a.length)
+            .slice(0, 32);
+    }
+
+    /**
+     * finds the colours matching every query word, adding up each word's best score into `totals`
+     * @returns {Array<number>} indices of the colours that matched them all
+     */
+    _matchAll(queryWords, fuzzy) {
+        // a new base per search; each colour's mark says how many query words it has matched
+        const base = this._newMarks(33);
+        const marks = this.marks;
+        const best = this.best;
+        const totals = this.totals;
+
+        let reached = [];
+        queryWords.forEach((queryWord, q) => {
+            const previous = base + q;
+            const matched = previous + 1;
+            const next = [];
+
+            for (const [docs, score] of this._matchWord(queryWord, fuzzy)) {
+                for (let d = 0; d < docs.length; d++) {
+                    const i = docs[d];
+                    const mark = marks[i];
+                    if (mark === previous || (q === 0 && mark < base)) {
+                        if (q === 0) totals[i] = 0;
+                        marks[i] = matched;
+                        best[i] = score;
+                        totals[i] += score;
+                        next.push(i);
+                    } else if (mark === matched && score > best[i]) {
+                        totals[i] += score - best[i];
+                        best[i] = score;
+                    }
+                }
+            }
+            reached = next;
+        });
+
+        return reached;
+    }
+
+    /**
+     * finds the colours a query word matches, through the words and hex codes it matches
+     * @returns {Array<Array>} [colour indices, score] pairs
+     */
+    _matchWord(queryWord, fuzzy) {
+        const found = [];
+        for (const [w, score] of this._matchWords(queryWord, fuzzy)) found.push([this.postings[w], score]);
+
+        const [lo, hi] = this._hexRange(queryWord);
+        if (hi > lo) {
+            const score = queryWord.length === 6 ? wordScores.exact :
+                wordScores.wordStart + wordScores.wordStartCoverage * queryWord.length / 6;
+            found.push([this.hexColors.subarray(lo, hi), score]);
+        }
+        return found;
+    }
+
+    /**
+     * finds the index words a query word matches
+     * @returns {Map<number, number>} word id to score
+     */
+    _matchWords(queryWord, fuzzy) {
+        const matches = new Map();
+        const length = queryWord.length;
+
+        // words starting with it are one range of the sorted words
+        const [lo, hi] = this._prefixRange(queryWord);
+        for (let w = lo; w < hi; w++) {
+            const word = this.words[w];
+            matches.set(w, word.length === length ? wordScores.exact :
+                wordScores.wordStart + wordScores.wordStartCoverage * length / word.length);
+        }
+        if (length < 3) return matches;
+
+        // words containing it hold all of its trigrams
+        const inner = trigrams(queryWord, false).map(gram => this.grams.get(gram));
+        if (inner.every(Boolean)) {
+            inner.sort((a, b) => a.length - b.length);
+            for (const w of inner[0]) {
+                if (matches.has(w)) continue;
+                const word = this.words[w];
+                if (word.includes(queryWord)) {
+                    matches.set(w, wordScores.infix + wordScores.infixCoverage * length / word.length);
+                }
+            }
+        }
+        if (!fuzzy) return matches;
+
+        // words a typo or two away share most of its trigrams, counting the ones at the word's edges
+        const maxEdits = length >= 6 ? 2 : 1;
+        const grams = trigrams(queryWord, true);
+        const needed = Math.max(1, grams.length - 1 - 3 * maxEdits);
+        const shared = new Map();
+        for (const gram of grams) {
+            const words = this.grams.get(gram);
+            if (!words) continue;
+            for (const w of words) shared.set(w, (shared.get(w) || 0) + 1);
+        }
+
+        for (const [w, count] of shared) {
+            if (count < needed || matches.has(w)) continue;
+            const edits = fuzzyEdits(queryWord, this.words[w], maxEdits);
+            if (edits) {
+                const score = (edits.prefix ? wordScores.fuzzyPrefix : wordScores.fuzzy) - wordScores.fuzzyEdit * edits.distance;
+                matches.set(w, score);
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * finds a whole word among the sorted words
+     * @returns {Array<number>} [lo, hi) range holding just that word, or an empty one
+     */
+    _wordRange(word) {
+        const [lo, hi] = this._prefixRange(word);
+        return hi > lo && this.words[lo] === word ? [lo, lo + 1] : [0, 0];
+    }
+
+    /**
+     * finds the hex codes starting with a query word
+     * @returns {Array<number>} [lo, hi) range of hexValues
+     */
+    _hexRange(queryWord) {
+        if (!/^[0-9a-f]{1,6}$/.test(queryWord)) return [0, 0];
+
+        const shift = 4 * (6 - queryWord.length);
+        const from = parseInt(queryWord, 16) << shift >>> 0;
+        const to = from + (1 << shift);
+        return [lowerBound(this.hexValues, from), lowerBound(this.hexValues, to)];
+    }
+
+    /**
+     * walks the prefix trie
+     * @returns {Array<number>} [lo, hi) range of the sorted words starting with the prefix
+     */
+    _prefixRange(prefix) {
+        const { firstChild, nextSibling, char, lo, hi } = this.trie;
+        let node = 0;
+        for (let c = 0; c < prefix.length; c++) {
+            const code = prefix.charCodeAt(c);
+            let child = firstChild[node];
+            while (child !== -1 && char[child] !== code) child = nextSibling[child];
+            if (child === -1) return [0, 0];
+            node = child;
+        }
+        return [lo[node], hi[node]];
+    }
+
+    /**
+     * finds where each query word matched a colour's name, hex and source
+     * @returns {Object} { name, hex, source }, each a list of [start, end) ranges in the original text
+     */
+    _highlight(color, queryWords, fuzzy) {
+        const highlights = {};
+        for (const field of ['name', 'hex', 'source']) {
+            const text = color[field];
+            highlights[field] = [];
+            if (typeof text !== 'string') continue;
+
+            // hex codes only match from their start
+            const { normalized, starts, ends } = normalizeMapped(text);
+            for (const match of normalized.matchAll(wordPattern)) {
+                const word = match[0];
+                for (const queryWord of queryWords) {
+                    const range = field === 'hex' ? matchRange(queryWord, word, false, true) : matchRange(queryWord, word, fuzzy);
+                    if (!range) continue;
+                    const from = match.index + range[0];
+                    const to = match.index + range[1] - 1;
+                    highlights[field].push([starts[from], ends[to]]);
+                }
+            }
+            highlights[field] = mergeRanges(highlights[field]);
+        }
+        return highlights;
+    }
+
+    /**
+     * builds the index in steps, yielding between them so a caller can spread the work over several slices.
+     * the new index replaces the old one only once it is complete, and only if the data hasn't changed since
+     */
+    *_buildSteps() {
+        const data = this.data;
+        const count = data.length;
+
+        // words in the order they were first seen, each with the colours it appears in
+        const ids = new Map();
+        const words = [];
+        const docs = [];
+        const add = (word, i) => {
+            const id = ids.get(word);
+            if (id === undefined) {
+                ids.set(word, words.length);
+                words.push(word);
+                docs.push([i]);
+            } else if (docs[id][docs[id].length - 1] !== i) {
+                docs[id].push(i);
+            }
+        };
+
+        const hexes = [];
+        const hexIndices = [];
+        const firstIds = new Int32Array(count);
+        const names = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const color = data[i];
+            const nameWords = splitWords(normalize(color.name));
+            names[i] = nameWords.join(' ');
+            if (nameWords.length > 0) firstIds[i] = ids.has(nameWords[0]) ? ids.get(nameWords[0]) : words.length;
+
+            for (const word of nameWords) add(word, i);
+            const hex = parseInt(color.hex.slice(1), 16);
+            if (color.hex.length === 7 && hex >= 0) {
+                hexes.push(hex);
+                hexIndices.push(i);
+            }
+            if (color.source !== undefined) {
+                for (const word of splitWords(normalize(color.source))) add(word, i);
+            }
+            if (i % BUILD_STEP === BUILD_STEP - 1) yield;
+        }
+
+        const order = words.map((word, id) => id).sort((a, b) => (words[a] < words[b] ? -1 : 1));
+        const sortedWords = order.map(id => words[id]);
+        yield;
+
+        const sortedIds = new Int32Array(order.length);
+        order.forEach((id, w) => { sortedIds[id] = w; });
+        const nameLengths = new Uint16Array(count);
+        const firstWords = new Int32Array(count).fill(-1);
+        for (let i = 0; i < count; i++) {
+            nameLengths[i] = Math.min(names[i].length, 0xffff);
+            if (names[i]) firstWords[i] = sortedIds[firstIds[i]];
+            if (i % BUILD_STEP === BUILD_STEP - 1) yield;
+        }
+        const postings = new Array(order.length);
+        for (let w = 0; w < order.length; w++) {
+            postings[w] = Uint32Array.from(docs[order[w]]);
+            if (w % BUILD_STEP === BUILD_STEP - 1) yield;
+        }
+
+        const trie = buildTrie(sortedWords);
+        yield;
+
+        const [hexValues, hexColors] = yield* sortByHex(Uint32Array.from(hexes), Uint32Array.from(hexIndices));
+
+        const lists = new Map();
+        for (let w = 0; w < sortedWords.length; w++) {
+            for (const gram of trigrams(sortedWords[w], true)) {
+                const list = lists.get(gram);
+                if (!list) lists.set(gram, [w]);
+                else if (list[list.length - 1] !== w) list.push(w);
+            }
+            if (w % BUILD_STEP === BUILD_STEP - 1) yield;
+        }
+        const grams = new Map();
+        for (const [gram, list] of lists) {
+            grams.set(gram, Uint32Array.from(list));
+            if (grams.size % BUILD_STEP === 0) yield;
+        }
+
+        if (this.data !== data) return;
+
+        Object.assign(this, { words: sortedWords, postings, names, nameLengths, firstWords, trie, hexColors, hexValues, grams });
+        if (this.marks.length < count) {
+            this.marks = new Uint32Array(count);
+            this.best = new Float32Array(count);
+            this.totals = new Float32Array(count);
+            this.markBase = 0;
+        }
+        this.dirty = false;
+    }
+}
+
+/**
+ * fixed capacity binary min-heap of scored results, used to keep the best `capacity` of them.
+ * among equal scores the earlier result wins, as if the results were sorted stably
+ */
+class TopScores {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = [];
+        this.pushed = 0;
+    }
+
+    /**
+     * whether a result with this score would make it into the heap
+     */
+    accepts(score) {
+        return this.items.length < this.capacity || score > this.items[0].score;
+    }
+
+    push(index, score) {
+        const items = this.items;
+        const item = { index, score, order: this.pushed++ };
+
+        if (items.length < this.capacity) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (!worse(items[i], items[parent])) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        } else if (worse(items[0], item)) {
+            items[0] = item;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let worst = i;
+                if (l < items.length && worse(items[l], items[worst])) worst = l;
+                if (r < items.length && worse(items[r], items[worst])) worst = r;
+                if (worst === i) break;
+                [items[worst], items[i]] = [items[i], items[worst]];
+                i = worst;
+            }
+        }
+    }
+
+    /**
+     * @returns {Array<{index:number,score:number}>} the kept results, best first
+     */
+    sorted() {
+        return this.items
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(item => ({ index: item.index, score: item.score }));
+    }
+}
+
+function worse(a, b) {
+    return a.score < b.score || (a.score === b.score && a.order > b.order);
+}
+
+/**
+ * lowercases text and strips accents and apostrophes
+ */
+function normalize(text) {
+    let normalized = text.toLowerCase();
+    if (nonAscii.test(normalized)) normalized = normalized.normalize('NFD').replace(accents, '');
+    return normalized.replace(apostrophes, '');
+}
+
+/**
+ * splits normalised text into words
+ */
+function splitWords(normalized) {
+    return normalized.match(nonAscii.test(normalized) ? wordPattern : asciiWordPattern) || [];
+}
+
+/**
+ * normalises text one character at a time, remembering where each normalised character came from
+ * @returns {Object} { normalized, starts, ends }, where starts[k] and ends[k] are the range in the
+ *     original text of normalised character k
+ */
+function normalizeMapped(text) {
+    if (!nonAscii.test(text) && !text.includes('\'')) {
+        const starts = [];
+        const ends = [];
+        for (let k = 0; k < text.length; k++) {
+            starts.push(k);
+            ends.push(k + 1);
+        }
+        return { normalized: text.toLowerCase(), starts, ends };
+    }
+
+    let normalized = '';
+    const starts = [];
+    const ends = [];
+    let at = 0;
+    for (const char of text) {
+        const part = normalize(char);
+        for (let k = 0; k < part.length; k++) {
+            starts.push(at);
+            ends.push(at + char.length);
+        }
+        normalized += part;
+        at += char.length;
+    }
+    return { normalized, starts, ends };
+}
+
+/**
+ * splits a word into overlapping three character pieces
+ * @param {boolean} padded - whether to include the pieces at the word's edges, e.g. '^bl' and 'ue$' for 'blue'
+ */
+function trigrams(word, padded) {
+    const text = padded ? `^${word}$` : word;
+    const grams = [];
+    for (let i = 0; i + 3 <= text.length; i++) grams.push(text.slice(i, i + 3));
+    return grams;
+}
+
+/**
+ * measures how far a query word is from a word, or from the word's start when the query may still be being typed
+ * @returns {Object|null} { distance, prefix } or null when it is further than maxEdits
+ */
+function fuzzyEdits(queryWord, word, maxEdits) {
+    if (Math.abs(word.length - queryWord.length) <= maxEdits) {
+        const distance = typoDistance(queryWord, word);
+        if (distance <= maxEdits) return { distance, prefix: false };
+    }
+    if (queryWord.length >= 4 && word.length > queryWord.length) {
+        const distance = typoDistance(queryWord, word.slice(0, queryWord.length));
+        if (distance <= maxEdits) return { distance, prefix: true };
+    }
+    return null;
+}
+
+/**
+ * counts the edits between two words, where an edit inserts, removes or changes a character
+ * or swaps two neighbouring ones ("purpel" is one edit from "purple")
+ */
+function typoDistance(a, b) {
+    let before = null;
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) previous.push(j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, before[j - 2] + 1);
+            }
+            row.push(distance);
+        }
+        before = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+/**
+ * finds which part of a normalised word a query word matched
+ * @param {boolean} prefixOnly - whether only the start of the word counts
+ * @returns {Array<number>|null} [start, end) in the word
+ */
+function matchRange(queryWord, word, fuzzy, prefixOnly = false) {
+    if (word.startsWith(queryWord)) return [0, queryWord.length];
+    if (queryWord.length >= 3 && !prefixOnly) {
+        const at = word.indexOf(queryWord);
+        if (at >= 0) return [at, at + queryWord.length];
+
+        if (fuzzy) {
+            const edits = fuzzyEdits(queryWord, word, queryWord.length >= 6 ? 2 : 1);
+            if (edits) return [0, edits.prefix ? queryWord.length : word.length];
+        }
+    }
+    return null;
+}
+
+/**
+ * sorts ranges and joins the ones that overlap or touch
+ */
+function mergeRanges(ranges) {
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const range of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([range[0], range[1]]);
+    }
+    return merged;
+}
+
+/**
+ * finds the first position in a sorted array whose value is at least a given one
+ */
+function lowerBound(values, value) {
+    let lo = 0;
+    let hi = values.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * stably sorts colours by hex code, one 12-bit digit at a time, yielding between the passes
+ * @param {Uint32Array} values - 24-bit hex values
+ * @param {Uint32Array} indices - colour index of each value
+ * @returns {Array<Uint32Array>} [values, indices], sorted by value
+ */
+function* sortByHex(values, indices) {
+    for (const shift of [0, 12]) {
+        const starts = new Uint32Array(4097);
+        for (const value of values) starts[((value >>> shift) & 0xfff) + 1]++;
+        for (let digit = 1; digit <= 4096; digit++) starts[digit] += starts[digit - 1];
+
+        const sortedValues = new Uint32Array(values.length);
+        const sortedIndices = new Uint32Array(values.length);
+        for (let k = 0; k < values.length; k++) {
+            const at = starts[(values[k] >>> shift) & 0xfff]++;
+            sortedValues[at] = values[k];
+            sortedIndices[at] = indices[k];
+        }
+        values = sortedValues;
+        indices = sortedIndices;
+        yield;
+    }
+    return [values, indices];
+}
+
+/**
+ * builds a prefix trie over sorted words as flat arrays. every node covers the [lo, hi) range of
+ * the words below it, which is contiguous because the words are sorted
+ * @returns {Object} { firstChild, nextSibling, char, lo, hi }, indexed by node with the root at 0
+ */
+function buildTrie(words) {
+    const firstChild = [-1];
+    const lastChild = [-1];
+    const nextSibling = [-1];
+    const char = [0];
+    const lo = [0];
+    const hi = [words.length];
+
+    words.forEach((word, w) => {
+        let node = 0;
+        for (let c = 0; c < word.length; c++) {
+            const code = word.charCodeAt(c);
+            // sorted input only ever extends the newest child
+            let child = lastChild[node];
+            if (child === -1 || char[child] !== code) {
+                child = char.length;
+                firstChild.push(-1);
+                lastChild.push(-1);
+                nextSibling.push(-1);
+                char.push(code);
+                lo.push(w);
+                hi.push(w + 1);
+
+                if (lastChild[node] === -1) firstChild[node] = child;
+                else nextSibling[lastChild[node]] = child;
+                lastChild[node] = child;
+            }
+            hi[child] = w + 1;
+            node = child;
+        }
+    });
+
+    return {
+        firstChild: Int32Array.from(firstChild),
+        nextSibling: Int32Array.from(nextSibling),
+        char: Uint16Array.from(char),
+        lo: Uint32Array.from(lo),
+        hi: Uint32Array.from(hi)
+    };
+}
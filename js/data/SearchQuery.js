@@ -0,0 +1,427 @@
+import { parseColor, colorDistances } from '../utils.js';
+import { filterChannels } from './ColorFilter.js';
+
+/**
+ * comparison operators for attribute and ΔE clauses. = allows half a slider step either way,
+ * so L=0.5 and r=128 find colours that show those values
+ */
+const comparisons = {
+    '>': (value, limit) => value > limit,
+    '>=': (value, limit) => value >= limit,
+    '<': (value, limit) => value < limit,
+    '<=': (value, limit) => value <= limit,
+    '=': (value, limit, step) => Math.abs(value - limit) <= step / 2
+};
+
+/**
+ * ΔE clauses by name. a bare de is ΔE2000, the usual meaning of ΔE, so de<2 is about a just noticeable difference
+ */
+const distanceKeys = { de: 'de2000', deok: 'oklab', de76: 'de76', de94: 'de94', de2000: 'de2000' };
+
+const flagValues = new Map([['true', true], ['good', true], ['1', true], ['false', false], ['bad', false], ['0', false]]);
+
+const fieldList = 'name, hex, source, flag, near';
+const channelList = Object.keys(filterChannels).join(', ');
+
+/**
+ * parses a search query into a tree of clauses
+ *
+ * words are matched like a plain search; name:, hex:, source:, flag: and near: take a value after the colon
+ * (quoted when it has spaces); l, c, h (OKLCh) and r, g, b (0-255) compare with >, >=, <, <= and = or take
+ * a range like h:200..260, where hue ranges may wrap (h:300..30). de<5 keeps colours within a ΔE2000 of the
+ * near: colour before it (deok, de76, de94 and de2000 pick the metric). clauses next to each other must all
+ * match, OR between them lets either match, - in front of one inverts it and parentheses group them
+ * @param {string} text - the query
+ * @returns {Object} { node, structured, error }: node is the clause tree (null when empty), structured says
+ *     whether it uses anything beyond words, and error is null or { message, start, end } with the offending
+ *     range of the text
+ */
+export function parseQuery(text) {
+    try {
+        const parser = new QueryParser(text);
+        const node = parser.parse();
+        return { node, structured: isStructured(node), error: null };
+    } catch (e) {
+        if (!(e instanceof QueryError)) throw e;
+        return { node: null, structured: true, error: { message: e.message, start: e.start, end: e.end } };
+    }
+}
+
+/**
+ * turns a parsed query into tests over a dataset
+ * @param {Object} node - clause tree from parseQuery
+ * @param {Object} context - { data: colour objects, engine: SearchEngine over the same data,
+ *     metric: key of colorDistances to rank by when no ΔE clause names one }
+ * @returns {Object} { test: (index) => boolean, near: colour of the first near: clause or null,
+ *     metric: key of colorDistances it is measured with, distance: (index) => ΔE from it or null,
+ *     rankText: words to rank matches by or null, highlightText: words and values to mark in the results }
+ */
+export function compileQuery(node, context) {
+    const { data, engine } = context;
+
+    // every near: colour and metric gets one distance per dataset colour, worked out when first needed
+    const distances = new Map();
+    const distanceTo = (near, metricKey) => {
+        const key = `${near.start} ${metricKey}`;
+        if (!distances.has(key)) {
+            const metric = colorDistances[metricKey];
+            const values = new Float64Array(data.length).fill(NaN);
+            distances.set(key, (i) => {
+                if (Number.isNaN(values[i])) values[i] = metric.fn(near.color, data[i]);
+                return values[i];
+            });
+        }
+        return distances.get(key);
+    };
+
+    const highlights = [];
+    let firstNear = null;
+
+    const compile = (clause, negated) => {
+        switch (clause.type) {
+            case 'and': {
+                const tests = clause.items.map(item => compile(item, negated));
+                return (i) => tests.every(test => test(i));
+            }
+            case 'or': {
+                const tests = clause.items.map(item => compile(item, negated));
+                return (i) => tests.some(test => test(i));
+            }
+            case 'not': {
+                const test = compile(clause.item, !negated);
+                return (i) => !test(i);
+            }
+            case 'word': {
+                if (!negated) highlights.push(clause.value);
+                const members = engine.matching(clause.value);
+                return (i) => members.has(i);
+            }
+            case 'name': {
+                if (!negated) highlights.push(clause.value);
+                return (i) => data[i].name.toLowerCase().includes(clause.value);
+            }
+            case 'hex': {
+                if (!negated) highlights.push(clause.value);
+                return (i) => data[i].hex.toLowerCase().replace('#', '').startsWith(clause.value);
+            }
+            case 'source': {
+                if (!negated) highlights.push(clause.value);
+                return (i) => data[i].source !== undefined && data[i].source.toLowerCase().includes(clause.value);
+            }
+            case 'flag':
+                return (i) => !!data[i].flag === clause.value;
+            case 'compare': {
+                const spec = filterChannels[clause.channel];
+                const compare = comparisons[clause.op];
+                return (i) => compare(spec.get(data[i]), clause.value, spec.step);
+            }
+            case 'range': {
+                const spec = filterChannels[clause.channel];
+                const { min, max } = clause;
+                if (spec.circular && min > max) return (i) => spec.get(data[i]) >= min || spec.get(data[i]) <= max;
+                return (i) => spec.get(data[i]) >= min && spec.get(data[i]) <= max;
+            }
+            case 'near':
+                // ranks rather than filters; de clauses do the filtering
+                if (!firstNear) firstNear = clause;
+                return () => true;
+            case 'distance': {
+                const distance = distanceTo(clause.near, clause.metric);
+                const compare = comparisons[clause.op];
+                return (i) => compare(distance(i), clause.value, 0);
+            }
+            default:
+                throw new Error(`Unknown clause ${clause.type}`);
+        }
+    };
+
+    const test = compile(node, false);
+
+    // the first near: colour ranks the matches, measured like the first ΔE clause on it
+    let metric = colorDistances[context.metric] ? context.metric : 'oklab';
+    if (firstNear) {
+        const measured = findClause(node, clause => clause.type === 'distance' && clause.near === firstNear);
+        if (measured) metric = measured.metric;
+    }
+
+    // words that every match must have can rank the matches like a plain search
+    const required = node.type === 'and' ? node.items : [node];
+    const rankWords = required.filter(item => item.type === 'word').map(item => item.value);
+
+    return {
+        test,
+        near: firstNear ? firstNear.color : null,
+        metric,
+        distance: firstNear ? distanceTo(firstNear, metric) : null,
+        rankText: rankWords.length > 0 ? rankWords.join(' ') : null,
+        highlightText: highlights.join(' ')
+    };
+}
+
+class QueryError extends Error {
+    constructor(message, start, end) {
+        super(message);
+        this.start = start;
+        this.end = end;
+    }
+}
+
+/**
+ * recursive descent over the query's tokens:
+ *   or    := and ('OR' and)*
+ *   and   := unary ('AND'? unary)*
+ *   unary := '-' unary | '(' or ')' | term
+ */
+class QueryParser {
+    constructor(text) {
+        this.text = text;
+        this.tokens = tokenize(text);
+        this.position = 0;
+        // the near: clause a following de clause measures from
+        this.lastNear = null;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) return null;
+
+        const node = this._parseOr();
+        const extra = this._peek();
+        if (extra) throw new QueryError('Unexpected ")" without a matching "("', extra.start, extra.end);
+        return node;
+    }
+
+    _peek() {
+        return this.tokens[this.position] || null;
+    }
+
+    _next() {
+        return this.tokens[this.position++];
+    }
+
+    _parseOr() {
+        const items = [this._parseAnd()];
+        while (this._peek() && this._peek().type === 'OR') {
+            const operator = this._next();
+            this._expectOperand(operator);
+            items.push(this._parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+
+    _parseAnd() {
+        const items = [this._parseUnary()];
+        for (let token = this._peek(); token && token.type !== 'OR' && token.type !== ')'; token = this._peek()) {
+            if (token.type === 'AND') {
+                this._next();
+                this._expectOperand(token);
+            }
+            items.push(this._parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+
+    _parseUnary() {
+        const token = this._next();
+
+        if (token.type === '-') {
+            this._expectOperand(token);
+            const item = this._parseUnary();
+            if (item.type === 'near') {
+                throw new QueryError('near: can\'t be negated; use de> to leave out colours close to it', token.start, item.end);
+            }
+            return { type: 'not', item, start: token.start, end: item.end };
+        }
+
+        if (token.type === '(') {
+            if (this._peek() && this._peek().type === ')') {
+                throw new QueryError('Empty parentheses', token.start, this._peek().end);
+            }
+            this._expectOperand(token);
+            const node = this._parseOr();
+            const close = this._next();
+            if (!close || close.type !== ')') throw new QueryError('Missing ")"', token.start, this.text.length);
+            return node;
+        }
+
+        if (token.type === 'AND' || token.type === 'OR') {
+            throw new QueryError(`${token.type} needs a clause before it`, token.start, token.end);
+        }
+        if (token.type === ')') {
+            throw new QueryError('Unexpected ")" without a matching "("', token.start, token.end);
+        }
+
+        return this._parseTerm(token);
+    }
+
+    /**
+     * makes sure an operator or bracket is followed by a clause
+     */
+    _expectOperand(token) {
+        const next = this._peek();
+        if (!next || next.type === ')' || next.type === 'OR' || next.type === 'AND') {
+            const what = token.type === '(' ? '"("' : token.type === '-' ? '"-"' : token.type;
+            throw new QueryError(`${what} needs a clause after it`, token.start, token.end);
+        }
+    }
+
+    _parseTerm(token) {
+        const { text, start, end } = token;
+        const clause = (fields) => ({ ...fields, start, end });
+
+        const comparison = /^([a-z][a-z0-9]*)(>=|<=|>|<|=)(.*)$/i.exec(text);
+        if (comparison) {
+            const key = comparison[1].toLowerCase();
+            const op = comparison[2];
+            const value = parseNumber(comparison[3]);
+            if (value === null) {
+                throw new QueryError(`Expected a number after "${comparison[1]}${op}"`, start, end);
+            }
+
+            if (distanceKeys[key]) {
+                if (!this.lastNear) throw new QueryError(`${key} needs a near: colour before it, e.g. near:#336699 ${key}<5`, start, end);
+                return clause({ type: 'distance', op, value, metric: distanceKeys[key], near: this.lastNear });
+            }
+            if (!filterChannels[key]) {
+                throw new QueryError(`Unknown attribute "${comparison[1]}"; use ${channelList} or de`, start, start + comparison[1].length);
+            }
+            return clause({ type: 'compare', channel: key, op, value });
+        }
+
+        const field = /^([a-z]+):(.*)$/i.exec(text);
+        if (!field) return clause({ type: 'word', value: unquote(text) });
+
+        const key = field[1].toLowerCase();
+        const value = unquote(field[2]).trim();
+        if (value === '') throw new QueryError(`"${field[1]}:" needs a value`, start, end);
+
+        if (filterChannels[key]) {
+            const range = /^(.+?)\.\.(.+)$/.exec(value);
+            const min = range ? parseNumber(range[1]) : null;
+            const max = range ? parseNumber(range[2]) : null;
+            if (min === null || max === null) {
+                const [from, to] = exampleRange(key);
+                throw new QueryError(`Use a range like ${key}:${from}..${to} or a comparison like ${key}>${from}`, start, end);
+            }
+            return clause({ type: 'range', channel: key, min, max });
+        }
+
+        switch (key) {
+            case 'name':
+            case 'source':
+                return clause({ type: key, value: value.toLowerCase() });
+            case 'hex': {
+                if (!/^#?[0-9a-f]{1,6}$/i.test(value)) {
+                    throw new QueryError('hex: takes up to six hex digits, e.g. hex:#a5', start, end);
+                }
+                return clause({ type: 'hex', value: value.replace('#', '').toLowerCase() });
+            }
+            case 'flag': {
+                const flag = flagValues.get(value.toLowerCase());
+                if (flag === undefined) throw new QueryError('flag: is true or false', start, end);
+                return clause({ type: 'flag', value: flag });
+            }
+            case 'near': {
+                const color = parseColor(value);
+                if (!color) throw new QueryError(`Can't read "${value}" as a colour`, start + field[1].length + 1, end);
+                this.lastNear = clause({ type: 'near', color });
+                return this.lastNear;
+            }
+            default:
+                throw new QueryError(`Unknown field "${field[1]}:"; use ${fieldList} or ${channelList}`, start, start + field[1].length + 1);
+        }
+    }
+}
+
+/**
+ * splits a query into brackets, negations, AND / OR and terms. a term runs to the next space or
+ * unmatched ")", keeping spaces inside quotes and inside a colour function like oklch(0.6 0.1 200)
+ * @returns {Array<Object>} tokens: { type: '(' | ')' | '-' | 'AND' | 'OR' | 'term', text, start, end }
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // - only negates at the start of a term, so "blue-green" stays one word
+        const startsTerm = i + 1 < text.length && !/\s/.test(text[i + 1]);
+        if (char === '(' || char === ')' || (char === '-' && startsTerm)) {
+            tokens.push({ type: char, text: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let depth = 0;
+        let quote = -1;
+        for (; i < text.length; i++) {
+            const c = text[i];
+            if (quote >= 0) {
+                if (c === '"') quote = -1;
+            } else if (c === '"') {
+                quote = i;
+            } else if (c === '(') {
+                depth++;
+            } else if (c === ')') {
+                if (depth === 0) break;
+                depth--;
+            } else if (/\s/.test(c) && depth === 0) {
+                break;
+            }
+        }
+        if (quote >= 0) throw new QueryError('Missing closing quote', quote, text.length);
+
+        const term = text.slice(start, i);
+        const type = term === 'AND' || term === 'OR' ? term : 'term';
+        tokens.push({ type, text: term, start, end: i });
+    }
+
+    return tokens;
+}
+
+/**
+ * finds the first clause of a tree, in query order, that passes a test
+ */
+function findClause(node, test) {
+    if (test(node)) return node;
+    const children = node.items || (node.item ? [node.item] : []);
+    for (const child of children) {
+        const found = findClause(child, test);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * whether a clause tree is more than a list of words, which a plain search handles on its own
+ */
+function isStructured(node) {
+    if (!node) return false;
+    if (node.type === 'word') return false;
+    if (node.type === 'and') return node.items.some(item => item.type !== 'word');
+    return true;
+}
+
+function parseNumber(text) {
+    const trimmed = text.trim();
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(trimmed)) return null;
+    return Number(trimmed);
+}
+
+function unquote(text) {
+    return text.replace(/"/g, '');
+}
+
+/**
+ * the second quarter of a channel's range, formatted for an error message
+ */
+function exampleRange(key) {
+    const spec = filterChannels[key];
+    const span = spec.max - spec.min;
+    return [0.25, 0.5].map(f => (spec.min + span * f).toFixed(spec.precision));
+}
@@ -0,0 +1,115 @@
+export class SourceLayers {
+    /**
+     * the colours on show, as layers: the base dataset plus any lists imported alongside it
+     *
+     * the merged data is the base colours first, then each imported source's colours in import order,
+     * so base indices never move. imported colours are tagged with their source's name in `color.source`.
+     * hidden sources stay in the merged data (and keep their indices); they are only masked out
+     * @param {string} baseName - display name of the base dataset
+     */
+    constructor(baseName = 'Named colours') {
+        this.sources = [{ id: 'base', name: baseName, colors: [], report: null, visible: true, removable: false }];
+        this.data = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * sets the base dataset's colours
+     * @param {Array} colors - colour objects
+     * @param {Object} report - optional load report (see ColorLoader.parse)
+     */
+    setBase(colors, report = null) {
+        this.sources[0].colors = colors;
+        this.sources[0].report = report;
+        this._merge();
+    }
+
+    /**
+     * adds a list of colours as a new source, tagging each with the source's name
+     * @param {string} name - display name, e.g. the file name
+     * @param {Array} colors - colour objects
+     * @param {Object} report - optional load report (see ColorLoader.parse)
+     * @returns {Object} the new source: { id, name, colors, report, visible, removable }
+     */
+    add(name, colors, report = null) {
+        const source = { id: `source-${this.nextId++}`, name, colors, report, visible: true, removable: true };
+        colors.forEach(color => { color.source = name; });
+
+        this.sources.push(source);
+        this._merge();
+        return source;
+    }
+
+    /**
+     * removes an imported source and its colours
+     * @param {string} id - source id
+     * @returns {boolean} whether a source was removed
+     */
+    remove(id) {
+        const position = this.sources.findIndex(source => source.id === id && source.removable);
+        if (position < 0) return false;
+
+        this.sources.splice(position, 1);
+        this._merge();
+        return true;
+    }
+
+    /**
+     * shows or hides a source's colours
+     * @param {string} id - source id
+     * @param {boolean} visible - whether its colours are shown
+     * @returns {boolean} whether the source exists
+     */
+    setVisible(id, visible) {
+        const source = this.get(id);
+        if (!source) return false;
+
+        source.visible = visible;
+        return true;
+    }
+
+    /**
+     * @param {string} id - source id
+     * @returns {Object|null} the source with that id
+     */
+    get(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    /**
+     * returns a mask over the merged data of the colours in hidden sources
+     * @returns {Uint8Array|null} 1 for every hidden colour, or null when every source is shown
+     */
+    hiddenMask() {
+        return this._mask(source => !source.visible);
+    }
+
+    /**
+     * returns a mask over the merged data of the imported colours
+     * @returns {Uint8Array|null} 1 for every imported colour, or null when nothing was imported
+     */
+    importedMask() {
+        return this._mask(source => source.removable);
+    }
+
+    /**
+     * builds a mask with 1 for every colour of the sources a test picks
+     * @param {Function} test - (source) => boolean
+     * @returns {Uint8Array|null} the mask, or null when no source is picked
+     */
+    _mask(test) {
+        if (!this.sources.some(test)) return null;
+
+        const mask = new Uint8Array(this.data.length);
+        let offset = 0;
+        for (const source of this.sources) {
+            if (test(source)) mask.fill(1, offset, offset + source.colors.length);
+            offset += source.colors.length;
+        }
+        return mask;
+    }
+
+    _merge() {
+        this.data = [].concat(...this.sources.map(source => source.colors));
+    }
+}
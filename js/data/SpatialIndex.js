@@ -0,0 +1,297 @@
+export class SpatialIndex {
+    /**
+     * static k-d tree over 3D points for nearest neighbour, radius and box queries
+     *
+     * the tree is stored implicitly: `order` is a permutation of point indices where the median of
+     * every [lo, hi) range is that node's splitting point, so no node objects are allocated.
+     * a uniform `scale` lets callers zoom the whole point set without rebuilding
+     * @param {Float32Array|Array<number>} positions - interleaved x, y, z coordinates, one triple per point
+     */
+    constructor(positions) {
+        this.positions = positions;
+        this.count = Math.floor(positions.length / 3);
+        this.order = new Uint32Array(this.count);
+        this.axes = new Uint8Array(this.count);
+        this.scale = 1;
+
+        for (let i = 0; i < this.count; i++) this.order[i] = i;
+        this._build(0, this.count);
+    }
+
+    /**
+     * builds an index from any list of items using an accessor for their coordinates
+     * @param {Array} items - items to index; result indices refer to positions in this array
+     * @param {Function} getPoint - (item) => [x, y, z]
+     * @returns {SpatialIndex} index over the items
+     */
+    static fromItems(items, getPoint) {
+        const positions = new Float32Array(items.length * 3);
+        for (let i = 0; i < items.length; i++) {
+            const p = getPoint(items[i]);
+            positions[i * 3] = p[0];
+            positions[i * 3 + 1] = p[1];
+            positions[i * 3 + 2] = p[2];
+        }
+        return new SpatialIndex(positions);
+    }
+
+    /**
+     * sets a uniform scale applied to the indexed points, e.g. after the scale slider moves
+     * @param {number} scale - factor relative to the positions the index was built from
+     */
+    setScale(scale) {
+        this.scale = scale > 0 ? scale : 1;
+    }
+
+    /**
+     * finds the k points closest to a query point
+     * @param {{x:number,y:number,z:number}} point - query point
+     * @param {number} k - number of neighbours to return
+     * @param {Function} filter - optional (index) => boolean, points failing it are skipped
+     * @returns {Array<{index:number,distance:number}>} neighbours, closest first
+     */
+    nearest(point, k = 1, filter = null) {
+        if (this.count === 0 || k <= 0) return [];
+
+        const q = this._toLocal(point);
+        const heap = new MaxHeap(k);
+        this._nearest(0, this.count, q, heap, filter);
+
+        return heap.sorted().map(item => ({
+            index: item.index,
+            distance: Math.sqrt(item.key) * this.scale
+        }));
+    }
+
+    /**
+     * finds every point within a radius of a query point
+     * @param {{x:number,y:number,z:number}} point - query point
+     * @param {number} radius - search radius
+     * @returns {Array<{index:number,distance:number}>} points inside the sphere, closest first
+     */
+    withinRadius(point, radius) {
+        if (this.count === 0 || radius < 0) return [];
+
+        const q = this._toLocal(point);
+        const r = radius / this.scale;
+        const results = [];
+        this._withinRadius(0, this.count, q, r * r, results);
+
+        results.sort((a, b) => a.key - b.key);
+        return results.map(item => ({
+            index: item.index,
+            distance: Math.sqrt(item.key) * this.scale
+        }));
+    }
+
+    /**
+     * finds every point inside an axis aligned box
+     * @param {{x:number,y:number,z:number}} min - minimum corner
+     * @param {{x:number,y:number,z:number}} max - maximum corner
+     * @returns {Array<number>} indices of the points inside the box
+     */
+    inBox(min, max) {
+        if (this.count === 0) return [];
+
+        const lo = this._toLocal(min);
+        const hi = this._toLocal(max);
+        for (let axis = 0; axis < 3; axis++) {
+            if (lo[axis] > hi[axis]) [lo[axis], hi[axis]] = [hi[axis], lo[axis]];
+        }
+
+        const results = [];
+        this._inBox(0, this.count, lo, hi, results);
+        return results;
+    }
+
+    _toLocal(point) {
+        return [point.x / this.scale, point.y / this.scale, point.z / this.scale];
+    }
+
+    /**
+     * recursively partitions [lo, hi) around its median on the axis with the widest spread
+     */
+    _build(lo, hi) {
+        if (hi - lo <= 1) return;
+
+        const axis = this._widestAxis(lo, hi);
+        const mid = (lo + hi) >> 1;
+        this._select(lo, hi - 1, mid, axis);
+        this.axes[mid] = axis;
+
+        this._build(lo, mid);
+        this._build(mid + 1, hi);
+    }
+
+    _widestAxis(lo, hi) {
+        const p = this.positions;
+        let best = 0;
+        let bestSpread = -1;
+
+        for (let axis = 0; axis < 3; axis++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = lo; i < hi; i++) {
+                const v = p[this.order[i] * 3 + axis];
+                if (v < min) min = v;
+                if (v > max) max = v;
+            }
+            if (max - min > bestSpread) {
+                bestSpread = max - min;
+                best = axis;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Hoare style quickselect so order[k] holds the k-th smallest value on the axis
+     */
+    _select(left, right, k, axis) {
+        const p = this.positions;
+        const order = this.order;
+
+        while (right > left) {
+            const pivot = p[order[(left + right) >> 1] * 3 + axis];
+            let i = left;
+            let j = right;
+
+            while (i <= j) {
+                while (p[order[i] * 3 + axis] < pivot) i++;
+                while (p[order[j] * 3 + axis] > pivot) j--;
+                if (i <= j) {
+                    const tmp = order[i];
+                    order[i] = order[j];
+                    order[j] = tmp;
+                    i++;
+                    j--;
+                }
+            }
+
+            if (k <= j) right = j;
+            else if (k >= i) left = i;
+            else return;
+        }
+    }
+
+    _distanceSq(index, q) {
+        const p = this.positions;
+        const dx = p[index * 3] - q[0];
+        const dy = p[index * 3 + 1] - q[1];
+        const dz = p[index * 3 + 2] - q[2];
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    _nearest(lo, hi, q, heap, filter) {
+        if (hi <= lo) return;
+
+        const mid = (lo + hi) >> 1;
+        const index = this.order[mid];
+        const axis = this.axes[mid];
+
+        if (!filter || filter(index)) {
+            heap.push(index, this._distanceSq(index, q));
+        }
+
+        if (hi - lo === 1) return;
+
+        const diff = q[axis] - this.positions[index * 3 + axis];
+        const [nearLo, nearHi, farLo, farHi] = diff < 0
+            ? [lo, mid, mid + 1, hi]
+            : [mid + 1, hi, lo, mid];
+
+        this._nearest(nearLo, nearHi, q, heap, filter);
+        if (!heap.isFull() || diff * diff < heap.peekKey()) {
+            this._nearest(farLo, farHi, q, heap, filter);
+        }
+    }
+
+    _withinRadius(lo, hi, q, rSq, results) {
+        if (hi <= lo) return;
+
+        const mid = (lo + hi) >> 1;
+        const index = this.order[mid];
+        const axis = this.axes[mid];
+
+        const dSq = this._distanceSq(index, q);
+        if (dSq <= rSq) results.push({ index, key: dSq });
+
+        if (hi - lo === 1) return;
+
+        const diff = q[axis] - this.positions[index * 3 + axis];
+        if (diff <= 0 || diff * diff <= rSq) this._withinRadius(lo, mid, q, rSq, results);
+        if (diff >= 0 || diff * diff <= rSq) this._withinRadius(mid + 1, hi, q, rSq, results);
+    }
+
+    _inBox(lo, hi, min, max, results) {
+        if (hi <= lo) return;
+
+        const mid = (lo + hi) >> 1;
+        const index = this.order[mid];
+        const axis = this.axes[mid];
+        const p = this.positions;
+
+        const x = p[index * 3];
+        const y = p[index * 3 + 1];
+        const z = p[index * 3 + 2];
+        if (x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] && z >= min[2] && z <= max[2]) {
+            results.push(index);
+        }
+
+        if (hi - lo === 1) return;
+
+        const v = p[index * 3 + axis];
+        if (min[axis] <= v) this._inBox(lo, mid, min, max, results);
+        if (max[axis] >= v) this._inBox(mid + 1, hi, min, max, results);
+    }
+}
+
+/**
+ * fixed capacity binary max-heap keyed on squared distance, used to keep the k best candidates
+ */
+class MaxHeap {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = [];
+    }
+
+    isFull() {
+        return this.items.length >= this.capacity;
+    }
+
+    peekKey() {
+        return this.items.length > 0 ? this.items[0].key : Infinity;
+    }
+
+    push(index, key) {
+        const items = this.items;
+
+        if (items.length < this.capacity) {
+            items.push({ index, key });
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].key >= items[i].key) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        } else if (key < items[0].key) {
+            items[0] = { index, key };
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let largest = i;
+                if (l < items.length && items[l].key > items[largest].key) largest = l;
+                if (r < items.length && items[r].key > items[largest].key) largest = r;
+                if (largest === i) break;
+                [items[largest], items[i]] = [items[i], items[largest]];
+                i = largest;
+            }
+        }
+    }
+
+    sorted() {
+        return this.items.slice().sort((a, b) => a.key - b.key);
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * worker side of ColorJobs (see systems/ColorJobs.js): parses datasets and builds per-space component
+ * arrays off the main thread. nothing here may import three, which workers can't resolve
+ *
+ * messages in:  { id, type: 'load', url, options } | { id, type: 'parse', buffer, options }
+ *               | { type: 'setDataset', columns } | { id, type: 'components', space } | { id, type: 'cancel' }
+ * messages out: { id, type: 'progress', percent, message } | { id, type: 'batch', result: columns }
+ *               | { id, type: 'done', result } | { id, type: 'error', message } | { id, type: 'cancelled' }
+ *
+ * a load with options.stream sends its colours as batches while the file downloads, and its
+ * done message then carries only the report (columns: null)
+ */
+import { ColorLoader } from './ColorLoader.js';
+import { colorSpaces } from '../config.js';
+
+// colours of the dataset the main thread last uploaded, for component jobs
+let dataset = [];
+const cancelled = new Set();
+
+class JobCancelled extends Error {}
+
+const jobs = {
+    load: async ({ url, options }, progress, batch) => {
+        const { stream, ...loadOptions } = options;
+        if (!stream) return packLoaded(await ColorLoader.load(url, progress, loadOptions));
+
+        const { report } = await ColorLoader.load(url, progress, { ...loadOptions, onColors: batch });
+        return { result: { columns: null, report }, transfer: [] };
+    },
+
+    parse: async ({ buffer, options }, progress) => packLoaded(await ColorLoader.parse(buffer, options, progress)),
+
+    components: async ({ space }, progress) => {
+        const colorSpace = colorSpaces[space];
+        if (!colorSpace) throw new Error(`Unknown colour space ${space}`);
+
+        // a dataset uploaded while this job runs is for the next job
+        const colors = dataset;
+        const count = colors.length;
+        const array = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const c = colorSpace.components(colors[i]);
+            array[i * 3] = c[0];
+            array[i * 3 + 1] = c[1];
+            array[i * 3 + 2] = c[2];
+
+            // give cancel messages a chance to arrive
+            if (i % 10000 === 9999) {
+                progress(70 + (i / count) * 20, `Preparing ${colorSpace.name}... ${i + 1}/${count}`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return { result: array, transfer: [array.buffer] };
+    }
+};
+
+/**
+ * packs loaded colours into columns, next to their load report, and lists the buffers to transfer with them
+ */
+function packLoaded({ colors, report }) {
+    const columns = ColorLoader.toColumns(colors);
+    return { result: { columns, report }, transfer: [columns.flags.buffer, columns.values.buffer] };
+}
+
+self.onmessage = async (e) => {
+    const { id, type } = e.data;
+
+    if (type === 'cancel') {
+        cancelled.add(id);
+        return;
+    }
+
+    if (type === 'setDataset') {
+        dataset = ColorLoader.fromColumns(e.data.columns);
+        return;
+    }
+
+    // reports progress, and stops the job (by throwing) once it has been cancelled. the loader
+    // yields between progress reports, which is when cancel messages arrive
+    const progress = (percent, message) => {
+        if (cancelled.has(id)) throw new JobCancelled();
+        self.postMessage({ id, type: 'progress', percent, message });
+    };
+
+    // hands over colours a job has ready before it is done
+    const batch = (colors) => {
+        if (cancelled.has(id)) throw new JobCancelled();
+        const columns = ColorLoader.toColumns(colors);
+        self.postMessage({ id, type: 'batch', result: columns }, [columns.flags.buffer, columns.values.buffer]);
+    };
+
+    try {
+        if (!jobs[type]) throw new Error(`Unknown job ${type}`);
+        const { result, transfer } = await jobs[type](e.data, progress, batch);
+        if (cancelled.has(id)) throw new JobCancelled();
+        self.postMessage({ id, type: 'done', result }, transfer);
+    } catch (error) {
+        if (error instanceof JobCancelled) {
+            self.postMessage({ id, type: 'cancelled' });
+        } else {
+            self.postMessage({ id, type: 'error', message: error.message });
+        }
+    } finally {
+        cancelled.delete(id);
+    }
+};
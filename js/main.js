@@ -1,16 +1,43 @@
 import * as THREE from 'three';
 import { colorSpaces } from './config.js';
+import { cvdTypes, simulateCvd, simulateCvdHex, simulateCvdColor, colorDistances } from './utils.js';
 import { Renderer } from './systems/Renderer.js';
 import { CameraRig } from './systems/CameraRig.js';
 import { Picker } from './systems/Picker.js';
 import { Interaction } from './systems/Interaction.js';
 import { PointCloud } from './components/PointCloud.js';
+import { MarkerSet } from './components/MarkerSet.js';
+import { GamutHull } from './components/GamutHull.js';
+import { MeasureLines } from './components/MeasureLines.js';
+import { PixelCloud } from './components/PixelCloud.js';
 import { UIManager } from './ui/UIManager.js';
-import { ColorLoader } from './data/ColorLoader.js';
+import { PalettePanel } from './ui/PalettePanel.js';
+import { HarmonyPanel } from './ui/HarmonyPanel.js';
+import { ContrastPanel } from './ui/ContrastPanel.js';
+import { FilterPanel } from './ui/FilterPanel.js';
+import { ComparePanel } from './ui/ComparePanel.js';
+import { SourcesPanel } from './ui/SourcesPanel.js';
+import { ImagePanel } from './ui/ImagePanel.js';
+import { SelectionPanel } from './ui/SelectionPanel.js';
+import { SourceLayers } from './data/SourceLayers.js';
+import { DatasetCache } from './data/DatasetCache.js';
+import { UrlState } from './systems/UrlState.js';
+import { ColorJobs } from './systems/ColorJobs.js';
 
-let graphics, cameraRig, pointCloud, picker, interaction, ui;
+let graphics, cameraRig, pointCloud, picker, interaction, ui, filter, palette, harmony, contrast, compare, sourcesPanel, imagePalette, selection;
+let harmonyMarkers, imageMarkers, pixelCloud, measureLines, gamutHulls, urlState, jobs;
 let currentColorSpaceName = 'oklab';
 let currentScale = 1.0;
+let cvdState = null;
+
+// the base dataset plus imported colour lists; hiddenSources masks the colours of sources switched off
+const sources = new SourceLayers();
+let hiddenSources = null;
+
+// the parsed dataset is kept here between visits (the worker writes it, see ColorLoader.load)
+const datasetCache = new DatasetCache();
+// settles once the named colours have finished streaming in (see loadData)
+let dataLoaded = null;
 
 const clock = new THREE.Clock();
 
@@ -18,62 +45,273 @@ function init() {
     graphics = new Renderer('canvas-container');
 
     cameraRig = new CameraRig(graphics.camera, graphics.renderer.domElement);
+    jobs = new ColorJobs();
     pointCloud = new PointCloud(graphics.scene, graphics.camera);
+    // spaces are prepared in the worker, so switching to one for the first time doesn't stall
+    pointCloud.setComponentProvider((colors, space, onProgress) => jobs.components(colors, space, onProgress));
+    harmonyMarkers = new MarkerSet(graphics.scene, { coreRadius: 0.006, cageRadius: 0.012 });
+    pointCloud.addOverlay(harmonyMarkers);
+    measureLines = new MeasureLines(graphics.scene);
+    pointCloud.addOverlay(measureLines);
+    imageMarkers = new MarkerSet(graphics.scene, { coreRadius: 0.005, cageRadius: 0.01 });
+    pointCloud.addOverlay(imageMarkers);
+    pixelCloud = new PixelCloud(graphics.scene);
+    pointCloud.addOverlay(pixelCloud);
+
+    // sRGB is the gamut the dataset lives in, the wider ones are outlined for reference
+    gamutHulls = {
+        srgb: new GamutHull(graphics.scene, 'srgb'),
+        p3: new GamutHull(graphics.scene, 'p3', { wireframe: true, color: 0xffc266 }),
+        rec2020: new GamutHull(graphics.scene, 'rec2020', { wireframe: true, color: 0x66c2ff })
+    };
+    Object.values(gamutHulls).forEach(hull => pointCloud.addOverlay(hull));
     picker = new Picker(graphics.renderer, graphics.scene, graphics.camera);
 
     ui = new UIManager({
-        onSelect: (index) => {
+        onSelect: (index, isPreview) => {
             const color = pointCloud.data[index];
             if (color) {
-                pointCloud.selectIndex(index);
+                // previews only move the focus, so arrowing through results keeps a multi-selection
+                if (isPreview) {
+                    focusColor(index);
+                } else {
+                    selectColor(index);
+                }
                 const pos = pointCloud.getBounds(index);
                 if (pos) cameraRig.flyTo(pos);
+                if (!isPreview) urlState.push();
                 console.log(`Selected: ${color.name}`);
             }
         },
 
-        onSpaceChange: async (spaceName) => {
+        onMultiSelect: (index) => {
+            toggleColor(index);
+            urlState.push();
+        },
+
+        onQueryColor: (color) => {
+            pointCloud.setQueryMarker(color);
+        },
+
+        onSearchResults: (indices) => {
+            filter.setSearchResults(indices);
+        },
+
+        onQueryMatches: (indices) => {
+            pointCloud.setHighlight('query', indices);
+        },
+
+        onSpaceChange: (spaceName) => {
             if (colorSpaces[spaceName]) {
                 currentColorSpaceName = spaceName;
                 const space = colorSpaces[spaceName];
                 
                 space.scale = currentScale;
 
-                ui.updateLoading(0, `Switching to ${space.name}...`);
-                document.getElementById('loading').style.display = 'block';
-                
-                await pointCloud.updatePositions(space, (p, t) => ui.updateLoading(p, t));
-                
-                ui.updateLoading(100, 'Complete!');
+                pointCloud.morphTo(space);
             }
         },
 
+        onTransitionChange: (duration, easing) => {
+            pointCloud.setMorphOptions(duration, easing);
+        },
+
         onScaleChange: async (newVal) => {
             currentScale = newVal;
             const space = colorSpaces[currentColorSpaceName];
             if (space) {
                 space.scale = currentScale; 
                 
-                // updatePositions is async because it needs to talk to a loading bar when changing colour space
+                // updatePositions is async because it needs to talk to the loading bar on first load
                 await pointCloud.updatePositions(space);
             }
         },
 
         onBackgroundChange: (h, s, v) => {
             graphics.setBackground(h, s, v);
+            syncBackground();
         },
 
-        onToggleVisibility: (hide) => {
-            pointCloud.updateVisibility(hide);
-        },
         onToggleAxes: (show) => {
             graphics.setAxesVisibility(show);
         },
         onInvertPitchChange: (invert) => {
             cameraRig.invertPitch = invert;
+        },
+        onPickRadiusChange: (radius, forMouse) => {
+            interaction.tapRadius = radius;
+            interaction.mouseRadius = forMouse ? radius : 0;
+        },
+        onToggleGamut: (gamut, visible) => {
+            if (gamutHulls[gamut]) gamutHulls[gamut].setVisible(visible);
+        },
+        onGamutOpacityChange: (opacity) => {
+            Object.values(gamutHulls).forEach(hull => hull.setOpacity(opacity));
+        },
+        onCvdChange: (cvd) => {
+            applyCvd(cvd);
+        }
+    });
+
+    ui.setColorSpaces(colorSpaces, currentColorSpaceName);
+
+    filter = new FilterPanel({
+        // filtered out colours are either hidden or ghosted, and skipped by search and harmony snapping
+        onChange: (result) => {
+            pointCloud.setHidden('filter', result && result.mode === 'hide' ? result.excluded : null);
+            pointCloud.setDimmed('filter', result && result.mode === 'ghost' ? result.excluded : null);
+            ui.setSearchFilter(withSources(filter.getSearchFilter()));
+            harmony.refresh();
+            imagePalette.refresh();
+        }
+    });
+
+    palette = new PalettePanel({
+        getSelectedIndex: () => pointCloud.selectedIndex,
+
+        onChange: (indices) => {
+            pointCloud.setHighlight('palette', indices);
+            filter.setPalette(indices);
+        },
+
+        onSelect: (index) => {
+            selectColor(index);
+            const pos = pointCloud.getBounds(index);
+            if (pos) cameraRig.flyTo(pos);
+            urlState.push();
+        }
+    });
+
+    harmony = new HarmonyPanel({
+        getFilter: () => withSources(filter.getFilter()),
+
+        onChange: (result) => {
+            const members = result ? result.members : [];
+            harmonyMarkers.setColors(members.map(member => member.color), result && result.closed ? 'closed' : 'open');
+            pointCloud.setHighlight('harmony', members.filter(member => member.match).map(member => member.match.index));
+        },
+
+        // visiting a member keeps the harmony built around the original colour
+        onSelect: (index) => {
+            pointCloud.selectIndex(index);
+            contrast.setSelected(pointCloud.data[index] || null);
+            const pos = pointCloud.getBounds(index);
+            if (pos) cameraRig.flyTo(pos);
+        },
+
+        onAddToPalette: (indices) => {
+            indices.forEach(index => palette.add(index));
+        }
+    });
+
+    compare = new ComparePanel({
+        onChange: ({ indices, metric }) => {
+            pointCloud.setHighlight('selection', indices);
+            measureLines.setColors(indices.map(index => pointCloud.data[index]), colorDistances[metric]);
+        },
+
+        onSelect: (index) => {
+            focusColor(index);
+            const pos = pointCloud.getBounds(index);
+            if (pos) cameraRig.flyTo(pos);
+        }
+    });
+
+    imagePalette = new ImagePanel({
+        getFilter: () => withSources(filter.getFilter()),
+
+        // extracted colours get markers at their own positions, their nearest names are highlighted
+        onChange: (result) => {
+            const swatches = result ? result.swatches : [];
+            imageMarkers.setColors(swatches.map(swatch => swatch.color));
+            pointCloud.setHighlight('image', swatches.filter(swatch => swatch.match).map(swatch => swatch.match.index));
+        },
+
+        onPixels: (colors) => {
+            pixelCloud.setColors(colors || []);
+        },
+
+        onSelect: (index) => {
+            selectColor(index);
+            const pos = pointCloud.getBounds(index);
+            if (pos) cameraRig.flyTo(pos);
+            urlState.push();
+        },
+
+        onAddToPalette: (indices) => {
+            indices.forEach(index => palette.add(index));
+        }
+    });
+
+    selection = new SelectionPanel({
+        onChange: (indices) => {
+            pointCloud.setHighlight('region', indices);
+            filter.setRegion(indices);
+        },
+
+        onSelect: (index) => {
+            selectColor(index);
+            const pos = pointCloud.getBounds(index);
+            if (pos) cameraRig.flyTo(pos);
+            urlState.push();
+        },
+
+        onAddToPalette: (indices) => {
+            indices.forEach(index => palette.add(index));
+        }
+    });
+
+    contrast = new ContrastPanel({
+        getBackgroundHex: () => graphics.getBackgroundHex(),
+        getSelectedColor: () => pointCloud.data[pointCloud.selectedIndex] || null,
+
+        onFilterChange: (failing) => {
+            pointCloud.setDimmed('contrast', failing);
+        }
+    });
+    syncBackground();
+
+    sourcesPanel = new SourcesPanel({
+        // images are for the image palette, anything else is read as a colour list
+        onImport: (file) => {
+            if (file.type.startsWith('image/')) {
+                imagePalette.load(file);
+            } else {
+                importSource(file);
+            }
+        },
+
+        // switched off sources are hidden like filtered out colours, and skipped by search and harmony snapping
+        onToggle: (id, visible) => {
+            if (!sources.setVisible(id, visible)) return;
+            applySources();
+            ui.setSearchFilter(withSources(filter.getSearchFilter()));
+            harmony.refresh();
+            imagePalette.refresh();
+        },
+
+        onRemove: (id) => {
+            if (!sources.remove(id)) return;
+            sourcesPanel.setStatus('');
+            setDataset();
+        },
+
+        onClearCache: async () => {
+            const cleared = await datasetCache.clear();
+            sourcesPanel.setStatus(cleared ? 'Cache cleared; the named colours will be parsed again on the next visit' : 'Couldn\'t clear the cache', !cleared);
+            updateCacheStats();
         }
     });
 
+    urlState = new UrlState({
+        getState: getViewState,
+        onRestore: (state) => {
+            applyViewState(state, true);
+            restoreSelection(state, true);
+        }
+    });
+    applyViewState(urlState.read(), false);
+
     interaction = new Interaction(graphics.renderer, graphics.camera, picker, {
         getPickingMesh: () => pointCloud.pickingMesh,
         getVisualMesh: () => pointCloud.mesh,
@@ -81,16 +319,25 @@ function init() {
         onSelect: (index) => {
             const color = pointCloud.data[index];
             if (color) {
-                pointCloud.selectIndex(index);
+                selectColor(index);
                 const pos = pointCloud.getBounds(index);
                 cameraRig.flyTo(pos);
+                urlState.push();
+            }
+        },
+
+        onMultiSelect: (index) => {
+            if (pointCloud.data[index]) {
+                toggleColor(index);
+                urlState.push();
             }
         },
 
         onTap: (index) => {
             const color = pointCloud.data[index];
             if (color) {
-                pointCloud.selectIndex(index);
+                selectColor(index);
+                urlState.push();
                 ui.showTouchPopup(color.name, color.hex, () => {
                     const pos = pointCloud.getBounds(index);
                     if (pos) cameraRig.flyTo(pos);
@@ -102,6 +349,19 @@ function init() {
             ui.hideTouchPopup();
         },
 
+        onRegionChange: (region) => {
+            selection.showRegion(region);
+        },
+
+        // picking only sees the front most colours, the projection pass adds the ones behind them
+        onRegionSelect: (indices, region, additive) => {
+            if (selection.includeOccluded) {
+                const behind = pointCloud.indicesInRegion(graphics.camera, window.innerWidth, window.innerHeight, region);
+                indices = indices.concat(behind);
+            }
+            selection.setSelection(indices, additive);
+        },
+
         onHover: (index, x, y) => {
             if (index >= 0) {
                 const color = pointCloud.data[index];
@@ -112,7 +372,7 @@ function init() {
         }
     });
 
-    loadData();
+    dataLoaded = loadData();
     animate();
 }
 
@@ -124,28 +384,318 @@ function updateLoadingProgress(percent, status) {
 }
 
 async function loadData() {
+    // colours are shown as they stream in; while one update runs, newer batches wait for the next
+    let streamed = [];
+    let shown = 0;
+    let updating = null;
+    const showStreamed = async () => {
+        while (shown < streamed.length) {
+            if (shown === 0) ui.dockLoading();
+            shown = streamed.length;
+            sources.setBase(streamed);
+            await growDataset();
+        }
+    };
+
     try {
-        const data = await ColorLoader.load('../data/colors_oklab.csv', (p, s) => ui.updateLoading(p, s));
-        
-        ui.setData(data);
-        pointCloud.init(data);
+        const onColors = (colors) => {
+            streamed = streamed.concat(colors);
+            if (!updating) updating = showStreamed().finally(() => { updating = null; });
+        };
+        const { colors, report } = await jobs.load('../data/colors_oklab.csv', (p, s) => ui.updateLoading(p, s), { cache: true, onColors }).promise;
+        if (report.skipped.length || report.warnings.length) console.warn('Dataset load report', report);
+        if (updating) await updating;
+
+        sources.setBase(colors, report);
+        await setDataset((p, s) => ui.updateLoading(p, s));
+
+        restoreSelection(urlState.read(), false);
+        urlState.start();
 
-        const startSpace = colorSpaces[currentColorSpaceName];
-        startSpace.scale = currentScale; 
-        
-        await pointCloud.updatePositions(startSpace, (p, s) => ui.updateLoading(p, s));
-        
         ui.updateLoading(100, 'Done!');
+        updateCacheStats();
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+/**
+ * shows how much the dataset cache holds in the sources section
+ */
+async function updateCacheStats() {
+    sourcesPanel.setCacheStats(await datasetCache.stats());
+}
+
+/**
+ * hands the merged sources to every part of the app, e.g. after loading or after a colour list was imported
+ * or removed. palette, comparison and focus keep the colours that are still there
+ * @param {Function} onProgress - optional callback for progress updates: (percent, message) => void
+ */
+async function setDataset(onProgress) {
+    const data = sources.data;
+    const focused = pointCloud.data[pointCloud.selectedIndex] || null;
+
+    ui.setData(data);
+    pointCloud.init(data);
+    applySources();
+    harmony.setData(data, ui.oklabIndex);
+    imagePalette.setData(data, ui.oklabIndex);
+    filter.setData(data);
+    palette.setData(data);
+    compare.setData(data);
+    selection.setData(data);
+    contrast.setData(data);
+    if (cvdState) applyCvd(cvdState);
+
+    const space = colorSpaces[currentColorSpaceName];
+    space.scale = currentScale;
+
+    await pointCloud.updatePositions(space, onProgress);
+
+    focusColor(focused ? data.indexOf(focused) : -1);
+}
+
+/**
+ * shows the colours a streaming dataset has added so far. only the search box and the instances take them
+ * in batches; the panels, filter, sources and colour vision simulation get the whole dataset from setDataset
+ * once the stream ends
+ */
+async function growDataset() {
+    const data = sources.data;
+
+    ui.appendData(data);
+    pointCloud.init(data);
+
+    // appended instances are placed in the current space; only the first batch needs one picked
+    if (pointCloud.currentSpace) return;
+    const space = colorSpaces[currentColorSpaceName];
+    space.scale = currentScale;
+    await pointCloud.updatePositions(space);
+}
+
+/**
+ * reads a dropped or picked file and adds its colours as a new source
+ * @param {File} file - colour list in any format ColorLoader understands
+ */
+async function importSource(file) {
+    sourcesPanel.setStatus(`Importing ${file.name}...`);
+
+    try {
+        const buffer = await file.arrayBuffer();
+        const { colors, report } = await jobs.parse(buffer, { filename: file.name }).promise;
+        if (colors.length === 0) {
+            const [first] = report.skipped;
+            throw new Error(first ? `no readable colours (${first.line ? 'line ' + first.line : 'entry ' + first.entry}: ${first.reason})` : 'no colours found');
+        }
+
+        // imported colours go after the named ones, so they wait until those stop streaming in rather than
+        // sit in the way of each new batch
+        if (dataLoaded) await dataLoaded;
+        sources.add(file.name.replace(/\.[^.]+$/, ''), colors, report);
+        await setDataset();
+
+        const skipped = report.skipped.length ? `, skipped ${report.skipped.length.toLocaleString()} (see the source's report)` : '';
+        sourcesPanel.setStatus(`Added ${colors.length.toLocaleString()} colours from ${file.name}${skipped}`);
     } catch (e) {
         console.error(e);
+        sourcesPanel.setStatus(`Couldn't import ${file.name}: ${e.message}`, true);
+    }
+}
+
+/**
+ * hides the colours of switched off sources and outlines imported colours
+ */
+function applySources() {
+    hiddenSources = sources.hiddenMask();
+    pointCloud.setHidden('sources', hiddenSources);
+    pointCloud.setOutlined('sources', sources.importedMask());
+    sourcesPanel.setSources(sources.sources);
+}
+
+/**
+ * narrows a colour test to the sources that are switched on
+ * @param {Function|null} test - (color, index) => boolean, or null to let every colour through
+ * @returns {Function|null} combined test, or null when every colour passes
+ */
+function withSources(test) {
+    const hidden = hiddenSources;
+    if (!hidden) return test;
+    return (color, index) => !hidden[index] && (!test || test(color, index));
+}
+
+/**
+ * simulates a colour vision deficiency on the instances and every swatch in the UI,
+ * optionally moving the instances to where their simulated colours land
+ * @param {Object} cvd - { type: key of cvdTypes, severity: 0..1, reposition: boolean }
+ */
+function applyCvd(cvd) {
+    cvdState = cvd;
+
+    const spec = cvdTypes[cvd.type];
+    const active = !!(spec && spec.matrix && cvd.severity > 0);
+    const hexTransform = active ? (hex) => simulateCvdHex(hex, cvd.type, cvd.severity) : null;
+    const rgbTransform = active ? (r, g, b) => simulateCvd(r, g, b, cvd.type, cvd.severity) : null;
+
+    pointCloud.setColorTransform(rgbTransform);
+    pixelCloud.setColorTransform(rgbTransform);
+    ui.setColorTransform(hexTransform, active ? spec.name : '');
+    palette.setColorTransform(hexTransform);
+    harmony.setColorTransform(hexTransform);
+    contrast.setColorTransform(hexTransform);
+    compare.setColorTransform(hexTransform);
+    selection.setColorTransform(hexTransform);
+    imagePalette.setColorTransform(hexTransform);
+
+    const simulated = active && cvd.reposition
+        ? pointCloud.data.map(color => simulateCvdColor(color, cvd.type, cvd.severity))
+        : null;
+    pointCloud.setPositionColors(simulated);
+}
+
+/**
+ * collects everything a shared link needs to reproduce the current view
+ * @returns {Object} view state for UrlState
+ */
+function getViewState() {
+    const selected = pointCloud.data[pointCloud.selectedIndex];
+    return {
+        space: currentColorSpaceName,
+        scale: currentScale,
+        background: graphics.backgroundHsv,
+        hideUnflagged: filter.hidesUnflagged(),
+        showAxes: graphics.axesHelper.visible,
+        color: selected ? selected.name : null,
+        camera: cameraRig.getState()
+    };
+}
+
+/**
+ * applies the settings and camera parts of a view state read from the URL
+ * @param {Object} state - partial view state, missing keys are left as they are
+ * @param {boolean} animate - morph the colour space and glide the camera instead of jumping
+ */
+function applyViewState(state, animate) {
+    if (state.space && colorSpaces[state.space]) currentColorSpaceName = state.space;
+    if (typeof state.scale === 'number') currentScale = Math.max(0.1, Math.min(5, state.scale));
+
+    const space = colorSpaces[currentColorSpaceName];
+    space.scale = currentScale;
+    if (animate && space !== pointCloud.currentSpace) {
+        pointCloud.morphTo(space);
+    } else {
+        pointCloud.updatePositions(space);
+    }
+
+    if (state.background) {
+        graphics.setBackground(state.background.h, state.background.s, state.background.v);
+        syncBackground();
+    }
+    if (typeof state.hideUnflagged === 'boolean') filter.setHideUnflagged(state.hideUnflagged);
+    if (typeof state.showAxes === 'boolean') graphics.setAxesVisibility(state.showAxes);
+    if (state.camera) cameraRig.setState(state.camera, animate);
+
+    ui.syncControls({
+        space: currentColorSpaceName,
+        scale: currentScale,
+        background: graphics.backgroundHsv,
+        showAxes: graphics.axesHelper.visible
+    });
+}
+
+/**
+ * selects the colour named in a view state, once the data is loaded.
+ * the colour can be given by name or by hex; a state without one clears the selection
+ * @param {Object} state - partial view state
+ * @param {boolean} animate - glide the camera instead of jumping
+ */
+function restoreSelection(state, animate) {
+    if (!pointCloud.mesh) return;
+
+    const index = findColorIndex(state.color);
+    selectColor(index);
+
+    // an explicit camera wins, otherwise frame the colour
+    if (index >= 0 && !state.camera) {
+        const pos = pointCloud.getBounds(index);
+        if (animate) {
+            cameraRig.flyTo(pos);
+        } else {
+            cameraRig.setState({ ...cameraRig.getState(), x: pos.x, y: pos.y, z: pos.z, distance: 0.1 });
+        }
+    }
+}
+
+/**
+ * selects a single colour, replacing any multi-selection
+ * @param {number} index - index of the colour, or -1 to deselect
+ */
+function selectColor(index) {
+    compare.setSelection(index >= 0 ? [index] : []);
+    focusColor(index);
+}
+
+/**
+ * adds a colour to the multi-selection, or removes it when it is already a member
+ * @param {number} index - index of the colour
+ */
+function toggleColor(index) {
+    // a focused colour that never made it into the selection, e.g. a harmony member, becomes the first member
+    const focused = pointCloud.selectedIndex;
+    if (compare.getSelection().length === 0 && focused >= 0 && focused !== index) compare.setSelection([focused]);
+
+    const members = compare.toggle(index);
+    if (members.includes(index)) {
+        focusColor(index);
+    } else if (!members.includes(focused)) {
+        focusColor(members.length > 0 ? members[members.length - 1] : -1);
     }
 }
 
+/**
+ * pops a colour instance and rebuilds the harmony and contrast check around it,
+ * without changing the multi-selection
+ * @param {number} index - index of the colour, or -1 to clear the focus
+ */
+function focusColor(index) {
+    pointCloud.selectIndex(index);
+    harmony.setBase(pointCloud.data[index] || null);
+    contrast.setSelected(pointCloud.data[index] || null);
+}
+
+/**
+ * fades dimmed instances towards the new background, picks an outline colour that stands out from it
+ * and re-checks contrast against it
+ */
+function syncBackground() {
+    const background = graphics.scene.background;
+    const luminance = 0.2126 * background.r + 0.7152 * background.g + 0.0722 * background.b;
+
+    pointCloud.setGhostColor(background);
+    pointCloud.setOutlineColor(new THREE.Color(luminance > 0.18 ? 0x000000 : 0xffffff));
+    contrast.refresh();
+}
+
+/**
+ * finds a colour by hex (when the value starts with #) or by name, ignoring case
+ * @param {string} value - colour name or hex
+ * @returns {number} index into the data, or -1
+ */
+function findColorIndex(value) {
+    if (!value) return -1;
+    const query = value.trim().toLowerCase();
+    const field = query.startsWith('#') ? 'hex' : 'name';
+
+    const exact = pointCloud.data.findIndex(color => color[field] === value.trim());
+    if (exact >= 0) return exact;
+    return pointCloud.data.findIndex(color => color[field].toLowerCase() === query);
+}
+
 function animate() {
     requestAnimationFrame(animate);
     const dt = clock.getDelta();
     
     if (cameraRig) cameraRig.update(dt);
+    if (pointCloud) pointCloud.update(dt);
     if (graphics) graphics.render();
 }
 
@@ -54,6 +54,45 @@ export class CameraRig {
         this.isAnimatingDistance = true;
     }
 
+    /**
+     * returns the rig's orbit state, e.g. for saving to the URL
+     * @returns {{x:number,y:number,z:number,distance:number,theta:number,phi:number}} orbit point, distance and angles
+     */
+    getState() {
+        return {
+            x: this.orbitPoint.x,
+            y: this.orbitPoint.y,
+            z: this.orbitPoint.z,
+            distance: this.distance,
+            theta: this.angles.theta,
+            phi: this.angles.phi
+        };
+    }
+
+    /**
+     * restores an orbit state from getState
+     * @param {Object} state - { x, y, z, distance, theta, phi }
+     * @param {boolean} animate - glide the orbit point and distance there instead of jumping
+     */
+    setState(state, animate = false) {
+        this.velocity.set(0, 0, 0);
+        this.angles.theta = state.theta;
+        this.angles.phi = Math.max(0.01, Math.min(Math.PI - 0.01, state.phi));
+
+        this.targetOrbitPoint.set(state.x, state.y, state.z);
+        this.targetDistance = Math.max(0.1, Math.min(20, state.distance));
+
+        if (animate) {
+            this.isAnimatingOrbit = true;
+            this.isAnimatingDistance = true;
+        } else {
+            this.orbitPoint.copy(this.targetOrbitPoint);
+            this.distance = this.targetDistance;
+            this.isAnimatingOrbit = false;
+            this.isAnimatingDistance = false;
+        }
+    }
+
     /**
      * updates physics simulation for camera movement including WASD controls and momentum
      * @param {number} deltaTime - time elapsed since last update
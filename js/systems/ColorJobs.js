@@ -0,0 +1,184 @@
+import { ColorLoader } from '../data/ColorLoader.js';
+import { colorSpaces } from '../config.js';
+
+export class ColorJobs {
+    /**
+     * runs dataset parsing and per-space component building in a worker (see data/colorWorker.js)
+     *
+     * every job returns { promise, cancel }. cancelling rejects the promise with an error whose
+     * `cancelled` is true and stops the worker at its next progress report. when the worker can't
+     * start (e.g. no module worker support) jobs run on the main thread instead, and component jobs
+     * resolve to null so callers build the components themselves
+     */
+    constructor() {
+        this.jobs = new Map();
+        this.nextId = 1;
+        // the colours the worker currently holds for component jobs
+        this.dataset = null;
+
+        try {
+            this.worker = new Worker(new URL('../data/colorWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this._handleMessage(e.data);
+            this.worker.onerror = (e) => this._handleFailure(e);
+        } catch (e) {
+            console.warn('Color worker unavailable, working on the main thread.', e);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * fetches and parses a colour dataset
+     * @param {string} url - path to the dataset, relative to the page
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @param {Object} options - see ColorLoader.load; options.onColors gets the colours in batches while they download
+     * @returns {{promise: Promise<Object>, cancel: Function}} job resolving to { colors, report } (see ColorLoader.parse)
+     */
+    load(url, onProgress, options = {}) {
+        // the worker resolves relative URLs against its own location
+        const absolute = new URL(url, document.baseURI).href;
+        const { onColors, ...loadOptions } = options;
+        if (!onColors) {
+            return this._run({ type: 'load', url: absolute, options }, [], onProgress, unpackLoaded,
+                () => ColorLoader.load(url, onProgress, options));
+        }
+
+        // batches arrive as columns; the job's colours are the batches put together
+        const streamed = [];
+        const onBatch = (columns) => {
+            const colors = ColorLoader.fromColumns(columns);
+            for (const color of colors) streamed.push(color);
+            onColors(colors);
+        };
+        const unpack = ({ report }) => ({ colors: streamed, report });
+
+        // a worker that fails mid-download may already have handed over the start of the file,
+        // so the main thread reads it again and passes on only what comes after that
+        const fallback = () => {
+            let skip = streamed.length;
+            return ColorLoader.load(url, onProgress, {
+                ...loadOptions,
+                onColors: (colors) => {
+                    const fresh = colors.slice(skip);
+                    skip = Math.max(0, skip - colors.length);
+                    for (const color of fresh) streamed.push(color);
+                    if (fresh.length > 0) onColors(fresh);
+                }
+            }).then(({ report }) => ({ colors: streamed, report }));
+        };
+
+        return this._run({ type: 'load', url: absolute, options: { ...loadOptions, stream: true } }, [], onProgress,
+            unpack, fallback, onBatch);
+    }
+
+    /**
+     * parses colour data that is already in memory, e.g. a dropped file. the worker gets a copy of the
+     * buffer, so the original is still there if the worker fails and the job falls back to the main thread
+     * @param {ArrayBuffer} buffer - file contents
+     * @param {Object} options - see ColorLoader.parse
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @returns {{promise: Promise<Object>, cancel: Function}} job resolving to { colors, report } (see ColorLoader.parse)
+     */
+    parse(buffer, options = {}, onProgress) {
+        const copy = buffer.slice(0);
+        return this._run({ type: 'parse', buffer: copy, options }, [copy], onProgress, unpackLoaded,
+            () => ColorLoader.parse(buffer, options, onProgress));
+    }
+
+    /**
+     * builds the raw components of every colour in a colour space, as instanced attribute data
+     * @param {Array} colors - colour objects
+     * @param {Object} colorSpace - colour space object (see config.js)
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @returns {{promise: Promise<Float32Array|null>, cancel: Function}} job resolving to x, y, z triples,
+     *     or null when the caller should build them itself
+     */
+    components(colors, colorSpace, onProgress) {
+        const space = Object.keys(colorSpaces).find(key => colorSpaces[key] === colorSpace);
+        if (!this.worker || !space) return { promise: Promise.resolve(null), cancel: () => {} };
+
+        if (this.dataset !== colors) {
+            const columns = ColorLoader.toColumns(colors);
+            this.worker.postMessage({ type: 'setDataset', columns }, [columns.flags.buffer, columns.values.buffer]);
+            this.dataset = colors;
+        }
+
+        return this._run({ type: 'components', space }, [], onProgress, (array) => array, () => null);
+    }
+
+    /**
+     * posts a job to the worker, or runs its fallback on the main thread when there is no worker
+     * @param {Object} message - job message without its id
+     * @param {Array<Transferable>} transfer - buffers to hand over to the worker
+     * @param {function} onProgress - callback (percent, statusMessage)
+     * @param {Function} unpack - turns the worker's result into the job's result
+     * @param {Function} fallback - produces the job's result on the main thread
+     * @param {Function} onBatch - callback (result) for the partial results a job sends before it is done
+     * @returns {{promise: Promise, cancel: Function}}
+     */
+    _run(message, transfer, onProgress, unpack, fallback, onBatch = null) {
+        if (!this.worker) return { promise: Promise.resolve().then(fallback), cancel: () => {} };
+
+        const id = this.nextId++;
+        const promise = new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, onProgress, onBatch, unpack, fallback });
+        });
+        this.worker.postMessage({ ...message, id }, transfer);
+
+        const cancel = () => {
+            const job = this.jobs.get(id);
+            if (!job) return;
+
+            this.jobs.delete(id);
+            if (this.worker) this.worker.postMessage({ id, type: 'cancel' });
+            job.reject(Object.assign(new Error('Job cancelled'), { cancelled: true }));
+        };
+
+        return { promise, cancel };
+    }
+
+    _handleMessage(data) {
+        const job = this.jobs.get(data.id);
+        if (!job) return;
+
+        if (data.type === 'progress') {
+            if (job.onProgress) job.onProgress(data.percent, data.message);
+            return;
+        }
+        if (data.type === 'batch') {
+            if (job.onBatch) job.onBatch(data.result);
+            return;
+        }
+
+        this.jobs.delete(data.id);
+        if (data.type === 'done') {
+            job.resolve(job.unpack(data.result));
+        } else if (data.type === 'cancelled') {
+            job.reject(Object.assign(new Error('Job cancelled'), { cancelled: true }));
+        } else {
+            job.reject(new Error(data.message));
+        }
+    }
+
+    /**
+     * stops using a worker that failed, e.g. because the browser can't load module workers,
+     * and finishes its pending jobs on the main thread
+     */
+    _handleFailure(e) {
+        console.warn('Color worker failed, working on the main thread.', e.message || e);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.dataset = null;
+
+        for (const job of this.jobs.values()) {
+            Promise.resolve().then(job.fallback).then(job.resolve, job.reject);
+        }
+        this.jobs.clear();
+    }
+}
+
+/**
+ * rebuilds the colours of a load or parse job next to their load report
+ */
+function unpackLoaded({ columns, report }) {
+    return { colors: ColorLoader.fromColumns(columns), report };
+}
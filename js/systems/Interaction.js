@@ -4,7 +4,7 @@ export class Interaction {
      * @param {THREE.WebGLRenderer} renderer - the Three.js renderer
      * @param {THREE.Camera} camera - the scene camera
      * @param {Picker} picker - the color picker instance
-     * @param {Object} callbacks - callback functions: { onSelect: (index) => {}, onHover: (index, x, y) => {}, getPickingMesh: () => mesh, getVisualMesh: () => mesh }
+     * @param {Object} callbacks - callback functions: { onSelect: (index) => {}, onMultiSelect: (index) => {} for shift-clicks, onHover: (index, x, y) => {}, onRegionChange: (region) => {} while a shift-drag rectangle or alt-drag lasso is drawn (null when it ends), onRegionSelect: (indices, region, additive) => {} when it is released, getPickingMesh: () => mesh, getVisualMesh: () => mesh }
      */
     constructor(renderer, camera, picker, callbacks) {
         this.renderer = renderer;
@@ -15,6 +15,20 @@ export class Interaction {
         this.lastTooltipUpdate = 0;
         this.throttleDelay = 16;
 
+        // CSS pixels around a tap (and optionally the mouse) searched for the nearest colour when none is
+        // exactly under it; spheres are only a few pixels across on phones
+        this.tapRadius = 12;
+        this.mouseRadius = 0;
+
+        // hover reads its pixels back asynchronously; only the newest position waiting on one is kept
+        this.asyncHover = true;
+        this.hoverPending = false;
+        this.nextHover = null;
+
+        this.region = null;
+        this.dragThreshold = 5;
+        this.lassoSpacing = 3;
+
         this._setupEventListeners();
         this._setupTouchListeners();
     }
@@ -23,18 +37,118 @@ export class Interaction {
         this.renderer.domElement.addEventListener('contextmenu', (e) => e.preventDefault());
 
         this.renderer.domElement.addEventListener('mousedown', (e) => {
-            if (e.button === 0) {
+            if (e.button !== 0) return;
+            if (e.shiftKey || e.altKey) {
+                // picked on release instead, so a drag can become a region selection
+                e.preventDefault();
+                this._startRegion(e);
+            } else {
                 this._handlePick(e.clientX, e.clientY, true, false);
             }
         });
 
         this.renderer.domElement.addEventListener('mousemove', (e) => {
+            if (this.region) return;
+
             const now = performance.now();
             if (now - this.lastTooltipUpdate < this.throttleDelay) return;
             this.lastTooltipUpdate = now;
 
-            this._handlePick(e.clientX, e.clientY, false, false);
+            this._hover(e.clientX, e.clientY);
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.region) this._dragRegion(e.clientX, e.clientY);
         });
+
+        window.addEventListener('mouseup', (e) => {
+            if (this.region && e.button === 0) this._endRegion();
+        });
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.region) this._cancelRegion();
+        });
+    }
+
+    /**
+     * begins a possible region selection: shift draws a rectangle, alt a lasso, and ctrl or cmd adds to the selection
+     * @param {MouseEvent} e - the left button mousedown
+     */
+    _startRegion(e) {
+        this.region = {
+            type: e.altKey ? 'lasso' : 'rect',
+            additive: e.ctrlKey || e.metaKey,
+            isMulti: e.shiftKey,
+            start: { x: e.clientX, y: e.clientY },
+            points: [{ x: e.clientX, y: e.clientY }],
+            dragging: false
+        };
+        if (this.callbacks.onHover) this.callbacks.onHover(-1, e.clientX, e.clientY);
+    }
+
+    _dragRegion(x, y) {
+        const region = this.region;
+        const last = region.points[region.points.length - 1];
+
+        if (!region.dragging) {
+            if (Math.hypot(x - region.start.x, y - region.start.y) < this.dragThreshold) return;
+            region.dragging = true;
+        }
+
+        if (region.type === 'rect') {
+            region.points = [region.start, { x, y }];
+        } else if (Math.hypot(x - last.x, y - last.y) >= this.lassoSpacing) {
+            region.points.push({ x, y });
+        }
+
+        if (this.callbacks.onRegionChange) this.callbacks.onRegionChange(this._regionShape());
+    }
+
+    /**
+     * finishes the region: a drag selects what it covers, otherwise it was a click at the start point
+     */
+    _endRegion() {
+        const region = this.region;
+        this.region = null;
+
+        if (!region.dragging) {
+            this._handlePick(region.start.x, region.start.y, true, false, region.isMulti);
+            return;
+        }
+
+        const shape = this._regionShape(region);
+        if (this.callbacks.onRegionChange) this.callbacks.onRegionChange(null);
+        if (!this.callbacks.getPickingMesh || !this.callbacks.onRegionSelect) return;
+
+        const pickingMesh = this.callbacks.getPickingMesh();
+        const visualMesh = this.callbacks.getVisualMesh ? this.callbacks.getVisualMesh() : null;
+        const indices = this.picker.pickRegion(shape, pickingMesh, visualMesh);
+        this.callbacks.onRegionSelect(indices, shape, region.additive);
+    }
+
+    _cancelRegion() {
+        const wasDragging = this.region.dragging;
+        this.region = null;
+        if (wasDragging && this.callbacks.onRegionChange) this.callbacks.onRegionChange(null);
+    }
+
+    /**
+     * converts the drag in progress to a region in the format the region helpers in utils expect
+     * @param {Object} region - drag state, the current one by default
+     * @returns {Object} rect or lasso region
+     */
+    _regionShape(region = this.region) {
+        if (region.type === 'lasso') {
+            return { type: 'lasso', points: region.points.slice() };
+        }
+        const [a, b] = region.points;
+        return {
+            type: 'rect',
+            x0: Math.min(a.x, b.x),
+            y0: Math.min(a.y, b.y),
+            x1: Math.max(a.x, b.x),
+            y1: Math.max(a.y, b.y)
+        };
     }
 
     _setupTouchListeners() {
@@ -69,19 +183,57 @@ export class Interaction {
     }
 
     /**
-     * @param {boolean} isTap - true when triggered by a touch tap (uses onTap callback)
+     * picks for the tooltip without stalling the frame on the read back. positions arriving while a pick is
+     * in flight replace each other, so at most one more pick follows it
+     */
+    _hover(x, y) {
+        if (!this.asyncHover || !this.picker.pickAsync) {
+            this._handlePick(x, y, false, false);
+            return;
+        }
+
+        if (this.hoverPending) {
+            this.nextHover = { x, y };
+            return;
+        }
+        if (!this.callbacks.getPickingMesh) return;
+
+        const pickingMesh = this.callbacks.getPickingMesh();
+        const visualMesh = this.callbacks.getVisualMesh ? this.callbacks.getVisualMesh() : null;
+
+        this.hoverPending = true;
+        this.picker.pickAsync(x, y, pickingMesh, visualMesh, this.mouseRadius).then((index) => {
+            this.hoverPending = false;
+
+            const next = this.nextHover;
+            this.nextHover = null;
+            if (next) {
+                this._hover(next.x, next.y);
+            } else if (!this.region && this.callbacks.onHover) {
+                this.callbacks.onHover(index, x, y);
+            }
+        }, () => {
+            this.hoverPending = false;
+        });
+    }
+
+    /**
+     * @param {boolean} isTap - true when triggered by a touch tap (uses onTap callback and tapRadius, mouseRadius otherwise)
+     * @param {boolean} isMulti - true when a click should add to the selection (uses onMultiSelect callback)
      */
-    _handlePick(x, y, isClick, isTap) {
+    _handlePick(x, y, isClick, isTap, isMulti = false) {
         if (!this.callbacks.getPickingMesh) return;
         const pickingMesh = this.callbacks.getPickingMesh();
         const visualMesh = this.callbacks.getVisualMesh ? this.callbacks.getVisualMesh() : null;
 
-        const index = this.picker.pick(x, y, pickingMesh, visualMesh);
+        const index = this.picker.pick(x, y, pickingMesh, visualMesh, isTap ? this.tapRadius : this.mouseRadius);
 
         if (isClick) {
             if (index >= 0) {
                 if (isTap && this.callbacks.onTap) {
                     this.callbacks.onTap(index);
+                } else if (isMulti && this.callbacks.onMultiSelect) {
+                    this.callbacks.onMultiSelect(index);
                 } else if (this.callbacks.onSelect) {
                     this.callbacks.onSelect(index);
                 }
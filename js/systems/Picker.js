@@ -1,9 +1,13 @@
 import * as THREE from 'three';
-import { colorToIndex, indexToColor } from '../utils.js'; // Ensure these are exported from utils
+import { colorToIndex, indexToColor, regionBounds, regionRowSpans } from '../utils.js'; // Ensure these are exported from utils
 
 export class Picker {
     /**
      * handles GPU accelerated picking using color encoding
+     *
+     * only a small tile around the cursor is rendered, by offsetting the camera's view onto it, and the tile's
+     * pixels are kept on the CPU. while neither the camera nor the picking mesh changes, picks inside the tile
+     * are answered from that copy without touching the GPU
      * @param {THREE.WebGLRenderer} renderer - the Three.js renderer
      * @param {THREE.Scene} scene - the scene containing pickable objects
      * @param {THREE.Camera} camera - the scene camera
@@ -13,51 +17,343 @@ export class Picker {
         this.scene = scene;
         this.camera = camera;
 
-        this.pickingRenderTarget = new THREE.WebGLRenderTarget(1, 1);
-        this.pixelBuffer = new Uint8Array(4);
+        // CSS pixels rendered around the cursor per pick
+        this.tileSize = 32;
+        this.tileTarget = new THREE.WebGLRenderTarget(this.tileSize, this.tileSize);
+        // { x, y, width, height, pixels, state } where x, y is the top left corner in CSS pixels
+        this.tile = null;
+        this.pendingTile = null;
+        // pixels of the tile before the current one, reused by the next tile of the same size
+        this.sparePixels = null;
+        // pixel pack buffer for async reads, and its size in bytes
+        this.packBuffer = null;
+        this.packBufferSize = 0;
+
+        this.regionTarget = new THREE.WebGLRenderTarget(1, 1);
     }
 
     /**
      * returns the index of the instance at mouse coordinates, or -1 if nothing picked
-     * 
-     * uses off screen rendering with color encoded instance IDs
+     *
+     * uses off screen rendering with color encoded instance IDs. only the picking mesh is drawn,
+     * so overlays such as markers or a pixel cloud can never decode as an instance.
+     * with a radius, the pixels within it are searched too and the instance covering the pixel closest to
+     * the point wins, so small spheres can be picked with a fingertip
      * @param {number} cssX - CSS X coordinate (top left origin)
      * @param {number} cssY - CSS Y coordinate (top left origin)
      * @param {THREE.Mesh} pickingMesh - the mesh with color encoded instance data
      * @param {THREE.Mesh} meshToHide - optional mesh to hide during picking
+     * @param {number} radius - CSS pixels around the point to search when nothing is exactly under it
      * @returns {number} instance index or -1 if no pick
      */
-    pick(cssX, cssY, pickingMesh, meshToHide) {
-        if (!pickingMesh) return -1;
+    pick(cssX, cssY, pickingMesh, meshToHide, radius = 0) {
+        if (!pickingMesh || !this._onScreen(cssX, cssY)) return -1;
+
+        const state = this._sceneState(pickingMesh);
+        if (!this._tileCovers(cssX, cssY, radius, state)) {
+            const tile = this._tileAround(cssX, cssY, radius, state);
+            this._render(this.tileTarget, tile, pickingMesh, meshToHide, () => {
+                this.renderer.readRenderTargetPixels(this.tileTarget, 0, 0, tile.width, tile.height, tile.pixels);
+            });
+            this._setTile(tile);
+        }
+
+        return this._indexNear(cssX, cssY, radius);
+    }
+
+    /**
+     * like pick, but reads the pixels back without waiting for the GPU to finish drawing them, so hovering
+     * never stalls a frame. falls back to a synchronous read where WebGL2 isn't available.
+     * picks nothing if the GPU can't finish the read, e.g. because the context was lost
+     * @param {number} cssX - CSS X coordinate (top left origin)
+     * @param {number} cssY - CSS Y coordinate (top left origin)
+     * @param {THREE.Mesh} pickingMesh - the mesh with color encoded instance data
+     * @param {THREE.Mesh} meshToHide - optional mesh to hide during picking
+     * @param {number} radius - CSS pixels around the point to search when nothing is exactly under it
+     * @returns {Promise<number>} instance index or -1 if no pick
+     */
+    async pickAsync(cssX, cssY, pickingMesh, meshToHide, radius = 0) {
+        if (!this.renderer.capabilities.isWebGL2) return this.pick(cssX, cssY, pickingMesh, meshToHide, radius);
+
+        // a tile already on its way may cover this point too. the pack buffer holds one read at a time,
+        // so picks waiting on the same tile take turns
+        while (this.pendingTile) await this.pendingTile;
+        if (!pickingMesh || !this._onScreen(cssX, cssY)) return -1;
+
+        const state = this._sceneState(pickingMesh);
+        if (!this._tileCovers(cssX, cssY, radius, state)) {
+            const tile = this._tileAround(cssX, cssY, radius, state);
+            let read;
+            this._render(this.tileTarget, tile, pickingMesh, meshToHide, () => {
+                read = this._readPixelsAsync(tile.width, tile.height, tile.pixels);
+            });
+
+            this.pendingTile = read;
+            const filled = await read;
+            this.pendingTile = null;
+
+            if (!filled) {
+                this.sparePixels = tile.pixels;
+                return -1;
+            }
+            this._setTile(tile);
+        }
+
+        return this._indexNear(cssX, cssY, radius);
+    }
+
+    /**
+     * returns every instance visible inside a screen region, e.g. a dragged rectangle or lasso.
+     * renders and reads back only the region's bounding box and keeps the pixels whose centres are inside the region,
+     * so instances hidden behind others are not included
+     * @param {Object} region - rect or lasso region in CSS pixels (see regionBounds)
+     * @param {THREE.Mesh} pickingMesh - the mesh with color encoded instance data
+     * @param {THREE.Mesh} meshToHide - optional mesh to hide during picking
+     * @returns {Array<number>} instance indices, each once
+     */
+    pickRegion(region, pickingMesh, meshToHide) {
+        if (!pickingMesh) return [];
+
+        const bounds = regionBounds(region);
+        const x0 = Math.max(0, bounds.x);
+        const y0 = Math.max(0, bounds.y);
+        const x1 = Math.min(window.innerWidth, bounds.x + bounds.width);
+        const y1 = Math.min(window.innerHeight, bounds.y + bounds.height);
+        if (x1 <= x0 || y1 <= y0) return [];
+
+        const w = x1 - x0;
+        const h = y1 - y0;
+        const pixels = new Uint8Array(w * h * 4);
+        this._render(this.regionTarget, { x: x0, y: y0, width: w, height: h }, pickingMesh, meshToHide, () => {
+            this.renderer.readRenderTargetPixels(this.regionTarget, 0, 0, w, h, pixels);
+        });
+
+        const found = new Set();
+        for (let row = 0; row < h; row++) {
+            // the read back rows run bottom up
+            const cssY = y1 - row - 0.5;
+            for (const [from, to] of regionRowSpans(region, cssY)) {
+                const first = Math.max(x0, Math.ceil(from - 0.5));
+                const last = Math.min(x1 - 1, Math.floor(to - 0.5));
+                for (let x = first; x <= last; x++) {
+                    const offset = (row * w + x - x0) * 4;
+                    const r = pixels[offset];
+                    const g = pixels[offset + 1];
+                    const b = pixels[offset + 2];
+                    if (r !== 0 || g !== 0 || b !== 0) found.add(colorToIndex(r, g, b));
+                }
+            }
+        }
+
+        return Array.from(found);
+    }
+
+    /**
+     * forgets the cached tile, e.g. after changing something the scene state doesn't capture
+     */
+    invalidate() {
+        this._setTile(null);
+    }
+
+    _onScreen(cssX, cssY) {
+        return cssX >= 0 && cssY >= 0 && cssX < window.innerWidth && cssY < window.innerHeight;
+    }
+
+    /**
+     * collects everything that decides what the picking render shows: the camera, the viewport, and the picking
+     * mesh's instance count, attributes and shader uniforms (see PointCloud._patchInstanceShader)
+     * @param {THREE.Mesh} pickingMesh - the mesh with color encoded instance data
+     * @returns {Array} values to compare with a later state
+     */
+    _sceneState(pickingMesh) {
+        this.camera.updateMatrixWorld();
+        const state = [
+            window.innerWidth, window.innerHeight,
+            ...this.camera.matrixWorld.elements,
+            ...this.camera.projectionMatrix.elements,
+            pickingMesh, pickingMesh.count
+        ];
+
+        // replacing an attribute swaps the object, editing one bumps its version
+        const attributes = pickingMesh.geometry.attributes;
+        for (const name in attributes) state.push(attributes[name], attributes[name].version);
+        if (pickingMesh.instanceColor) state.push(pickingMesh.instanceColor.version);
+
+        const uniforms = pickingMesh.material.userData.uniforms || {};
+        for (const name in uniforms) {
+            const value = uniforms[name].value;
+            if (value && value.toArray) state.push(...value.toArray());
+            else state.push(value);
+        }
+
+        return state;
+    }
+
+    _tileCovers(cssX, cssY, radius, state) {
+        const tile = this.tile;
+        if (!tile) return false;
+
+        const reach = Math.ceil(radius);
+        const x = Math.floor(cssX);
+        const y = Math.floor(cssY);
+        if (x - reach < tile.x || y - reach < tile.y) return false;
+        if (x + reach >= tile.x + tile.width || y + reach >= tile.y + tile.height) return false;
+        return tile.state.length === state.length && tile.state.every((value, i) => value === state[i]);
+    }
+
+    /**
+     * lays out a tile centred on a point. its pixels come from the previous tile when that had the same size;
+     * they stay taken until the tile is kept or given back, so a pick made meanwhile can't write into them
+     */
+    _tileAround(cssX, cssY, radius, state) {
+        const size = Math.max(this.tileSize, 2 * Math.ceil(radius) + 2);
+        const half = Math.floor(size / 2);
+
+        const spare = this.sparePixels;
+        this.sparePixels = null;
+        return {
+            x: Math.floor(cssX) - half,
+            y: Math.floor(cssY) - half,
+            width: size,
+            height: size,
+            pixels: spare && spare.length === size * size * 4 ? spare : new Uint8Array(size * size * 4),
+            state
+        };
+    }
+
+    /**
+     * makes a tile the cached one, keeping the pixels of the one it replaces for the next tile
+     * @param {Object|null} tile - see _tileAround, or null to cache nothing
+     */
+    _setTile(tile) {
+        if (this.tile) this.sparePixels = this.tile.pixels;
+        this.tile = tile;
+    }
+
+    /**
+     * decodes the cached tile's pixels around a point, nearest first
+     * @param {number} cssX - CSS X coordinate (top left origin)
+     * @param {number} cssY - CSS Y coordinate (top left origin)
+     * @param {number} radius - CSS pixels to search, 0 for just the pixel under the point
+     * @returns {number} index of the instance covering the pixel closest to the point, or -1 if none does
+     */
+    _indexNear(cssX, cssY, radius) {
+        const tile = this.tile;
+        const x = Math.floor(cssX);
+        const y = Math.floor(cssY);
+        const reach = Math.ceil(radius);
+        const limit = radius * radius;
+
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                const distance = dx * dx + dy * dy;
+                if (distance > limit || distance >= bestDistance) continue;
+                // the tile can reach past the window, where nothing can be tapped
+                if (!this._onScreen(x + dx, y + dy)) continue;
+
+                const column = x + dx - tile.x;
+                const row = tile.y + tile.height - 1 - (y + dy);
+                const offset = (row * tile.width + column) * 4;
+
+                const r = tile.pixels[offset];
+                const g = tile.pixels[offset + 1];
+                const b = tile.pixels[offset + 2];
+                if (r === 0 && g === 0 && b === 0) continue;
+
+                best = colorToIndex(r, g, b);
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * reads the bound render target into the pixel pack buffer and copies it out once a fence says the GPU is done,
+     * polling instead of blocking. must be called while the target is bound, and not again until the read settles
+     * @param {number} width - pixels to read across
+     * @param {number} height - pixels to read down
+     * @param {Uint8Array} pixels - receives RGBA bytes, rows bottom up
+     * @returns {Promise<boolean>} whether pixels was filled; false when the wait failed, e.g. on a lost context
+     */
+    _readPixelsAsync(width, height, pixels) {
+        const gl = this.renderer.getContext();
+        if (!this.packBuffer) {
+            this.packBuffer = gl.createBuffer();
+            this.packBufferSize = 0;
+        }
+
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.packBuffer);
+        if (this.packBufferSize !== pixels.byteLength) {
+            gl.bufferData(gl.PIXEL_PACK_BUFFER, pixels.byteLength, gl.STREAM_READ);
+            this.packBufferSize = pixels.byteLength;
+        }
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, 0);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+        const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+        gl.flush();
+
+        return new Promise((resolve) => {
+            const poll = () => {
+                const status = sync ? gl.clientWaitSync(sync, 0, 0) : gl.WAIT_FAILED;
+                if (status === gl.TIMEOUT_EXPIRED) {
+                    setTimeout(poll, 1);
+                    return;
+                }
+                if (sync) gl.deleteSync(sync);
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-        if (this.pickingRenderTarget.width !== width || this.pickingRenderTarget.height !== height) {
-            this.pickingRenderTarget.setSize(width, height);
+                if (status === gl.WAIT_FAILED || gl.isContextLost()) {
+                    // the buffer belongs to the old context; a restored one needs a new buffer
+                    this.packBuffer = null;
+                    this.packBufferSize = 0;
+                    resolve(false);
+                    return;
+                }
+
+                gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.packBuffer);
+                gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pixels);
+                gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+                resolve(true);
+            };
+            poll();
+        });
+    }
+
+    /**
+     * draws the picking mesh alone into a render target, as if the target were the part of the window
+     * given by `view`, runs a read back and restores the scene and camera
+     * @param {THREE.WebGLRenderTarget} target - render target, resized to the view if needed
+     * @param {{x:number,y:number,width:number,height:number}} view - window area in CSS pixels, top left origin
+     * @param {THREE.Mesh} pickingMesh - the mesh with color encoded instance data
+     * @param {THREE.Mesh} meshToHide - optional mesh to hide during picking
+     * @param {Function} read - reads pixels from the target while it holds the picking render
+     */
+    _render(target, view, pickingMesh, meshToHide, read) {
+        if (target.width !== view.width || target.height !== view.height) {
+            target.setSize(view.width, view.height);
         }
 
         const originalRenderTarget = this.renderer.getRenderTarget();
         const originalAutoClear = this.renderer.autoClear;
         const originalBackground = this.scene.background;
+        const originalView = this.camera.view && this.camera.view.enabled ? { ...this.camera.view } : null;
+
+        // the projection of the whole window, narrowed to the view, so the target holds exactly those pixels
+        this.camera.setViewOffset(window.innerWidth, window.innerHeight, view.x, view.y, view.width, view.height);
 
         pickingMesh.visible = true;
         if (meshToHide) meshToHide.visible = false;
         this.scene.background = null;
 
         this.renderer.autoClear = true;
-        this.renderer.setRenderTarget(this.pickingRenderTarget);
+        this.renderer.setRenderTarget(target);
         this.renderer.clear();
-        this.renderer.render(this.scene, this.camera);
-
-        const readX = Math.floor(cssX);
-        const readY = height - Math.floor(cssY) - 1;
+        this.renderer.render(pickingMesh, this.camera);
 
-        this.renderer.readRenderTargetPixels(
-            this.pickingRenderTarget,
-            readX, readY,
-            1, 1,
-            this.pixelBuffer
-        );
+        read();
 
         pickingMesh.visible = false;
         if (meshToHide) meshToHide.visible = true;
@@ -65,9 +361,11 @@ export class Picker {
         this.renderer.setRenderTarget(originalRenderTarget);
         this.renderer.autoClear = originalAutoClear;
 
-        const [r, g, b] = this.pixelBuffer;
-        if (r === 0 && g === 0 && b === 0) return -1;
-
-        return colorToIndex(r, g, b);
+        if (originalView) {
+            const v = originalView;
+            this.camera.setViewOffset(v.fullWidth, v.fullHeight, v.offsetX, v.offsetY, v.width, v.height);
+        } else {
+            this.camera.clearViewOffset();
+        }
     }
-}
\ No newline at end of file
+}
@@ -42,6 +42,7 @@ export class Renderer {
         this.axesHelper.visible = false;
         this.scene.add(this.axesHelper);
 
+        this.backgroundHsv = { h: 0, s: 0, v: 3 };
         this.setBackground(0, 0, 3);
 
         window.addEventListener('resize', () => this.onResize());
@@ -78,6 +79,8 @@ export class Renderer {
      * @param {number} v - value (0-100)
      */
     setBackground(h, s, v) {
+        this.backgroundHsv = { h, s, v };
+
         const hue = h / 360;
         const saturation = s / 100;
         const value = v / 100;
@@ -100,4 +103,12 @@ export class Renderer {
         
         this.scene.background = new THREE.Color(r, g, b);
     }
+
+    /**
+     * returns the background as it is displayed, e.g. for contrast checks
+     * @returns {string} sRGB hex colour
+     */
+    getBackgroundHex() {
+        return '#' + this.scene.background.getHexString();
+    }
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+export class UrlState {
+    /**
+     * keeps the URL hash in sync with the view state so a view can be shared as a link
+     *
+     * the hash is rewritten in place while navigating, and a new history entry is pushed for each
+     * committed selection, so browser back/forward steps through previous selections
+     * @param {Object} callbacks - { getState: () => state, onRestore: (state) => void }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.interval = 300;
+        this.timer = null;
+        this.lastHash = window.location.hash;
+
+        window.addEventListener('popstate', () => {
+            this.lastHash = window.location.hash;
+            if (this.callbacks.onRestore) this.callbacks.onRestore(this.read());
+        });
+    }
+
+    /**
+     * reads the view state encoded in the current URL
+     * @returns {Object} partial state: { space, scale, background, hideUnflagged, showAxes, color, camera }, only keys present in the URL are set
+     */
+    read() {
+        return parseHash(window.location.hash);
+    }
+
+    /**
+     * starts mirroring the view state into the URL. call once the state read on load has been applied,
+     * otherwise a half restored view would overwrite the link
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this._sync(), this.interval);
+    }
+
+    /**
+     * records the current state as a new history entry, e.g. when a colour is selected
+     */
+    push() {
+        if (!this.timer || !this.callbacks.getState) return;
+
+        const hash = serializeState(this.callbacks.getState());
+        if (hash === this.lastHash) return;
+
+        history.pushState(null, '', hash);
+        this.lastHash = hash;
+    }
+
+    /**
+     * rewrites the current history entry if the state changed since the last write
+     */
+    _sync() {
+        if (!this.callbacks.getState) return;
+
+        const hash = serializeState(this.callbacks.getState());
+        if (hash === this.lastHash) return;
+
+        history.replaceState(null, '', hash);
+        this.lastHash = hash;
+    }
+}
+
+/**
+ * encodes a view state as a URL hash
+ * @param {Object} state - view state
+ * @returns {string} hash including the leading #
+ */
+function serializeState(state) {
+    const params = new URLSearchParams();
+
+    if (state.space) params.set('space', state.space);
+    if (typeof state.scale === 'number') params.set('scale', state.scale.toFixed(2));
+    if (state.background) {
+        const { h, s, v } = state.background;
+        params.set('bg', [h, s, v].map(Math.round).join(','));
+    }
+    if (typeof state.hideUnflagged === 'boolean') params.set('hide', state.hideUnflagged ? '1' : '0');
+    if (typeof state.showAxes === 'boolean') params.set('axes', state.showAxes ? '1' : '0');
+    if (state.color) params.set('color', state.color);
+    if (state.camera) {
+        const c = state.camera;
+        params.set('cam', [c.x, c.y, c.z, c.distance, c.theta, c.phi].map(v => +v.toFixed(4)).join(','));
+    }
+
+    // commas are safe in a hash, keep them readable
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * decodes a URL hash written by serializeState, ignoring anything malformed
+ * @param {string} hash - location hash
+ * @returns {Object} partial view state
+ */
+function parseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const numbers = (key, length) => {
+        const raw = params.get(key);
+        if (raw === null) return null;
+        const values = raw.split(',').map(Number);
+        return values.length === length && values.every(Number.isFinite) ? values : null;
+    };
+
+    if (params.has('space')) state.space = params.get('space');
+
+    const scale = numbers('scale', 1);
+    if (scale) state.scale = scale[0];
+
+    const bg = numbers('bg', 3);
+    if (bg) state.background = { h: bg[0], s: bg[1], v: bg[2] };
+
+    if (params.has('hide')) state.hideUnflagged = params.get('hide') === '1';
+    if (params.has('axes')) state.showAxes = params.get('axes') === '1';
+    if (params.get('color')) state.color = params.get('color');
+
+    const cam = numbers('cam', 6);
+    if (cam) {
+        state.camera = { x: cam[0], y: cam[1], z: cam[2], distance: cam[3], theta: cam[4], phi: cam[5] };
+    }
+
+    return state;
+}
@@ -0,0 +1,225 @@
+import { colorDistances, remapIndices, escapeHtml } from '../utils.js';
+
+/**
+ * Rows of the values table: label and a formatter over a colour object.
+ */
+const valueRows = [
+    { name: 'Oklab', format: (c) => `${c.l.toFixed(3)} ${c.a.toFixed(3)} ${c.oklab_b.toFixed(3)}` },
+    { name: 'OKLCh', format: (c) => `${c.l.toFixed(3)} ${c.oklch_c.toFixed(3)} ${c.oklch_h.toFixed(1)}°` },
+    { name: 'CIELAB', format: (c) => `${c.cielab_l.toFixed(1)} ${c.cielab_a.toFixed(1)} ${c.cielab_b.toFixed(1)}` },
+    { name: 'RGB', format: (c) => `${c.r} ${c.g} ${c.b}` },
+    { name: 'HSL', format: (c) => `${c.hsl_h.toFixed(0)}° ${(c.hsl_s * 100).toFixed(0)}% ${(c.hsl_l * 100).toFixed(0)}%` }
+];
+
+export class ComparePanel {
+    /**
+     * Lists the multi-selection side by side with its values in several colour spaces,
+     * and a pairwise distance matrix in a chosen metric.
+     * onChange receives { indices, metric } where metric is a key of colorDistances.
+     * @param {Object} callbacks - Event callback functions: { onChange, onSelect }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.indices = [];
+        this.metric = 'de2000';
+        this.colorTransform = null;
+
+        this.dom = {
+            panel: document.getElementById('compare-panel'),
+            toggle: document.getElementById('compare-toggle'),
+            count: document.getElementById('compare-count'),
+            table: document.getElementById('compare-table'),
+            empty: document.getElementById('compare-empty'),
+            metric: document.getElementById('compare-metric'),
+            matrix: document.getElementById('compare-matrix'),
+            clearButton: document.getElementById('compare-clear')
+        };
+
+        this._setupMetrics();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data the selection indices refer to.
+     * Selected colours that are still in the new data stay selected.
+     * @param {Array} data - Array of color objects
+     */
+    setData(data) {
+        const indices = remapIndices(this.indices, this.data, data);
+        this.data = data;
+        this.setSelection(indices);
+    }
+
+    /**
+     * Replaces the selection.
+     * @param {Array<number>} indices - Indices into the colour data
+     */
+    setSelection(indices) {
+        this.indices = indices.filter((index, position) => this.data[index] && indices.indexOf(index) === position);
+        this._changed();
+    }
+
+    /**
+     * Adds a colour to the selection, or removes it when it is already selected.
+     * The panel opens once there is something to compare.
+     * @param {number} index - Index into the colour data
+     * @returns {Array<number>} The new selection
+     */
+    toggle(index) {
+        if (!this.data[index]) return this.getSelection();
+
+        const position = this.indices.indexOf(index);
+        if (position >= 0) {
+            this.indices.splice(position, 1);
+        } else {
+            this.indices.push(index);
+            if (this.indices.length > 1 && this.dom.panel) this.dom.panel.classList.remove('collapsed');
+        }
+
+        this._changed();
+        return this.getSelection();
+    }
+
+    /**
+     * Returns the selected indices in the order they were added.
+     * @returns {Array<number>}
+     */
+    getSelection() {
+        return this.indices.slice();
+    }
+
+    /**
+     * Sets how swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * Values and distances always use the true colours.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Re-renders and notifies listeners of the new selection.
+     */
+    _changed() {
+        this._render();
+        if (this.callbacks.onChange) this.callbacks.onChange({ indices: this.getSelection(), metric: this.metric });
+    }
+
+    /**
+     * Renders the values table and the distance matrix.
+     */
+    _render() {
+        const colors = this.indices.map(index => this.data[index]);
+        const count = colors.length;
+
+        if (this.dom.count) this.dom.count.textContent = count;
+        if (this.dom.empty) this.dom.empty.style.display = count < 2 ? 'block' : 'none';
+        if (this.dom.clearButton) this.dom.clearButton.disabled = count === 0;
+
+        if (this.dom.table) {
+            this.dom.table.innerHTML = count === 0 ? '' : `
+                <table class="compare-table">
+                    <tr>
+                        <th></th>
+                        ${colors.map((color, position) => `
+                            <th data-position="${position}">
+                                <div class="compare-head">
+                                    <div class="color-swatch" style="background-color: ${this._displayHex(color.hex)}" title="Go to ${escapeHtml(color.name)}"></div>
+                                    <button class="tray-item-button" data-action="remove" title="Remove">&times;</button>
+                                </div>
+                                <div class="color-name">${escapeHtml(color.name)}</div>
+                                <div class="color-hex">${escapeHtml(color.hex)}</div>
+                            </th>
+                        `).join('')}
+                    </tr>
+                    ${valueRows.map(row => `
+                        <tr>
+                            <th>${row.name}</th>
+                            ${colors.map(color => `<td>${row.format(color)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        }
+
+        if (this.dom.matrix) {
+            const metric = colorDistances[this.metric];
+
+            // rows are the reference colour, which matters for asymmetric metrics like ΔE94
+            this.dom.matrix.innerHTML = count < 2 ? '' : `
+                <table class="compare-table compare-matrix">
+                    <tr>
+                        <th></th>
+                        ${colors.map(color => `<th><div class="color-swatch" style="background-color: ${this._displayHex(color.hex)}" title="${escapeHtml(color.name)}"></div></th>`).join('')}
+                    </tr>
+                    ${colors.map(a => `
+                        <tr>
+                            <th><div class="color-swatch" style="background-color: ${this._displayHex(a.hex)}" title="${escapeHtml(a.name)}"></div></th>
+                            ${colors.map(b => a === b ? '<td>&ndash;</td>' : `<td>${metric.fn(a, b).toFixed(metric.precision)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        }
+    }
+
+    /**
+     * Returns the colour a swatch should show for a hex colour.
+     * @param {string} hex - True colour hex
+     * @returns {string} Display hex
+     */
+    _displayHex(hex) {
+        return this.colorTransform ? this.colorTransform(hex) : hex;
+    }
+
+    /**
+     * Fills the metric dropdown from the available distance metrics.
+     */
+    _setupMetrics() {
+        if (!this.dom.metric) return;
+
+        this.dom.metric.innerHTML = Object.entries(colorDistances).map(([key, metric]) =>
+            `<option value="${key}" ${key === this.metric ? 'selected' : ''}>${metric.name}</option>`
+        ).join('');
+    }
+
+    /**
+     * Sets up the panel toggle, metric dropdown, column actions and the clear button.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+            });
+        }
+
+        if (this.dom.metric) {
+            this.dom.metric.addEventListener('change', (e) => {
+                this.metric = e.target.value;
+                this._changed();
+            });
+        }
+
+        if (this.dom.clearButton) this.dom.clearButton.addEventListener('click', () => this.setSelection([]));
+
+        // the table is re-rendered on every change, so listen on its container
+        if (this.dom.table) {
+            this.dom.table.addEventListener('click', (e) => {
+                const head = e.target.closest('th[data-position]');
+                if (!head) return;
+
+                const position = parseInt(head.getAttribute('data-position'));
+                if (e.target.closest('[data-action="remove"]')) {
+                    this.indices.splice(position, 1);
+                    this._changed();
+                } else if (e.target.closest('.color-swatch') && this.callbacks.onSelect) {
+                    this.callbacks.onSelect(this.indices[position]);
+                }
+            });
+        }
+    }
+}
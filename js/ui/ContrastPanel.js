@@ -0,0 +1,239 @@
+import { parseColor, relativeLuminance, wcagContrast, wcagLevels, apcaLuminance, apcaContrast } from '../utils.js';
+
+export class ContrastPanel {
+    /**
+     * Reports WCAG 2.x and APCA contrast between the selected colour and the background or a pinned colour,
+     * and can dim every colour that fails a threshold against that reference.
+     * onFilterChange receives a Uint8Array with 1 for every failing colour, or null when the filter is off.
+     * @param {Object} callbacks - Event callback functions: { getBackgroundHex, getSelectedColor, onFilterChange }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.selected = null;
+        this.pinned = null;
+        this.colorTransform = null;
+
+        // per-colour luminances, so the filter is a single pass
+        this.wcagLuminance = null;
+        this.apcaLuminance = null;
+
+        this.dom = {
+            panel: document.getElementById('contrast-panel'),
+            toggle: document.getElementById('contrast-toggle'),
+            summary: document.getElementById('contrast-summary'),
+            reference: document.getElementById('contrast-reference'),
+            pinnedOption: document.querySelector('#contrast-reference option[value="pinned"]'),
+            pinInput: document.getElementById('contrast-pin-input'),
+            pinButton: document.getElementById('contrast-pin'),
+            preview: document.getElementById('contrast-preview'),
+            results: document.getElementById('contrast-results'),
+            empty: document.getElementById('contrast-empty'),
+            filterCheck: document.getElementById('contrast-filter-checkbox'),
+            threshold: document.getElementById('contrast-threshold'),
+            filterCount: document.getElementById('contrast-filter-count')
+        };
+
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data to filter.
+     * @param {Array} data - Array of color objects
+     */
+    setData(data) {
+        this.data = data;
+        this.wcagLuminance = new Float32Array(data.length);
+        this.apcaLuminance = new Float32Array(data.length);
+
+        for (let i = 0; i < data.length; i++) {
+            const { r, g, b } = data[i];
+            this.wcagLuminance[i] = relativeLuminance(r, g, b);
+            this.apcaLuminance[i] = apcaLuminance(r, g, b);
+        }
+
+        this._updateFilter();
+    }
+
+    /**
+     * Sets the colour being checked.
+     * @param {Object|null} color - Colour object, or null to clear
+     */
+    setSelected(color) {
+        this.selected = color;
+        this._render();
+    }
+
+    /**
+     * Pins a colour to check against instead of the background.
+     * @param {Object} color - Colour object with r, g, b and hex
+     */
+    pin(color) {
+        if (!color) return;
+
+        this.pinned = color;
+        if (this.dom.pinnedOption) {
+            this.dom.pinnedOption.disabled = false;
+            this.dom.pinnedOption.textContent = `Pinned: ${color.name || color.hex}`;
+        }
+        if (this.dom.reference) this.dom.reference.value = 'pinned';
+
+        this.refresh();
+    }
+
+    /**
+     * Recomputes everything, e.g. after the background changes.
+     */
+    refresh() {
+        this._render();
+        this._updateFilter();
+    }
+
+    /**
+     * Sets how the preview is displayed, e.g. to simulate a colour vision deficiency.
+     * Ratios are always measured on the true colours.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Returns the colour contrast is measured against.
+     * @returns {Object|null} Colour object with r, g, b and hex
+     */
+    _reference() {
+        if (this.dom.reference && this.dom.reference.value === 'pinned' && this.pinned) return this.pinned;
+        return this.callbacks.getBackgroundHex ? parseColor(this.callbacks.getBackgroundHex()) : null;
+    }
+
+    /**
+     * Renders the preview, ratios and pass/fail badges for the selected colour.
+     */
+    _render() {
+        const reference = this._reference();
+        const ready = !!(this.selected && reference);
+
+        if (this.dom.empty) this.dom.empty.style.display = ready ? 'none' : 'block';
+        if (this.dom.preview) this.dom.preview.style.display = ready ? 'block' : 'none';
+        if (this.dom.summary) this.dom.summary.textContent = '';
+        if (!ready || !this.dom.results) {
+            if (this.dom.results) this.dom.results.innerHTML = '';
+            return;
+        }
+
+        const ratio = wcagContrast(this.selected, reference);
+        const levels = wcagLevels(ratio);
+        const lc = apcaContrast(
+            apcaLuminance(this.selected.r, this.selected.g, this.selected.b),
+            apcaLuminance(reference.r, reference.g, reference.b)
+        );
+
+        this.dom.preview.style.color = this._displayHex(this.selected.hex);
+        this.dom.preview.style.backgroundColor = this._displayHex(reference.hex);
+        this.dom.summary.textContent = ratio.toFixed(2) + ':1';
+
+        const badge = (label, pass) => `<span class="contrast-badge ${pass ? 'pass' : 'fail'}">${label} ${pass ? '&check;' : '&times;'}</span>`;
+
+        this.dom.results.innerHTML = `
+            <div class="contrast-row"><span>WCAG 2.x</span><strong>${ratio.toFixed(2)}:1</strong></div>
+            <div class="contrast-badges">
+                ${badge('AA', levels.aa)}
+                ${badge('AA large', levels.aaLarge)}
+                ${badge('AAA', levels.aaa)}
+                ${badge('AAA large', levels.aaaLarge)}
+            </div>
+            <div class="contrast-row"><span>APCA (selected as text)</span><strong>Lc ${lc.toFixed(1)}</strong></div>
+        `;
+    }
+
+    /**
+     * Returns the colour the preview should show for a hex colour.
+     * @param {string} hex - True colour hex
+     * @returns {string} Display hex
+     */
+    _displayHex(hex) {
+        return this.colorTransform ? this.colorTransform(hex) : hex;
+    }
+
+    /**
+     * Works out which colours fail the chosen threshold against the reference and notifies listeners.
+     */
+    _updateFilter() {
+        const enabled = this.dom.filterCheck && this.dom.filterCheck.checked;
+        const reference = this._reference();
+
+        if (!enabled || !reference || this.data.length === 0) {
+            if (this.dom.filterCount) this.dom.filterCount.textContent = '';
+            if (this.callbacks.onFilterChange) this.callbacks.onFilterChange(null);
+            return;
+        }
+
+        const [metric, value] = this.dom.threshold.value.split(':');
+        const threshold = parseFloat(value);
+        const count = this.data.length;
+        const mask = new Uint8Array(count);
+        let passing = 0;
+
+        if (metric === 'apca') {
+            const referenceY = apcaLuminance(reference.r, reference.g, reference.b);
+            for (let i = 0; i < count; i++) {
+                const pass = Math.abs(apcaContrast(this.apcaLuminance[i], referenceY)) >= threshold;
+                mask[i] = pass ? 0 : 1;
+                if (pass) passing++;
+            }
+        } else {
+            const referenceL = relativeLuminance(reference.r, reference.g, reference.b);
+            for (let i = 0; i < count; i++) {
+                const l = this.wcagLuminance[i];
+                const ratio = (Math.max(l, referenceL) + 0.05) / (Math.min(l, referenceL) + 0.05);
+                const pass = ratio >= threshold;
+                mask[i] = pass ? 0 : 1;
+                if (pass) passing++;
+            }
+        }
+
+        if (this.dom.filterCount) {
+            this.dom.filterCount.textContent = `${passing.toLocaleString()} of ${count.toLocaleString()} colours pass`;
+        }
+        if (this.callbacks.onFilterChange) this.callbacks.onFilterChange(mask);
+    }
+
+    /**
+     * Sets up the panel toggle, reference and pin controls, and the filter controls.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+            });
+        }
+
+        if (this.dom.reference) this.dom.reference.addEventListener('change', () => this.refresh());
+
+        if (this.dom.pinButton) {
+            this.dom.pinButton.addEventListener('click', () => {
+                if (this.callbacks.getSelectedColor) this.pin(this.callbacks.getSelectedColor());
+            });
+        }
+
+        if (this.dom.pinInput) {
+            this.dom.pinInput.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+
+                const color = parseColor(this.dom.pinInput.value);
+                this.dom.pinInput.classList.toggle('invalid', !color);
+                if (color) {
+                    this.pin(color);
+                    this.dom.pinInput.value = '';
+                }
+            });
+        }
+
+        if (this.dom.filterCheck) this.dom.filterCheck.addEventListener('change', () => this._updateFilter());
+        if (this.dom.threshold) this.dom.threshold.addEventListener('change', () => this._updateFilter());
+    }
+}
@@ -0,0 +1,353 @@
+import { ColorFilter, filterChannels, filterRuleKinds } from '../data/ColorFilter.js';
+
+export class FilterPanel {
+    /**
+     * Edits the colour filter: a list of rules combined with AND or OR, with filtered out colours hidden or ghosted.
+     * onChange receives { excluded, mode } where excluded is a Uint8Array with 1 for every filtered out colour,
+     * or null when no rule applies.
+     * @param {Object} callbacks - Event callback functions: { onChange }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.filter = new ColorFilter();
+        this.mode = 'hide';
+        this.palette = new Set();
+        this.searchResults = new Set();
+        this.region = new Set();
+
+        // 1 for every colour that passes, null while no rule applies
+        this.visible = null;
+        this.searchVisible = null;
+
+        this.dom = {
+            panel: document.getElementById('filter-panel'),
+            toggle: document.getElementById('filter-toggle'),
+            count: document.getElementById('filter-count'),
+            combine: document.getElementById('filter-combine'),
+            mode: document.getElementById('filter-mode'),
+            rules: document.getElementById('filter-rules'),
+            empty: document.getElementById('filter-empty'),
+            kind: document.getElementById('filter-kind'),
+            addButton: document.getElementById('filter-add'),
+            clearButton: document.getElementById('filter-clear')
+        };
+
+        this._setupKinds();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data to filter.
+     * @param {Array} data - Array of color objects
+     */
+    setData(data) {
+        this.filter.setData(data);
+        this._apply();
+    }
+
+    /**
+     * Sets the palette members for "in palette" rules.
+     * @param {Array<number>} indices - Indices into the colour data
+     */
+    setPalette(indices) {
+        this.palette = new Set(indices);
+        if (this.filter.uses('palette')) this._apply();
+    }
+
+    /**
+     * Sets the current search results for "in search results" rules.
+     * @param {Array<number>} indices - Indices into the colour data
+     */
+    setSearchResults(indices) {
+        this.searchResults = new Set(indices);
+        if (this.filter.uses('search')) this._apply();
+    }
+
+    /**
+     * Sets the region selection for "in region selection" rules.
+     * @param {Array<number>} indices - Indices into the colour data
+     */
+    setRegion(indices) {
+        this.region = new Set(indices);
+        if (this.filter.uses('region')) this._apply();
+    }
+
+    /**
+     * Returns a test for colours the filter lets through.
+     * @returns {Function|null} (color, index) => boolean, or null when every colour passes
+     */
+    getFilter() {
+        const visible = this.visible;
+        return visible ? (color, index) => visible[index] === 1 : null;
+    }
+
+    /**
+     * Returns the test search should use: the same filter without the "in search results" rules,
+     * so a search isn't limited to the previous search's results.
+     * @returns {Function|null} (color, index) => boolean, or null when every colour passes
+     */
+    getSearchFilter() {
+        const visible = this.searchVisible;
+        return visible ? (color, index) => visible[index] === 1 : null;
+    }
+
+    /**
+     * Whether a rule keeps only the colours the dataset flags as good.
+     * @returns {boolean}
+     */
+    hidesUnflagged() {
+        return this.filter.rules.some(rule => rule.type === 'flag' && rule.value && !rule.negate);
+    }
+
+    /**
+     * Adds or removes the rule that keeps only flagged colours, e.g. from a shared link.
+     * @param {boolean} hide - Whether to hide unflagged colours
+     */
+    setHideUnflagged(hide) {
+        if (hide === this.hidesUnflagged()) return;
+
+        if (hide) {
+            this.filter.addRule('flag');
+        } else {
+            this.filter.rules
+                .filter(rule => rule.type === 'flag' && rule.value && !rule.negate)
+                .forEach(rule => this.filter.removeRule(rule));
+        }
+
+        this._render();
+        this._apply();
+    }
+
+    /**
+     * Re-evaluates the filter and notifies listeners.
+     */
+    _apply() {
+        const context = { palette: this.palette, search: this.searchResults, region: this.region };
+        this.visible = this.filter.evaluate(context);
+        this.searchVisible = this.filter.uses('search') ? this.filter.evaluate(context, ['search']) : this.visible;
+
+        const total = this.filter.data.length;
+        let excluded = null;
+        let shown = total;
+
+        if (this.visible) {
+            excluded = new Uint8Array(total);
+            shown = 0;
+            for (let i = 0; i < total; i++) {
+                excluded[i] = 1 - this.visible[i];
+                shown += this.visible[i];
+            }
+        }
+
+        if (this.dom.count) {
+            this.dom.count.textContent = excluded
+                ? `${shown.toLocaleString()} / ${total.toLocaleString()}`
+                : total.toLocaleString();
+        }
+
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(excluded ? { excluded, mode: this.mode } : null);
+        }
+    }
+
+    /**
+     * Renders one row per rule. Rows are only rebuilt when rules are added or removed,
+     * so sliders keep their drag while they are edited.
+     */
+    _render() {
+        const rules = this.filter.rules;
+
+        if (this.dom.empty) this.dom.empty.style.display = rules.length === 0 ? 'block' : 'none';
+        if (this.dom.clearButton) this.dom.clearButton.disabled = rules.length === 0;
+        if (!this.dom.rules) return;
+
+        this.dom.rules.innerHTML = rules.map((rule, position) => `
+            <div class="tray-item filter-rule" data-position="${position}">
+                <div class="filter-rule-body">
+                    <div class="filter-rule-head">
+                        <span class="color-name">${this._ruleTitle(rule)}</span>
+                        <span class="filter-rule-value">${this._ruleValue(rule)}</span>
+                    </div>
+                    ${this._ruleControls(rule)}
+                </div>
+                <button class="tray-item-button ${rule.negate ? 'active' : ''}" data-action="negate" title="Invert this rule">not</button>
+                <button class="tray-item-button" data-action="remove" title="Remove">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Returns the heading shown for a rule.
+     * @param {Object} rule - Filter rule
+     * @returns {string}
+     */
+    _ruleTitle(rule) {
+        if (rule.type === 'range') return filterChannels[rule.channel].name;
+        return filterRuleKinds[rule.type].name;
+    }
+
+    /**
+     * Returns the summary shown next to a rule's heading, e.g. a range's bounds.
+     * @param {Object} rule - Filter rule
+     * @returns {string}
+     */
+    _ruleValue(rule) {
+        if (rule.type !== 'range') return '';
+
+        const spec = filterChannels[rule.channel];
+        const wraps = spec.circular && rule.min > rule.max ? ' (wraps)' : '';
+        return `${rule.min.toFixed(spec.precision)} &ndash; ${rule.max.toFixed(spec.precision)}${wraps}`;
+    }
+
+    /**
+     * Returns the inputs for a rule. Each input names the rule field it edits in data-field.
+     * @param {Object} rule - Filter rule
+     * @returns {string} HTML
+     */
+    _ruleControls(rule) {
+        if (rule.type === 'range') {
+            const spec = filterChannels[rule.channel];
+            const slider = (field) => `<input type="range" data-field="${field}" min="${spec.min}" max="${spec.max}" step="${spec.step}" value="${rule[field]}" title="${field === 'min' ? 'Minimum' : 'Maximum'}">`;
+            return slider('min') + slider('max');
+        }
+
+        if (rule.type === 'name') {
+            return `
+                <div class="tray-actions">
+                    <select class="setting-select" data-field="mode">
+                        <option value="contains" ${rule.mode === 'contains' ? 'selected' : ''}>Contains</option>
+                        <option value="regex" ${rule.mode === 'regex' ? 'selected' : ''}>Regex</option>
+                    </select>
+                    <input type="text" class="tray-input" data-field="pattern" placeholder="e.g. blue" value="${rule.pattern.replace(/"/g, '&quot;')}">
+                </div>
+            `;
+        }
+
+        if (rule.type === 'flag') {
+            return `
+                <select class="setting-select" data-field="value">
+                    <option value="true" ${rule.value ? 'selected' : ''}>Good colours</option>
+                    <option value="false" ${rule.value ? '' : 'selected'}>'Bad' colours</option>
+                </select>
+            `;
+        }
+
+        return '';
+    }
+
+    /**
+     * Writes an edited input back into its rule and refreshes that row's summary.
+     * @param {HTMLElement} input - Input with a data-field attribute
+     */
+    _editRule(input) {
+        const item = input.closest('.filter-rule');
+        const rule = item ? this.filter.rules[parseInt(item.getAttribute('data-position'))] : null;
+        if (!rule) return;
+
+        const field = input.getAttribute('data-field');
+
+        if (rule.type === 'range') {
+            rule[field] = parseFloat(input.value);
+
+            // hue ranges may wrap, the others push the opposite bound along
+            if (!filterChannels[rule.channel].circular && rule.min > rule.max) {
+                const other = field === 'min' ? 'max' : 'min';
+                rule[other] = rule[field];
+                item.querySelector(`[data-field="${other}"]`).value = rule[field];
+            }
+        } else if (rule.type === 'flag') {
+            rule.value = input.value === 'true';
+        } else {
+            rule[field] = input.value;
+        }
+
+        this._apply();
+
+        const value = item.querySelector('.filter-rule-value');
+        if (value) value.innerHTML = this._ruleValue(rule);
+
+        const pattern = item.querySelector('[data-field="pattern"]');
+        if (pattern) {
+            pattern.classList.toggle('invalid', !!rule.error);
+            pattern.title = rule.error || '';
+        }
+    }
+
+    /**
+     * Fills the rule kind dropdown.
+     */
+    _setupKinds() {
+        if (!this.dom.kind) return;
+
+        this.dom.kind.innerHTML = Object.entries(filterRuleKinds).map(([key, kind]) =>
+            `<option value="${key}">${kind.name}</option>`
+        ).join('');
+    }
+
+    /**
+     * Sets up the panel toggle, combine and mode dropdowns, rule editing and the add and clear buttons.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+            });
+        }
+
+        if (this.dom.combine) {
+            this.dom.combine.addEventListener('change', (e) => {
+                this.filter.combine = e.target.value;
+                this._apply();
+            });
+        }
+
+        if (this.dom.mode) {
+            this.dom.mode.addEventListener('change', (e) => {
+                this.mode = e.target.value;
+                this._apply();
+            });
+        }
+
+        if (this.dom.addButton) {
+            this.dom.addButton.addEventListener('click', () => {
+                if (!this.filter.addRule(this.dom.kind.value)) return;
+                this._render();
+                this._apply();
+            });
+        }
+
+        if (this.dom.clearButton) {
+            this.dom.clearButton.addEventListener('click', () => {
+                this.filter.rules = [];
+                this._render();
+                this._apply();
+            });
+        }
+
+        // rows are re-rendered when rules change, so listen on the list. selects fire input too
+        if (this.dom.rules) {
+            this.dom.rules.addEventListener('input', (e) => {
+                if (e.target.hasAttribute('data-field')) this._editRule(e.target);
+            });
+
+            this.dom.rules.addEventListener('click', (e) => {
+                const button = e.target.closest('.tray-item-button');
+                const item = e.target.closest('.filter-rule');
+                if (!button || !item) return;
+
+                const rule = this.filter.rules[parseInt(item.getAttribute('data-position'))];
+                const action = button.getAttribute('data-action');
+                if (action === 'negate') {
+                    rule.negate = !rule.negate;
+                } else if (action === 'remove') {
+                    this.filter.removeRule(rule);
+                }
+
+                this._render();
+                this._apply();
+            });
+        }
+    }
+}
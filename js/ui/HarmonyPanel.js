@@ -0,0 +1,208 @@
+import { harmonySchemes, generateHarmony, findNearestColors, colorDistances, escapeHtml } from '../utils.js';
+
+export class HarmonyPanel {
+    /**
+     * Builds colour harmonies around the selected colour and snaps each generated colour to its nearest name.
+     * onChange receives { members: [{ color, match }], closed } while the panel is open and has a base colour, otherwise null.
+     * @param {Object} callbacks - Event callback functions: { onChange, onSelect, onAddToPalette, getFilter }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.oklabIndex = null;
+        this.base = null;
+        this.scheme = 'complementary';
+        this.members = [];
+        this.colorTransform = null;
+
+        this.dom = {
+            panel: document.getElementById('harmony-panel'),
+            toggle: document.getElementById('harmony-toggle'),
+            baseSwatch: document.getElementById('harmony-base-swatch'),
+            scheme: document.getElementById('harmony-scheme'),
+            list: document.getElementById('harmony-list'),
+            empty: document.getElementById('harmony-empty'),
+            addButton: document.getElementById('harmony-add')
+        };
+
+        this._setupSchemes();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data to snap to.
+     * @param {Array} data - Array of color objects
+     * @param {SpatialIndex} oklabIndex - Index over the data's Oklab values, to speed up snapping
+     */
+    setData(data, oklabIndex) {
+        this.data = data;
+        this.oklabIndex = oklabIndex || null;
+        this.refresh();
+    }
+
+    /**
+     * Sets the colour the harmony is built around.
+     * @param {Object|null} color - Colour object, or null to clear
+     */
+    setBase(color) {
+        if (color === this.base) return;
+        this.base = color;
+        this.refresh();
+    }
+
+    /**
+     * Regenerates the harmony, e.g. after the colour filter changes.
+     */
+    refresh() {
+        this.members = this.base ? this._generate() : [];
+        this._render();
+        this._notify();
+    }
+
+    /**
+     * Sets how swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Whether the panel is expanded.
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.dom.panel && !this.dom.panel.classList.contains('collapsed');
+    }
+
+    /**
+     * Generates the scheme and snaps every member to the nearest dataset colour by ΔEok.
+     * @returns {Array<{color:Object,match:Object|null}>} generated colours with their nearest match ({ color, index, distance })
+     */
+    _generate() {
+        const filter = this.callbacks.getFilter ? this.callbacks.getFilter() : null;
+
+        return generateHarmony(this.base, this.scheme).map(color => {
+            const [match] = findNearestColors(this.data, color, {
+                metric: 'oklab',
+                limit: 1,
+                filter,
+                index: this.oklabIndex
+            });
+            return { color, match: match || null };
+        });
+    }
+
+    /**
+     * Notifies listeners of the harmony to draw, or null when nothing should be shown.
+     */
+    _notify() {
+        if (!this.callbacks.onChange) return;
+
+        if (this.isOpen() && this.members.length > 0) {
+            this.callbacks.onChange({
+                members: this.members.slice(),
+                closed: harmonySchemes[this.scheme].closed
+            });
+        } else {
+            this.callbacks.onChange(null);
+        }
+    }
+
+    /**
+     * Renders the generated colours next to their snapped names.
+     */
+    _render() {
+        const hasMembers = this.members.length > 0;
+
+        if (this.dom.baseSwatch) {
+            this.dom.baseSwatch.style.display = this.base ? 'block' : 'none';
+            if (this.base) this.dom.baseSwatch.style.backgroundColor = this._displayHex(this.base.hex);
+        }
+        if (this.dom.empty) this.dom.empty.style.display = hasMembers ? 'none' : 'block';
+        if (this.dom.addButton) this.dom.addButton.disabled = !hasMembers;
+        if (!this.dom.list) return;
+
+        const metric = colorDistances.oklab;
+
+        this.dom.list.innerHTML = this.members.map((member, position) => {
+            const { color, match } = member;
+            if (!match) return '';
+
+            return `
+                <div class="tray-item" data-position="${position}" title="Generated ${color.hex}">
+                    <div class="color-swatch harmony-generated" style="background-color: ${this._displayHex(color.hex)}"></div>
+                    <div class="color-swatch" style="background-color: ${this._displayHex(match.color.hex)}"></div>
+                    <div class="color-info">
+                        <div class="color-name">${escapeHtml(match.color.name)}</div>
+                        <div class="color-hex">${escapeHtml(color.name)} &middot; ${escapeHtml(match.color.hex)}</div>
+                    </div>
+                    <div class="color-delta">${metric.name} ${match.distance.toFixed(metric.precision)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Returns the colour a swatch should show for a hex colour.
+     * @param {string} hex - True colour hex
+     * @returns {string} Display hex
+     */
+    _displayHex(hex) {
+        return this.colorTransform ? this.colorTransform(hex) : hex;
+    }
+
+    /**
+     * Fills the scheme dropdown from the available harmony schemes.
+     */
+    _setupSchemes() {
+        if (!this.dom.scheme) return;
+
+        this.dom.scheme.innerHTML = Object.entries(harmonySchemes).map(([key, scheme]) =>
+            `<option value="${key}" ${key === this.scheme ? 'selected' : ''}>${scheme.name}</option>`
+        ).join('');
+    }
+
+    /**
+     * Sets up the panel toggle, scheme dropdown, result clicks and the add-to-palette button.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+                this._notify();
+            });
+        }
+
+        if (this.dom.scheme) {
+            this.dom.scheme.addEventListener('change', (e) => {
+                this.scheme = e.target.value;
+                this.refresh();
+            });
+        }
+
+        // items are re-rendered on every change, so listen on the list
+        if (this.dom.list) {
+            this.dom.list.addEventListener('click', (e) => {
+                const item = e.target.closest('.tray-item');
+                if (!item) return;
+
+                const member = this.members[parseInt(item.getAttribute('data-position'))];
+                if (member && member.match && this.callbacks.onSelect) {
+                    this.callbacks.onSelect(member.match.index);
+                }
+            });
+        }
+
+        if (this.dom.addButton) {
+            this.dom.addButton.addEventListener('click', () => {
+                if (!this.callbacks.onAddToPalette) return;
+                const indices = this.members.filter(member => member.match).map(member => member.match.index);
+                this.callbacks.onAddToPalette(indices);
+            });
+        }
+    }
+}
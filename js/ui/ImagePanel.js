@@ -0,0 +1,315 @@
+import { findNearestColors, colorDistances, rgbToColor, escapeHtml } from '../utils.js';
+import { paletteMethods, samplePixels, extractPalette } from '../data/ImagePalette.js';
+
+export class ImagePanel {
+    /**
+     * Extracts a palette from an image and names each extracted colour after its nearest dataset colour.
+     * onChange receives { swatches: [{ color, coverage, match }] } while the panel is open and has swatches, otherwise null.
+     * onPixels receives a sample of the image's pixels as colour objects while the pixel cloud is on, otherwise null.
+     * @param {Object} callbacks - Event callback functions: { onChange, onPixels, onSelect, onAddToPalette, getFilter }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.oklabIndex = null;
+        this.samples = null;
+        this.swatches = [];
+        this.method = 'kmeans';
+        this.k = 6;
+        this.showPixels = false;
+        this.colorTransform = null;
+
+        // the decoded image is scaled down to at most this many pixels on its longest side
+        this.maxSide = 512;
+        this.maxPixelPoints = 4000;
+
+        this.dom = {
+            panel: document.getElementById('image-panel'),
+            toggle: document.getElementById('image-toggle'),
+            count: document.getElementById('image-count'),
+            fileInput: document.getElementById('image-file'),
+            preview: document.getElementById('image-preview'),
+            method: document.getElementById('image-method'),
+            k: document.getElementById('image-k'),
+            list: document.getElementById('image-list'),
+            empty: document.getElementById('image-empty'),
+            pixelsCheck: document.getElementById('image-pixels-checkbox'),
+            addButton: document.getElementById('image-add'),
+            clearButton: document.getElementById('image-clear')
+        };
+
+        this._setupMethods();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data to name extracted colours from.
+     * @param {Array} data - Array of color objects
+     * @param {SpatialIndex} oklabIndex - Index over the data's Oklab values, to speed up matching
+     */
+    setData(data, oklabIndex) {
+        this.data = data;
+        this.oklabIndex = oklabIndex || null;
+        this.refresh();
+    }
+
+    /**
+     * Decodes an image file, samples its pixels and extracts a palette from them. Opens the panel.
+     * @param {File|Blob} file - Any image the browser can decode
+     * @returns {Promise<void>}
+     */
+    async load(file) {
+        this._setEmptyText(`Reading ${file.name || 'image'}...`);
+        if (this.dom.panel) this.dom.panel.classList.remove('collapsed');
+
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, this.maxSide / Math.max(bitmap.width, bitmap.height));
+            const canvas = this.dom.preview || document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            if (bitmap.close) bitmap.close();
+
+            this.samples = samplePixels(context.getImageData(0, 0, canvas.width, canvas.height));
+            if (this.samples.count === 0) throw new Error('the image has no opaque pixels');
+
+            this._setEmptyText('');
+            this._extract();
+            this._notifyPixels();
+        } catch (e) {
+            console.error(e);
+            this.clear();
+            this._setEmptyText(`Couldn't read ${file.name || 'the image'}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Forgets the image and its palette.
+     */
+    clear() {
+        this.samples = null;
+        this.swatches = [];
+        this._setEmptyText('');
+        this._render();
+        this._notify();
+        this._notifyPixels();
+    }
+
+    /**
+     * Re-matches the extracted colours, e.g. after the colour filter changes.
+     */
+    refresh() {
+        this._match();
+        this._render();
+        this._notify();
+    }
+
+    /**
+     * Sets how swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Whether the panel is expanded.
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.dom.panel || !this.dom.panel.classList.contains('collapsed');
+    }
+
+    /**
+     * Clusters the sampled pixels with the current method and palette size, then names the clusters.
+     */
+    _extract() {
+        this.swatches = this.samples ? extractPalette(this.samples, this.k, this.method) : [];
+        this.refresh();
+    }
+
+    /**
+     * Snaps every extracted colour to the nearest dataset colour by ΔEok.
+     */
+    _match() {
+        const filter = this.callbacks.getFilter ? this.callbacks.getFilter() : null;
+
+        this.swatches.forEach(swatch => {
+            const [match] = findNearestColors(this.data, swatch.color, {
+                metric: 'oklab',
+                limit: 1,
+                filter,
+                index: this.oklabIndex
+            });
+            swatch.match = match || null;
+        });
+    }
+
+    /**
+     * Notifies listeners of the swatches to highlight, or null when nothing should be shown.
+     */
+    _notify() {
+        if (!this.callbacks.onChange) return;
+        this.callbacks.onChange(this.isOpen() && this.swatches.length > 0 ? { swatches: this.swatches.slice() } : null);
+    }
+
+    /**
+     * Hands an even subset of the sampled pixels to the pixel cloud, or null when it is off.
+     */
+    _notifyPixels() {
+        if (!this.callbacks.onPixels) return;
+
+        if (!this.showPixels || !this.samples || !this.isOpen()) {
+            this.callbacks.onPixels(null);
+            return;
+        }
+
+        const { count, rgb } = this.samples;
+        const step = Math.max(1, count / this.maxPixelPoints);
+        const colors = [];
+        for (let i = 0; i < count; i += step) {
+            const j = Math.floor(i) * 3;
+            colors.push(rgbToColor(rgb[j], rgb[j + 1], rgb[j + 2]));
+        }
+        this.callbacks.onPixels(colors);
+    }
+
+    /**
+     * Renders the extracted colours with their coverage next to their nearest names.
+     */
+    _render() {
+        const hasSwatches = this.swatches.length > 0;
+
+        if (this.dom.count) this.dom.count.textContent = hasSwatches ? this.swatches.length : '';
+        if (this.dom.empty) this.dom.empty.style.display = hasSwatches ? 'none' : 'block';
+        if (this.dom.addButton) this.dom.addButton.disabled = !hasSwatches;
+        if (this.dom.clearButton) this.dom.clearButton.disabled = !this.samples;
+        if (this.dom.preview) this.dom.preview.hidden = !this.samples;
+        if (!this.dom.list) return;
+
+        const metric = colorDistances.oklab;
+
+        this.dom.list.innerHTML = this.swatches.map((swatch, position) => {
+            const { color, coverage, match } = swatch;
+            if (!match) return '';
+
+            return `
+                <div class="tray-item" data-position="${position}" title="Extracted ${color.hex}">
+                    <div class="color-swatch harmony-generated" style="background-color: ${this._displayHex(color.hex)}"></div>
+                    <div class="color-swatch" style="background-color: ${this._displayHex(match.color.hex)}"></div>
+                    <div class="color-info">
+                        <div class="color-name">${escapeHtml(match.color.name)}</div>
+                        <div class="color-hex">${(coverage * 100).toFixed(1)}% &middot; ${escapeHtml(match.color.hex)}</div>
+                    </div>
+                    <div class="color-delta">${metric.name} ${match.distance.toFixed(metric.precision)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Shows a message where the palette would be, or the default hint when the message is empty.
+     * @param {string} message - Text to show
+     */
+    _setEmptyText(message) {
+        if (this.dom.empty) this.dom.empty.textContent = message || 'Drop an image onto the page or choose one to extract its palette';
+    }
+
+    /**
+     * Returns the colour a swatch should show for a hex colour.
+     * @param {string} hex - True colour hex
+     * @returns {string} Display hex
+     */
+    _displayHex(hex) {
+        return this.colorTransform ? this.colorTransform(hex) : hex;
+    }
+
+    /**
+     * Fills the method dropdown from the available clustering methods.
+     */
+    _setupMethods() {
+        if (!this.dom.method) return;
+
+        this.dom.method.innerHTML = Object.entries(paletteMethods).map(([key, method]) =>
+            `<option value="${key}" ${key === this.method ? 'selected' : ''}>${method.name}</option>`
+        ).join('');
+    }
+
+    /**
+     * Sets up the panel toggle, file input, method and size controls, pixel cloud toggle, result clicks
+     * and the add-to-palette and clear buttons.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+                this._notify();
+                this._notifyPixels();
+            });
+        }
+
+        if (this.dom.fileInput) {
+            this.dom.fileInput.addEventListener('change', (e) => {
+                if (e.target.files[0]) this.load(e.target.files[0]);
+                // so picking the same file again still fires change
+                e.target.value = '';
+            });
+        }
+
+        if (this.dom.method) {
+            this.dom.method.addEventListener('change', (e) => {
+                this.method = e.target.value;
+                this._extract();
+            });
+        }
+
+        if (this.dom.k) {
+            this.dom.k.addEventListener('change', (e) => {
+                const k = parseInt(e.target.value);
+                if (!(k >= 1)) {
+                    e.target.value = this.k;
+                    return;
+                }
+                this.k = Math.min(k, 32);
+                e.target.value = this.k;
+                this._extract();
+            });
+        }
+
+        if (this.dom.pixelsCheck) {
+            this.dom.pixelsCheck.addEventListener('change', (e) => {
+                this.showPixels = e.target.checked;
+                this._notifyPixels();
+            });
+        }
+
+        // items are re-rendered on every change, so listen on the list
+        if (this.dom.list) {
+            this.dom.list.addEventListener('click', (e) => {
+                const item = e.target.closest('.tray-item');
+                if (!item) return;
+
+                const swatch = this.swatches[parseInt(item.getAttribute('data-position'))];
+                if (swatch && swatch.match && this.callbacks.onSelect) {
+                    this.callbacks.onSelect(swatch.match.index);
+                }
+            });
+        }
+
+        if (this.dom.addButton) {
+            this.dom.addButton.addEventListener('click', () => {
+                if (!this.callbacks.onAddToPalette) return;
+                const indices = this.swatches.filter(swatch => swatch.match).map(swatch => swatch.match.index);
+                this.callbacks.onAddToPalette(indices);
+            });
+        }
+
+        if (this.dom.clearButton) this.dom.clearButton.addEventListener('click', () => this.clear());
+    }
+}
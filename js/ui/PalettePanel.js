@@ -0,0 +1,239 @@
+import { paletteFormats, exportPalette } from '../data/PaletteExporter.js';
+import { remapIndices, escapeHtml } from '../utils.js';
+
+export class PalettePanel {
+    /**
+     * Manages the palette tray: collecting colours, reordering, naming and exporting them.
+     * The palette holds indices into the colour data, so members can be highlighted in the cloud.
+     * @param {Object} callbacks - Event callback functions: { getSelectedIndex, onChange, onSelect }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.indices = [];
+        this.colorTransform = null;
+
+        this.dom = {
+            panel: document.getElementById('palette-panel'),
+            toggle: document.getElementById('palette-toggle'),
+            count: document.getElementById('palette-count'),
+            nameInput: document.getElementById('palette-name'),
+            list: document.getElementById('palette-list'),
+            empty: document.getElementById('palette-empty'),
+            addButton: document.getElementById('palette-add'),
+            clearButton: document.getElementById('palette-clear'),
+            format: document.getElementById('palette-format'),
+            exportButton: document.getElementById('palette-export')
+        };
+
+        this._setupFormats();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the color data the palette indices refer to.
+     * Members that are still in the new data stay in the palette.
+     * @param {Array} data - Array of color objects
+     */
+    setData(data) {
+        this.indices = remapIndices(this.indices, this.data, data);
+        this.data = data;
+        this._changed();
+    }
+
+    /**
+     * Adds a colour to the end of the palette, ignoring colours already in it.
+     * @param {number} index - Index into the colour data
+     * @returns {boolean} Whether the colour was added
+     */
+    add(index) {
+        if (!this.data[index] || this.indices.includes(index)) return false;
+
+        this.indices.push(index);
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Removes the colour at a position in the palette.
+     * @param {number} position - Position in the palette
+     */
+    remove(position) {
+        if (position < 0 || position >= this.indices.length) return;
+
+        this.indices.splice(position, 1);
+        this._changed();
+    }
+
+    /**
+     * Moves a colour up or down the palette.
+     * @param {number} position - Current position in the palette
+     * @param {number} offset - Positions to move by, negative moves towards the start
+     */
+    move(position, offset) {
+        const target = position + offset;
+        if (position < 0 || position >= this.indices.length) return;
+        if (target < 0 || target >= this.indices.length) return;
+
+        const [index] = this.indices.splice(position, 1);
+        this.indices.splice(target, 0, index);
+        this._changed();
+    }
+
+    /**
+     * Empties the palette.
+     */
+    clear() {
+        this.indices = [];
+        this._changed();
+    }
+
+    /**
+     * Sets how swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * Exports always use the true colours.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Returns the palette in the shape the exporters expect.
+     * @returns {Object} { name, colors: [{ name, hex }] }
+     */
+    getPalette() {
+        const name = this.dom.nameInput ? this.dom.nameInput.value.trim() : '';
+        return {
+            name: name || 'Palette',
+            colors: this.indices.map(index => ({
+                name: this.data[index].name,
+                hex: this.data[index].hex
+            }))
+        };
+    }
+
+    /**
+     * Adds the colour currently selected in the cloud.
+     */
+    _addSelected() {
+        if (!this.callbacks.getSelectedIndex) return;
+        if (this.add(this.callbacks.getSelectedIndex()) && this.dom.panel) {
+            this.dom.panel.classList.remove('collapsed');
+        }
+    }
+
+    /**
+     * Re-renders the list and notifies listeners of the new members.
+     */
+    _changed() {
+        this._render();
+        if (this.callbacks.onChange) this.callbacks.onChange(this.indices.slice());
+    }
+
+    /**
+     * Renders the palette list, count and button states.
+     */
+    _render() {
+        const count = this.indices.length;
+
+        if (this.dom.count) this.dom.count.textContent = count;
+        if (this.dom.empty) this.dom.empty.style.display = count === 0 ? 'block' : 'none';
+        if (this.dom.exportButton) this.dom.exportButton.disabled = count === 0;
+        if (this.dom.clearButton) this.dom.clearButton.disabled = count === 0;
+        if (!this.dom.list) return;
+
+        this.dom.list.innerHTML = this.indices.map((index, position) => {
+            const color = this.data[index];
+            const swatch = this.colorTransform ? this.colorTransform(color.hex) : color.hex;
+            return `
+                <div class="tray-item" data-position="${position}">
+                    <div class="color-swatch" style="background-color: ${swatch}"></div>
+                    <div class="color-info">
+                        <div class="color-name">${escapeHtml(color.name)}</div>
+                        <div class="color-hex">${escapeHtml(color.hex)}</div>
+                    </div>
+                    <button class="tray-item-button" data-action="up" title="Move up" ${position === 0 ? 'disabled' : ''}>&uarr;</button>
+                    <button class="tray-item-button" data-action="down" title="Move down" ${position === count - 1 ? 'disabled' : ''}>&darr;</button>
+                    <button class="tray-item-button" data-action="remove" title="Remove">&times;</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fills the format dropdown from the available exporters.
+     */
+    _setupFormats() {
+        if (!this.dom.format) return;
+
+        this.dom.format.innerHTML = Object.entries(paletteFormats).map(([key, format]) =>
+            `<option value="${key}">${format.name} (.${format.extension})</option>`
+        ).join('');
+    }
+
+    /**
+     * Serializes the palette in the chosen format and downloads it.
+     */
+    _export() {
+        if (this.indices.length === 0 || !this.dom.format) return;
+
+        const { blob, filename } = exportPalette(this.getPalette(), this.dom.format.value);
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Sets up the panel buttons, list actions and the add-to-palette keyboard shortcut.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+            });
+        }
+
+        if (this.dom.addButton) this.dom.addButton.addEventListener('click', () => this._addSelected());
+        if (this.dom.clearButton) this.dom.clearButton.addEventListener('click', () => this.clear());
+        if (this.dom.exportButton) this.dom.exportButton.addEventListener('click', () => this._export());
+
+        // items are re-rendered on every change, so listen on the list
+        if (this.dom.list) {
+            this.dom.list.addEventListener('click', (e) => {
+                const item = e.target.closest('.tray-item');
+                if (!item) return;
+
+                const position = parseInt(item.getAttribute('data-position'));
+                const button = e.target.closest('.tray-item-button');
+
+                if (!button) {
+                    if (this.callbacks.onSelect) this.callbacks.onSelect(this.indices[position]);
+                    return;
+                }
+
+                const action = button.getAttribute('data-action');
+                if (action === 'up') this.move(position, -1);
+                else if (action === 'down') this.move(position, 1);
+                else if (action === 'remove') this.remove(position);
+            });
+        }
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'p' && e.key !== 'P') return;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+            this._addSelected();
+        });
+    }
+}
@@ -0,0 +1,225 @@
+import { paletteFormats, exportPalette } from '../data/PaletteExporter.js';
+import { remapIndices, escapeHtml } from '../utils.js';
+
+/**
+ * Most rows the list renders; a region can cover thousands of colours.
+ */
+const LIST_LIMIT = 200;
+
+export class SelectionPanel {
+    /**
+     * Manages the region selection: the colours inside a shift-dragged rectangle or alt-dragged lasso.
+     * Draws the region while it is dragged, lists the selected colours and exports them or adds them to the palette.
+     * @param {Object} callbacks - Event callback functions: { onChange, onSelect, onAddToPalette }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.data = [];
+        this.indices = [];
+        this.colorTransform = null;
+
+        this.dom = {
+            panel: document.getElementById('selection-panel'),
+            toggle: document.getElementById('selection-toggle'),
+            count: document.getElementById('selection-count'),
+            list: document.getElementById('selection-list'),
+            empty: document.getElementById('selection-empty'),
+            occluded: document.getElementById('selection-occluded'),
+            addButton: document.getElementById('selection-add'),
+            clearButton: document.getElementById('selection-clear'),
+            format: document.getElementById('selection-format'),
+            exportButton: document.getElementById('selection-export'),
+            overlay: document.getElementById('region-overlay'),
+            shape: document.getElementById('region-shape')
+        };
+
+        this._setupFormats();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Whether a region should also select colours hidden behind others.
+     * @returns {boolean}
+     */
+    get includeOccluded() {
+        return !!(this.dom.occluded && this.dom.occluded.checked);
+    }
+
+    /**
+     * Sets the color data the selection indices refer to.
+     * Selected colours that are still in the new data stay selected.
+     * @param {Array} data - Array of color objects
+     */
+    setData(data) {
+        const indices = remapIndices(this.indices, this.data, data);
+        this.data = data;
+        this.setSelection(indices);
+    }
+
+    /**
+     * Replaces the selection, or adds to it.
+     * @param {Array<number>} indices - Indices into the colour data
+     * @param {boolean} additive - Whether to keep the current selection and add these to it
+     */
+    setSelection(indices, additive = false) {
+        const selected = new Set(additive ? this.indices : []);
+        for (const index of indices) {
+            if (this.data[index]) selected.add(index);
+        }
+
+        this.indices = Array.from(selected).sort((a, b) => a - b);
+        if (this.indices.length > 0 && this.dom.panel) this.dom.panel.classList.remove('collapsed');
+        this._changed();
+    }
+
+    /**
+     * Empties the selection.
+     */
+    clear() {
+        this.indices = [];
+        this._changed();
+    }
+
+    /**
+     * Draws the region being dragged over the canvas.
+     * @param {Object|null} region - Rect or lasso region in CSS pixels, or null to hide it
+     */
+    showRegion(region) {
+        if (!this.dom.overlay || !this.dom.shape) return;
+
+        if (!region) {
+            this.dom.overlay.classList.remove('visible');
+            return;
+        }
+
+        const points = region.type === 'rect'
+            ? [[region.x0, region.y0], [region.x1, region.y0], [region.x1, region.y1], [region.x0, region.y1]]
+            : region.points.map(p => [p.x, p.y]);
+        this.dom.shape.setAttribute('points', points.map(p => p.join(',')).join(' '));
+        this.dom.overlay.classList.add('visible');
+    }
+
+    /**
+     * Sets how swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * Exports always use the true colours.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     */
+    setColorTransform(transform) {
+        this.colorTransform = transform;
+        this._render();
+    }
+
+    /**
+     * Returns the selection in the shape the exporters expect.
+     * @returns {Object} { name, colors: [{ name, hex }] }
+     */
+    getPalette() {
+        return {
+            name: 'Selection',
+            colors: this.indices.map(index => ({
+                name: this.data[index].name,
+                hex: this.data[index].hex
+            }))
+        };
+    }
+
+    /**
+     * Re-renders the list and notifies listeners of the new members.
+     */
+    _changed() {
+        this._render();
+        if (this.callbacks.onChange) this.callbacks.onChange(this.indices.slice());
+    }
+
+    /**
+     * Renders the selection list, count and button states.
+     */
+    _render() {
+        const count = this.indices.length;
+
+        if (this.dom.count) this.dom.count.textContent = count.toLocaleString();
+        if (this.dom.empty) this.dom.empty.style.display = count === 0 ? 'block' : 'none';
+        if (this.dom.addButton) this.dom.addButton.disabled = count === 0;
+        if (this.dom.exportButton) this.dom.exportButton.disabled = count === 0;
+        if (this.dom.clearButton) this.dom.clearButton.disabled = count === 0;
+        if (!this.dom.list) return;
+
+        const rows = this.indices.slice(0, LIST_LIMIT).map(index => {
+            const color = this.data[index];
+            const swatch = this.colorTransform ? this.colorTransform(color.hex) : color.hex;
+            return `
+                <div class="tray-item" data-index="${index}">
+                    <div class="color-swatch" style="background-color: ${swatch}"></div>
+                    <div class="color-info">
+                        <div class="color-name">${escapeHtml(color.name)}</div>
+                        <div class="color-hex">${escapeHtml(color.hex)}</div>
+                    </div>
+                </div>
+            `;
+        });
+        if (count > LIST_LIMIT) {
+            rows.push(`<div class="tray-empty">and ${(count - LIST_LIMIT).toLocaleString()} more</div>`);
+        }
+        this.dom.list.innerHTML = rows.join('');
+    }
+
+    /**
+     * Fills the format dropdown from the available exporters.
+     */
+    _setupFormats() {
+        if (!this.dom.format) return;
+
+        this.dom.format.innerHTML = Object.entries(paletteFormats).map(([key, format]) =>
+            `<option value="${key}">${format.name} (.${format.extension})</option>`
+        ).join('');
+    }
+
+    /**
+     * Serializes the selection in the chosen format and downloads it.
+     */
+    _export() {
+        if (this.indices.length === 0 || !this.dom.format) return;
+
+        const { blob, filename } = exportPalette(this.getPalette(), this.dom.format.value);
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Sets up the panel toggle, list clicks and the add, clear and export buttons.
+     */
+    _setupEventListeners() {
+        if (this.dom.toggle) {
+            this.dom.toggle.addEventListener('click', () => {
+                this.dom.panel.classList.toggle('collapsed');
+            });
+        }
+
+        if (this.dom.addButton) {
+            this.dom.addButton.addEventListener('click', () => {
+                if (this.callbacks.onAddToPalette) this.callbacks.onAddToPalette(this.indices.slice());
+            });
+        }
+        if (this.dom.clearButton) this.dom.clearButton.addEventListener('click', () => this.clear());
+        if (this.dom.exportButton) this.dom.exportButton.addEventListener('click', () => this._export());
+
+        // items are re-rendered on every change, so listen on the list
+        if (this.dom.list) {
+            this.dom.list.addEventListener('click', (e) => {
+                const item = e.target.closest('.tray-item');
+                if (!item || !this.callbacks.onSelect) return;
+                this.callbacks.onSelect(parseInt(item.getAttribute('data-index')));
+            });
+        }
+    }
+}
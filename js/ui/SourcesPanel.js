@@ -0,0 +1,228 @@
+import { datasetFormats } from '../data/ColorLoader.js';
+import { escapeHtml } from '../utils.js';
+
+export class SourcesPanel {
+    /**
+     * Lists the colour sources in the settings menu, and imports colour lists dropped onto the page
+     * or picked with the file input. Sources whose load report has skipped rows or warnings get an
+     * expandable list of them. Also shows what the dataset cache holds, with a button to clear it.
+     * @param {Object} callbacks - Event callback functions: { onImport(file), onToggle(id, visible), onRemove(id), onClearCache }
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks || {};
+
+        this.sources = [];
+        // ids of the sources whose load report is expanded
+        this.openReports = new Set();
+        // longest list of report lines shown per source
+        this.maxReportLines = 200;
+        // counts nested dragenter/dragleave pairs, so moving over child elements doesn't flicker the overlay
+        this.dragDepth = 0;
+
+        this.dom = {
+            list: document.getElementById('sources-list'),
+            fileInput: document.getElementById('sources-file'),
+            status: document.getElementById('sources-status'),
+            cacheStatus: document.getElementById('cache-status'),
+            cacheClear: document.getElementById('cache-clear'),
+            dropOverlay: document.getElementById('drop-overlay')
+        };
+
+        this._setupFileInput();
+        this._setupEventListeners();
+        this._render();
+    }
+
+    /**
+     * Sets the sources to list.
+     * @param {Array<Object>} sources - { id, name, colors, report, visible, removable }
+     */
+    setSources(sources) {
+        this.sources = sources;
+        this.openReports.forEach(id => {
+            if (!sources.some(source => source.id === id)) this.openReports.delete(id);
+        });
+        this._render();
+    }
+
+    /**
+     * Shows a short message under the list, e.g. the result of an import.
+     * @param {string} message - Text to show, empty to clear
+     * @param {boolean} isError - Whether the message reports a failure
+     */
+    setStatus(message, isError = false) {
+        if (!this.dom.status) return;
+
+        this.dom.status.textContent = message;
+        this.dom.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Shows how much the dataset cache holds.
+     * @param {Object|null} stats - { entries, bytes }, or null when the browser offers no cache
+     */
+    setCacheStats(stats) {
+        if (this.dom.cacheClear) this.dom.cacheClear.disabled = !stats || stats.entries === 0;
+        if (!this.dom.cacheStatus) return;
+
+        if (!stats) {
+            this.dom.cacheStatus.textContent = 'Dataset cache unavailable in this browser';
+        } else if (stats.entries === 0) {
+            this.dom.cacheStatus.textContent = 'Dataset cache empty';
+        } else {
+            this.dom.cacheStatus.textContent = `Dataset cache: ${(stats.bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+    }
+
+    /**
+     * Renders one row per source with a visibility checkbox and, for imported sources, a remove button,
+     * followed by its load report when there is anything in it.
+     */
+    _render() {
+        if (!this.dom.list) return;
+
+        this.dom.list.innerHTML = this.sources.map(source => `
+            <div class="setting-group source-item" data-id="${source.id}">
+                <label title="${escapeHtml(source.name)}">
+                    <input type="checkbox" ${source.visible ? 'checked' : ''}>
+                    <span class="source-name">${escapeHtml(source.name)}</span>
+                    <span class="setting-value">${source.colors.length.toLocaleString()}</span>
+                </label>
+                <button class="tray-item-button" data-action="remove" title="Remove" ${source.removable ? '' : 'disabled'}>&times;</button>
+            </div>
+            ${this._renderReport(source)}
+        `).join('');
+    }
+
+    /**
+     * Renders a source's skipped rows and warnings behind a toggle, or nothing when it loaded cleanly.
+     * @param {Object} source - Source with an optional load report
+     * @returns {string} HTML
+     */
+    _renderReport(source) {
+        const report = source.report;
+        if (!report || (report.skipped.length === 0 && report.warnings.length === 0)) return '';
+
+        const summary = [
+            report.skipped.length ? `${report.skipped.length.toLocaleString()} skipped` : '',
+            report.warnings.length ? `${report.warnings.length.toLocaleString()} ${report.warnings.length === 1 ? 'warning' : 'warnings'}` : ''
+        ].filter(Boolean).join(', ');
+
+        const issues = [
+            ...report.skipped.map(issue => ({ ...issue, kind: 'skipped' })),
+            ...report.warnings.map(issue => ({ ...issue, kind: 'warning' }))
+        ].sort((a, b) => (a.line || a.entry) - (b.line || b.entry));
+        const shown = issues.slice(0, this.maxReportLines);
+        const more = issues.length - shown.length;
+
+        const open = this.openReports.has(source.id);
+        return `
+            <div class="source-report" data-id="${source.id}">
+                <button class="source-report-toggle" data-action="report" title="${report.rows.toLocaleString()} rows read as ${escapeHtml(report.format)}">
+                    ${open ? '&#9662;' : '&#9656;'} ${summary}
+                </button>
+                <ul class="source-report-list" ${open ? '' : 'hidden'}>
+                    ${shown.map(issue => `
+                        <li class="${issue.kind}">
+                            <span class="source-report-where">${issue.line ? `Line ${issue.line}` : `Entry ${issue.entry}`}</span>
+                            ${issue.kind === 'skipped' ? 'Skipped: ' : ''}${escapeHtml(issue.reason)}
+                        </li>
+                    `).join('')}
+                    ${more > 0 ? `<li>&hellip;and ${more.toLocaleString()} more</li>` : ''}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Limits the file picker to the extensions the loader understands.
+     */
+    _setupFileInput() {
+        if (!this.dom.fileInput) return;
+
+        const extensions = Object.values(datasetFormats).flatMap(format => format.extensions);
+        this.dom.fileInput.accept = extensions.map(extension => `.${extension}`).join(',');
+    }
+
+    /**
+     * Passes every file to onImport.
+     * @param {FileList} files - Picked or dropped files
+     */
+    _import(files) {
+        if (!this.callbacks.onImport) return;
+        Array.from(files).forEach(file => this.callbacks.onImport(file));
+    }
+
+    /**
+     * Sets up the file input, the list's checkboxes, remove buttons and report toggles, the clear cache button,
+     * and dropping files onto the page.
+     */
+    _setupEventListeners() {
+        if (this.dom.fileInput) {
+            this.dom.fileInput.addEventListener('change', (e) => {
+                this._import(e.target.files);
+                // so picking the same file again still fires change
+                e.target.value = '';
+            });
+        }
+
+        if (this.dom.cacheClear) {
+            this.dom.cacheClear.addEventListener('click', () => {
+                if (this.callbacks.onClearCache) this.callbacks.onClearCache();
+            });
+        }
+
+        // rows are re-rendered when sources change, so listen on the list
+        if (this.dom.list) {
+            this.dom.list.addEventListener('change', (e) => {
+                const item = e.target.closest('.source-item');
+                if (item && e.target.type === 'checkbox' && this.callbacks.onToggle) {
+                    this.callbacks.onToggle(item.getAttribute('data-id'), e.target.checked);
+                }
+            });
+
+            this.dom.list.addEventListener('click', (e) => {
+                const reportToggle = e.target.closest('[data-action="report"]');
+                if (reportToggle) {
+                    const id = reportToggle.closest('.source-report').getAttribute('data-id');
+                    if (!this.openReports.delete(id)) this.openReports.add(id);
+                    this._render();
+                    return;
+                }
+
+                const button = e.target.closest('[data-action="remove"]');
+                const item = e.target.closest('.source-item');
+                if (button && item && this.callbacks.onRemove) this.callbacks.onRemove(item.getAttribute('data-id'));
+            });
+        }
+
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        window.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth++;
+            if (this.dom.dropOverlay) this.dom.dropOverlay.classList.add('visible');
+        });
+
+        window.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        window.addEventListener('dragleave', (e) => {
+            if (!hasFiles(e)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0 && this.dom.dropOverlay) this.dom.dropOverlay.classList.remove('visible');
+        });
+
+        window.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            this.dragDepth = 0;
+            if (this.dom.dropOverlay) this.dom.dropOverlay.classList.remove('visible');
+            this._import(e.dataTransfer.files);
+        });
+    }
+}
@@ -1,16 +1,38 @@
-import { debounce, getEditDistance } from '../utils.js';
+import { debounce, parseColor, findNearestColors, colorDistances, escapeHtml } from '../utils.js';
+import { SpatialIndex } from '../data/SpatialIndex.js';
+import { SearchEngine } from '../data/SearchEngine.js';
+import { parseQuery, compileQuery } from '../data/SearchQuery.js';
 
 export class UIManager {
     /**
      * manages UI interactions including search, settings, tooltips, and controls
-     * @param {Object} callbacks - Event callback functions: { onSearch, onSelect, onSpaceChange, onScaleChange, onBackgroundChange, onToggleAxes, onToggleVisibility, onInvertPitchChange }
+     * onSelect receives (index, isPreview), where previews come from typing and arrowing through results.
+     * onSearchResults receives the data indices of the current results whenever they change.
+     * onQueryMatches receives the data indices of every colour a structured query matches, not just the listed
+     * results, and an empty list once there is no structured query.
+     * onMultiSelect receives the index of a result picked with Shift+Enter, which keeps the results open.
+     * @param {Object} callbacks - Event callback functions: { onSearch, onSelect, onMultiSelect, onQueryColor, onSearchResults, onQueryMatches, onSpaceChange, onTransitionChange, onScaleChange, onBackgroundChange, onToggleAxes, onInvertPitchChange, onPickRadiusChange, onToggleGamut, onGamutOpacityChange, onCvdChange }
      */
     constructor(callbacks) {
         this.callbacks = callbacks || {};
 
         this.data = [];
+        this.oklabIndex = null;
+        this.searchEngine = new SearchEngine();
+        // builds the search index once the data stops changing, rather than on the first keystroke
+        this._prepareSearch = debounce(() => this.searchEngine.prepareInBackground(), 1000);
         this.currentMatches = [];
+        // data index of each match
+        this.currentIndices = [];
+        this.currentDistances = [];
+        this.currentHighlights = [];
+        // metric of currentDistances, which a structured query can choose
+        this.currentMetric = 'oklab';
         this.searchIndex = -1;
+        this.searchMetric = 'oklab';
+        this.colorTransform = null;
+        this.colorTransformLabel = '';
+        this.searchFilter = null;
 
         this.dom = {
             loading: document.getElementById('loading'),
@@ -22,20 +44,35 @@ export class UIManager {
             infoClose: document.getElementById('info-close'),
             searchInput: document.getElementById('search-input'),
             searchResults: document.getElementById('search-results'),
+            searchError: document.getElementById('search-error'),
+            searchMetric: document.getElementById('search-metric'),
             settingsMenu: document.getElementById('settings-menu'),
             settingsToggle: document.getElementById('settings-toggle'),
             scaleSlider: document.getElementById('scale-slider'),
             scaleValue: document.getElementById('scale-value'),
+            transitionDuration: document.getElementById('transition-duration'),
+            transitionDurationVal: document.getElementById('transition-duration-value'),
+            transitionEasing: document.getElementById('transition-easing'),
             bgHue: document.getElementById('background-hue'),
             bgSat: document.getElementById('background-saturation'),
             bgVal: document.getElementById('background-value'),
             bgHueVal: document.getElementById('background-hue-value'),
             bgSatVal: document.getElementById('background-saturation-value'),
             bgValVal: document.getElementById('background-value-value'),
-            hideCheck: document.getElementById('hide-unflagged-checkbox'),
             axesCheck: document.getElementById('show-axes-checkbox'),
             invertPitchCheck: document.getElementById('invert-pitch-checkbox'),
+            pickRadius: document.getElementById('pick-radius'),
+            pickRadiusVal: document.getElementById('pick-radius-value'),
+            pickMouseCheck: document.getElementById('pick-mouse-checkbox'),
+            gamutChecks: document.querySelectorAll('input[data-gamut]'),
+            gamutOpacity: document.getElementById('gamut-opacity'),
+            gamutOpacityVal: document.getElementById('gamut-opacity-value'),
+            cvdType: document.getElementById('cvd-type'),
+            cvdSeverity: document.getElementById('cvd-severity'),
+            cvdSeverityVal: document.getElementById('cvd-severity-value'),
+            cvdRepositionCheck: document.getElementById('cvd-reposition-checkbox'),
             customSelect: document.querySelector('.custom-select'),
+            customOptions: document.querySelector('.custom-select .custom-options'),
             selectedSpaceName: document.getElementById('selected-space-name')
         };
 
@@ -44,11 +81,127 @@ export class UIManager {
 
     /**
      * Sets the color data reference for search functionality.
-     * Called by Main after data is loaded.
+     * Called by Main after data is loaded, and again whenever colours are imported or removed,
+     * which closes any open results since their indices no longer apply. Results stay open when
+     * the data only gained colours at the end, e.g. once a streamed dataset has finished loading.
      * @param {Array} data - Array of color objects
      */
     setData(data) {
+        const grew = data.length >= this.data.length && this.data.every((color, i) => data[i] === color);
+        this.appendData(data);
+        this.oklabIndex = SpatialIndex.fromItems(data, (color) => [color.l, color.a, color.oklab_b]);
+
+        if (!grew && this.currentMatches.length > 0) {
+            this.currentMatches = [];
+            this.currentIndices = [];
+            this.currentDistances = [];
+            this.searchIndex = -1;
+            if (this.dom.searchResults) this.dom.searchResults.style.display = 'none';
+            this._setQueryMatches([]);
+            this._notifySearchResults();
+        }
+    }
+
+    /**
+     * Adds colours after the current ones, e.g. while a dataset streams in, leaving open results as they are.
+     * The Oklab index waits for setData, so colour searches scan every colour until then.
+     * @param {Array} data - The current colours followed by the new ones
+     */
+    appendData(data) {
         this.data = data;
+        this.oklabIndex = null;
+        this.searchEngine.setData(data);
+        this._prepareSearch();
+    }
+
+    /**
+     * Fills the colour space dropdown from the colour space definitions.
+     * @param {Object} spaces - Colour space definitions keyed by id (see config.js)
+     * @param {string} selected - Id of the active space
+     */
+    setColorSpaces(spaces, selected) {
+        if (!this.dom.customOptions) return;
+
+        this.dom.customOptions.innerHTML = Object.entries(spaces).map(([key, space]) => `
+            <span class="custom-option ${key === selected ? 'selected' : ''}" data-value="${key}">${space.name}</span>
+        `).join('');
+
+        if (spaces[selected] && this.dom.selectedSpaceName) {
+            this.dom.selectedSpaceName.textContent = spaces[selected].name;
+        }
+    }
+
+    /**
+     * Updates the settings controls to match a view state without firing their callbacks,
+     * e.g. after restoring a view from the URL.
+     * @param {Object} state - { space, scale, background: { h, s, v }, showAxes }
+     */
+    syncControls(state) {
+        if (state.space && this.dom.customOptions) {
+            this.dom.customOptions.querySelectorAll('.custom-option').forEach(option => {
+                const selected = option.getAttribute('data-value') === state.space;
+                option.classList.toggle('selected', selected);
+                if (selected) this.dom.selectedSpaceName.textContent = option.textContent;
+            });
+        }
+
+        if (typeof state.scale === 'number' && this.dom.scaleSlider) {
+            this.dom.scaleSlider.value = state.scale;
+            this.dom.scaleValue.textContent = state.scale.toFixed(2);
+        }
+
+        if (state.background && this.dom.bgHue) {
+            this.dom.bgHue.value = state.background.h;
+            this.dom.bgSat.value = state.background.s;
+            this.dom.bgVal.value = state.background.v;
+            this.dom.bgHueVal.textContent = state.background.h;
+            this.dom.bgSatVal.textContent = state.background.s;
+            this.dom.bgValVal.textContent = state.background.v;
+        }
+
+        if (typeof state.showAxes === 'boolean' && this.dom.axesCheck) {
+            this.dom.axesCheck.checked = state.showAxes;
+        }
+    }
+
+    /**
+     * Sets how colour swatches are displayed, e.g. to simulate a colour vision deficiency.
+     * Names and hex codes stay the true colour.
+     * @param {Function|null} transform - (hex) => hex, or null to show true colours
+     * @param {string} label - Name of the simulation, shown in the tooltip
+     */
+    setColorTransform(transform, label = '') {
+        this.colorTransform = transform;
+        this.colorTransformLabel = label;
+
+        if (this.dom.searchResults) {
+            this.dom.searchResults.querySelectorAll('.search-result-item').forEach(item => {
+                const color = this.currentMatches[parseInt(item.getAttribute('data-index'))];
+                if (color) item.querySelector('.color-swatch').style.backgroundColor = this._displayHex(color.hex);
+            });
+        }
+    }
+
+    /**
+     * Restricts search results, e.g. to the colours the filter panel lets through.
+     * Open results are searched again so they never list a colour the filter leaves out.
+     * @param {Function|null} filter - (color, index) => boolean, or null to search every colour
+     */
+    setSearchFilter(filter) {
+        this.searchFilter = filter;
+
+        if (this.dom.searchResults && this.dom.searchResults.style.display === 'block' && this.dom.searchInput) {
+            this._handleSearch(this.dom.searchInput.value);
+        }
+    }
+
+    /**
+     * Returns the colour a swatch should show for a hex colour.
+     * @param {string} hex - True colour hex
+     * @returns {string} Display hex
+     */
+    _displayHex(hex) {
+        return this.colorTransform ? this.colorTransform(hex) : hex;
     }
 
     /**
@@ -66,6 +219,14 @@ export class UIManager {
         }
     }
 
+    /**
+     * Moves the loading indicator out of the way to the bottom of the screen, so the colours that have
+     * already arrived can be explored while the rest of the dataset loads.
+     */
+    dockLoading() {
+        if (this.dom.loading) this.dom.loading.classList.add('docked');
+    }
+
     /**
      * Shows a tooltip with color information at the specified screen coordinates.
      * @param {number} x - Screen X coordinate
@@ -77,6 +238,13 @@ export class UIManager {
         if (!this.dom.tooltip) return;
         this.dom.tooltip.querySelector('.tooltip-name').textContent = name;
         this.dom.tooltip.querySelector('.tooltip-hex').textContent = hex;
+
+        this.dom.tooltip.classList.toggle('simulated', !!this.colorTransform);
+        if (this.colorTransform) {
+            const simulated = this._displayHex(hex);
+            this.dom.tooltip.querySelector('.tooltip-sim-swatch').style.backgroundColor = simulated;
+            this.dom.tooltip.querySelector('.tooltip-sim-label').textContent = `${this.colorTransformLabel} ${simulated}`;
+        }
         this.dom.tooltip.style.display = 'block';
         this.dom.tooltip.style.left = (x + 15) + 'px';
         this.dom.tooltip.style.top = (y + 15) + 'px';
@@ -95,7 +263,7 @@ export class UIManager {
 
         popup.querySelector('.touch-popup-name').textContent = name;
         popup.querySelector('.touch-popup-hex').textContent = hex;
-        popup.querySelector('#touch-popup-swatch').style.backgroundColor = hex;
+        popup.querySelector('#touch-popup-swatch').style.backgroundColor = this._displayHex(hex);
 
         const oldBtn = popup.querySelector('#touch-popup-goto');
         const btn = oldBtn.cloneNode(true);
@@ -144,6 +312,13 @@ export class UIManager {
         this.dom.searchInput.addEventListener('input', (e) => performSearch(e.target.value));
         this.dom.searchInput.addEventListener('keydown', (e) => this._handleSearchKeydown(e));
 
+        if (this.dom.searchMetric) {
+            this.dom.searchMetric.addEventListener('change', (e) => {
+                this.searchMetric = e.target.value;
+                this._handleSearch(this.dom.searchInput.value);
+            });
+        }
+
         this.dom.searchInput.addEventListener('blur', () => {
             setTimeout(() => {
                 if(this.dom.searchResults) this.dom.searchResults.style.display = 'none';
@@ -153,65 +328,224 @@ export class UIManager {
 
     /**
      * Performs search filtering and ranking based on user input.
-     * Uses strict matching first, then fuzzy matching with edit distance ranking.
+     * Colour inputs (hex, rgb(), oklch() etc.) are ranked by perceptual distance,
+     * structured queries (fields, comparisons, near:, AND / OR / -) are evaluated over every colour
+     * (see parseQuery), and plain words go to the search engine, which matches the start, middle or a typo
+     * of each word (see SearchEngine). Imported colours also match on the name of the source they came from.
      * @param {string} rawQuery - Raw search query from input
      */
     _handleSearch(rawQuery) {
-        const query = rawQuery.trim().toLowerCase();
-        if (query.length < 2) {
+        const text = rawQuery.trim();
+        const query = text.toLowerCase();
+        const parsed = query.length < 2 ? null : parseQuery(text);
+        this._showQueryError(parsed && parsed.error, text);
+
+        if (!parsed || parsed.error) {
             this.dom.searchResults.style.display = 'none';
             this.currentMatches = [];
+            this.currentIndices = [];
+            this.currentDistances = [];
+            this.currentHighlights = [];
             this.searchIndex = -1;
+            this._setQueryColor(null);
+            this._setQueryMatches([]);
+            this._notifySearchResults();
             return;
         }
 
-        const hideUnflagged = this.dom.hideCheck ? this.dom.hideCheck.checked : false;
+        const filter = this.searchFilter;
 
-        let potentialMatches = this.data.filter(color => {
-            if (hideUnflagged && !color.flag) return false;
-            return color.name.toLowerCase().includes(query) ||
-                   color.hex.toLowerCase().includes(query);
-        });
+        if (parsed.structured) {
+            this._handleQuerySearch(parsed.node, filter);
+            return;
+        }
+        this._setQueryMatches([]);
+
+        // bare all-letter hex like "bad" or "decade" is more likely a name, so only treat it
+        // as a colour when no name contains it
+        const queryColor = parseColor(query);
+        const isWord = /^[a-f]+$/.test(query);
+        if (queryColor && (!isWord || !this._namesContain(query))) {
+            this._handleColorSearch(queryColor, filter);
+            return;
+        }
+
+        this._setQueryColor(null);
+        this.currentDistances = [];
 
-        if (potentialMatches.length === 0) {
-            potentialMatches = this.data.filter(c => !hideUnflagged || c.flag);
+        const results = this.searchEngine.search(query, { limit: 100, filter });
+        this.currentMatches = results.map(result => this.data[result.index]);
+        this.currentIndices = results.map(result => result.index);
+        this.currentHighlights = results.map(result => result.highlights);
+        this._renderSearchResults();
+
+        if (results.length > 0) {
+            this.searchIndex = 0;
+            if (this.callbacks.onSelect) {
+                this.callbacks.onSelect(results[0].index, true);
+            }
         }
+    }
 
-        const matchesWithDist = potentialMatches.map(color => {
-            const distName = getEditDistance(query, color.name.toLowerCase());
-            const distHex = getEditDistance(query, color.hex.toLowerCase());
-            return { color, dist: Math.min(distName, distHex) };
-        });
+    /**
+     * Lists the colours matching a structured query and highlights all of them in the cloud.
+     * Results are ranked by the query's words when every match must have them, otherwise by distance
+     * to its near: colour, otherwise in dataset order.
+     * @param {Object} node - Clause tree from parseQuery
+     * @param {Function|null} filter - (color, index) => boolean, colours failing it are skipped
+     */
+    _handleQuerySearch(node, filter) {
+        const query = compileQuery(node, { data: this.data, engine: this.searchEngine, metric: this.searchMetric });
+        const passes = (i) => query.test(i) && (!filter || filter(this.data[i], i));
+
+        const matches = [];
+        for (let i = 0; i < this.data.length; i++) {
+            if (passes(i)) matches.push(i);
+        }
 
-        matchesWithDist.sort((a, b) => a.dist - b.dist);
+        let ranked;
+        if (query.rankText) {
+            ranked = this.searchEngine.search(query.rankText, { limit: 100, filter: (color, i) => passes(i) })
+                .map(result => result.index);
+        } else if (query.distance) {
+            ranked = matches.slice().sort((a, b) => query.distance(a) - query.distance(b)).slice(0, 100);
+        } else {
+            ranked = matches.slice(0, 100);
+        }
 
-        const limit = potentialMatches.length === 0 ? 20 : 100;
-        this.currentMatches = matchesWithDist.slice(0, limit).map(item => item.color);
+        this.currentMatches = ranked.map(i => this.data[i]);
+        this.currentIndices = ranked;
+        this.currentDistances = query.distance ? ranked.map(query.distance) : [];
+        this.currentMetric = query.metric;
+        this.currentHighlights = ranked.map(i => this.searchEngine.highlight(this.data[i], query.highlightText));
+        this._setQueryColor(query.near);
+        this._setQueryMatches(matches);
         this._renderSearchResults();
 
-        if (this.currentMatches.length > 0) {
+        if (ranked.length > 0) {
             this.searchIndex = 0;
             if (this.callbacks.onSelect) {
-                const index = this.data.indexOf(this.currentMatches[0]);
-                this.callbacks.onSelect(index, true);
+                this.callbacks.onSelect(ranked[0], true);
             }
         }
     }
 
     /**
-     * Renders the search results list with color swatches and click handlers.
+     * Shows a query's syntax error under the search box, with the part of the query it is about marked,
+     * or hides it.
+     * @param {Object|null} error - { message, start, end } from parseQuery
+     * @param {string} text - The query the error is about
+     */
+    _showQueryError(error, text) {
+        if (!this.dom.searchError) return;
+
+        if (!error) {
+            this.dom.searchError.style.display = 'none';
+            this.dom.searchError.innerHTML = '';
+            return;
+        }
+
+        const end = Math.max(error.end, error.start + 1);
+        this.dom.searchError.innerHTML = `
+            <div class="search-error-message">${escapeHtml(error.message)}</div>
+            <code>${markRanges(text, [[error.start, Math.min(end, text.length)]])}${end > text.length ? '<mark> </mark>' : ''}</code>
+        `;
+        this.dom.searchError.style.display = 'block';
+    }
+
+    /**
+     * Tells listeners which colours the current structured query matches.
+     * @param {Array<number>} indices - Data indices, empty when there is no structured query
+     */
+    _setQueryMatches(indices) {
+        if (this.callbacks.onQueryMatches) this.callbacks.onQueryMatches(indices);
+    }
+
+    /**
+     * Tells whether any colour name contains a word exactly as typed, ignoring typos and hex codes.
+     * @param {string} query - Lowercase query
+     * @returns {boolean}
+     */
+    _namesContain(query) {
+        const results = this.searchEngine.search(query, { limit: 20, fuzzy: false });
+        return results.some(result => result.highlights.name.length > 0);
+    }
+
+    /**
+     * Ranks colours by perceptual distance to a colour typed into the search box
+     * and marks the typed colour's position in the cloud.
+     * @param {Object} queryColor - Parsed colour (see parseColor)
+     * @param {Function|null} filter - (color, index) => boolean, colours failing it are skipped
+     */
+    _handleColorSearch(queryColor, filter) {
+        const results = findNearestColors(this.data, queryColor, {
+            metric: this.searchMetric,
+            limit: 20,
+            filter,
+            index: this.oklabIndex
+        });
+
+        this.currentMatches = results.map(item => item.color);
+        this.currentIndices = results.map(item => item.index);
+        this.currentDistances = results.map(item => item.distance);
+        this.currentMetric = this.searchMetric;
+        this.currentHighlights = [];
+        this._setQueryColor(queryColor);
+        this._renderSearchResults();
+
+        if (results.length > 0) {
+            this.searchIndex = 0;
+            if (this.callbacks.onSelect) {
+                this.callbacks.onSelect(results[0].index, true);
+            }
+        }
+    }
+
+    /**
+     * Notifies listeners of the colour currently typed into search, or null when there isn't one.
+     * @param {Object|null} color - Parsed colour
+     */
+    _setQueryColor(color) {
+        if (this.callbacks.onQueryColor) this.callbacks.onQueryColor(color);
+    }
+
+    /**
+     * Tells listeners which colours the current results are.
+     */
+    _notifySearchResults() {
+        if (!this.callbacks.onSearchResults) return;
+        this.callbacks.onSearchResults(this.currentIndices.slice());
+    }
+
+    /**
+     * Renders the search results list with color swatches and click handlers,
+     * marking the parts of each name, hex and source that matched the query.
      */
     _renderSearchResults() {
+        this._notifySearchResults();
+
         if (this.currentMatches.length > 0) {
-            this.dom.searchResults.innerHTML = this.currentMatches.map((color, idx) => `
+            const metric = colorDistances[this.currentMetric] || colorDistances.oklab;
+
+            this.dom.searchResults.innerHTML = this.currentMatches.map((color, idx) => {
+                const distance = this.currentDistances[idx];
+                const delta = distance === undefined ? '' :
+                    `<div class="color-delta">${metric.name} ${distance.toFixed(metric.precision)}</div>`;
+                const highlights = this.currentHighlights[idx] || {};
+                const source = color.source === undefined ? '' :
+                    `<span class="color-source">${markRanges(color.source, highlights.source)}</span>`;
+
+                return `
                 <div class="search-result-item ${idx === 0 ? 'selected' : ''}" data-index="${idx}">
-                    <div class="color-swatch" style="background-color: ${color.hex}"></div>
+                    <div class="color-swatch" style="background-color: ${this._displayHex(color.hex)}"></div>
                     <div class="color-info">
-                        <div class="color-name">${color.name}</div>
-                        <div class="color-hex">${color.hex}</div>
+                        <div class="color-name">${markRanges(color.name, highlights.name)}${source}</div>
+                        <div class="color-hex">${markRanges(color.hex, highlights.hex)}</div>
                     </div>
+                    ${delta}
                 </div>
-            `).join('');
+            `;
+            }).join('');
             this.dom.searchResults.style.display = 'block';
 
             this.dom.searchResults.querySelectorAll('.search-result-item').forEach(item => {
@@ -240,6 +574,10 @@ export class UIManager {
             e.preventDefault();
             this.searchIndex = Math.max(this.searchIndex - 1, 0);
             this._updateSearchSelection();
+        } else if (e.key === 'Enter' && e.shiftKey && this.callbacks.onMultiSelect) {
+            e.preventDefault();
+            const index = this.currentIndices[this.searchIndex];
+            if (index !== undefined) this.callbacks.onMultiSelect(index);
         } else if (e.key === 'Enter') {
             e.preventDefault();
             this._selectSearchResult(this.searchIndex);
@@ -259,9 +597,7 @@ export class UIManager {
                 item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
                 if (this.callbacks.onSelect) {
-                    const color = this.currentMatches[idx];
-                    const globalIndex = this.data.indexOf(color);
-                    this.callbacks.onSelect(globalIndex);
+                    this.callbacks.onSelect(this.currentIndices[idx], true);
                 }
             } else {
                 item.classList.remove('selected');
@@ -275,15 +611,14 @@ export class UIManager {
      */
     _selectSearchResult(matchIndex) {
         if (matchIndex >= 0 && matchIndex < this.currentMatches.length) {
-            const color = this.currentMatches[matchIndex];
-            const globalIndex = this.data.indexOf(color);
-
             if (this.callbacks.onSelect) {
-                this.callbacks.onSelect(globalIndex);
+                this.callbacks.onSelect(this.currentIndices[matchIndex]);
             }
 
             this.dom.searchInput.value = '';
             this.dom.searchResults.style.display = 'none';
+            this._setQueryColor(null);
+            this._setQueryMatches([]);
         }
     }
 
@@ -328,6 +663,20 @@ export class UIManager {
             });
         }
 
+        const updateTransition = () => {
+            const duration = parseFloat(this.dom.transitionDuration.value);
+            this.dom.transitionDurationVal.textContent = duration.toFixed(1) + 's';
+
+            if (this.callbacks.onTransitionChange) {
+                this.callbacks.onTransitionChange(duration, this.dom.transitionEasing.value);
+            }
+        };
+
+        if (this.dom.transitionDuration && this.dom.transitionEasing) {
+            this.dom.transitionDuration.addEventListener('input', updateTransition);
+            this.dom.transitionEasing.addEventListener('change', updateTransition);
+        }
+
         const updateBg = () => {
             const h = parseInt(this.dom.bgHue.value);
             const s = parseInt(this.dom.bgSat.value);
@@ -346,14 +695,6 @@ export class UIManager {
         if (this.dom.bgSat) this.dom.bgSat.addEventListener('input', updateBg);
         if (this.dom.bgVal) this.dom.bgVal.addEventListener('input', updateBg);
 
-        if (this.dom.hideCheck) {
-            this.dom.hideCheck.addEventListener('change', (e) => {
-                if (this.callbacks.onToggleVisibility) {
-                    this.callbacks.onToggleVisibility(e.target.checked);
-                }
-            });
-        }
-
         if (this.dom.axesCheck) {
             this.dom.axesCheck.addEventListener('change', (e) => {
                 if (this.callbacks.onToggleAxes) {
@@ -369,37 +710,92 @@ export class UIManager {
                 }
             });
         }
+
+        const updatePickRadius = () => {
+            const radius = parseInt(this.dom.pickRadius.value);
+            this.dom.pickRadiusVal.textContent = radius + 'px';
+
+            if (this.callbacks.onPickRadiusChange) {
+                this.callbacks.onPickRadiusChange(radius, this.dom.pickMouseCheck.checked);
+            }
+        };
+
+        if (this.dom.pickRadius && this.dom.pickMouseCheck) {
+            this.dom.pickRadius.addEventListener('input', updatePickRadius);
+            this.dom.pickMouseCheck.addEventListener('change', updatePickRadius);
+        }
+
+        this.dom.gamutChecks.forEach(check => {
+            check.addEventListener('change', (e) => {
+                if (this.callbacks.onToggleGamut) {
+                    this.callbacks.onToggleGamut(check.getAttribute('data-gamut'), e.target.checked);
+                }
+            });
+        });
+
+        const updateCvd = () => {
+            const severity = parseFloat(this.dom.cvdSeverity.value);
+            this.dom.cvdSeverityVal.textContent = Math.round(severity * 100) + '%';
+
+            if (this.callbacks.onCvdChange) {
+                this.callbacks.onCvdChange({
+                    type: this.dom.cvdType.value,
+                    severity: severity,
+                    reposition: this.dom.cvdRepositionCheck.checked
+                });
+            }
+        };
+
+        if (this.dom.cvdType && this.dom.cvdSeverity && this.dom.cvdRepositionCheck) {
+            // repositioning converts every colour, so don't redo it for every slider step
+            const updateCvdDebounced = debounce(updateCvd, 150);
+            this.dom.cvdSeverity.addEventListener('input', () => {
+                this.dom.cvdSeverityVal.textContent = Math.round(parseFloat(this.dom.cvdSeverity.value) * 100) + '%';
+                updateCvdDebounced();
+            });
+            this.dom.cvdType.addEventListener('change', updateCvd);
+            this.dom.cvdRepositionCheck.addEventListener('change', updateCvd);
+        }
+
+        if (this.dom.gamutOpacity) {
+            this.dom.gamutOpacity.addEventListener('input', () => {
+                const val = parseFloat(this.dom.gamutOpacity.value);
+                this.dom.gamutOpacityVal.textContent = val.toFixed(2);
+                if (this.callbacks.onGamutOpacityChange) this.callbacks.onGamutOpacityChange(val);
+            });
+        }
     }
 
     /**
      * Sets up the custom color space dropdown with click handlers and outside click closing.
      */
     _setupColorSpaceSelect() {
-        if (!this.dom.customSelect) return;
+        if (!this.dom.customSelect || !this.dom.customOptions) return;
 
         const trigger = this.dom.customSelect.querySelector('.custom-select-trigger');
-        const options = this.dom.customSelect.querySelectorAll('.custom-option');
 
         trigger.addEventListener('click', (e) => {
             e.stopPropagation();
             this.dom.customSelect.classList.toggle('open');
         });
 
-        options.forEach(option => {
-            option.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const value = option.getAttribute('data-value');
-                const text = option.textContent;
+        // options are generated by setColorSpaces, so listen on the container
+        this.dom.customOptions.addEventListener('click', (e) => {
+            const option = e.target.closest('.custom-option');
+            if (!option) return;
 
-                this.dom.customSelect.querySelectorAll('.custom-option').forEach(o => o.classList.remove('selected'));
-                option.classList.add('selected');
-                this.dom.selectedSpaceName.textContent = text;
-                this.dom.customSelect.classList.remove('open');
+            e.stopPropagation();
+            const value = option.getAttribute('data-value');
+            const text = option.textContent;
 
-                if (this.callbacks.onSpaceChange) {
-                    this.callbacks.onSpaceChange(value);
-                }
-            });
+            this.dom.customSelect.querySelectorAll('.custom-option').forEach(o => o.classList.remove('selected'));
+            option.classList.add('selected');
+            this.dom.selectedSpaceName.textContent = text;
+            this.dom.customSelect.classList.remove('open');
+
+            if (this.callbacks.onSpaceChange) {
+                this.callbacks.onSpaceChange(value);
+            }
         });
 
         window.addEventListener('click', (e) => {
@@ -408,4 +804,22 @@ export class UIManager {
             }
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Escapes text for HTML and wraps the given ranges of it in <mark>.
+ * @param {string} text - Text to show
+ * @param {Array<Array<number>>} ranges - Sorted, non-overlapping [start, end) ranges, or undefined for none
+ * @returns {string} HTML
+ */
+function markRanges(text, ranges) {
+    if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+    let html = '';
+    let at = 0;
+    for (const [start, end] of ranges) {
+        html += escapeHtml(text.slice(at, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        at = end;
+    }
+    return html + escapeHtml(text.slice(at));
+}
@@ -1,5 +1,3 @@
-import * as THREE from 'three';
-
 /**
  * converts a hex color string to RGB object 
  * @param {string} hex - hex color string (with or without #)
@@ -16,16 +14,18 @@ export function hexToRgb(hex) {
 
 /**
  * encodes an instance index as an RGB color for GPU picking
- * uses offset of 1 so black (0,0,0) represents "no hit"
+ * uses offset of 1 so black (0,0,0) represents "no hit".
+ * writes into a caller's THREE.Color so this module doesn't depend on three and also loads in a worker
  * @param {number} index - Instance index to encode
- * @returns {THREE.Color} RGB color representing the index
+ * @param {THREE.Color} target - Color to write the encoded index into
+ * @returns {THREE.Color} target
  */
-export function indexToColor(index) {
+export function indexToColor(index, target) {
     const encoded = index + 1;
     const r = ((encoded >> 16) & 0xff) / 255;
     const g = ((encoded >> 8) & 0xff) / 255;
     const b = (encoded & 0xff) / 255;
-    return new THREE.Color(r, g, b);
+    return target.setRGB(r, g, b);
 }
 
 /**
@@ -40,6 +40,89 @@ export function colorToIndex(r, g, b) {
     return encoded - 1;
 }
 
+/**
+ * maps indices into one data array onto another by colour identity, e.g. after colours were imported or removed.
+ * indices whose colour is no longer in the new data are dropped
+ * @param {Array<number>} indices - indices into the old data
+ * @param {Array} from - old data
+ * @param {Array} to - new data
+ * @returns {Array<number>} indices into the new data
+ */
+export function remapIndices(indices, from, to) {
+    if (from === to || indices.length === 0) return indices.slice();
+
+    const positions = new Map(to.map((color, index) => [color, index]));
+    return indices.map(index => positions.get(from[index])).filter(index => index !== undefined);
+}
+
+/**
+ * screen regions for area selection, in CSS pixels with a top left origin:
+ * { type: 'rect', x0, y0, x1, y1 } with x0 <= x1 and y0 <= y1, or { type: 'lasso', points: [{ x, y }] }
+ * where the polygon closes back to its first point
+ */
+
+/**
+ * returns the whole pixel bounds of a screen region
+ * @param {Object} region - rect or lasso region
+ * @returns {{x:number,y:number,width:number,height:number}} pixels covering the region
+ */
+export function regionBounds(region) {
+    let x0, y0, x1, y1;
+    if (region.type === 'rect') {
+        ({ x0, y0, x1, y1 } = region);
+    } else {
+        const xs = region.points.map(p => p.x);
+        const ys = region.points.map(p => p.y);
+        x0 = Math.min(...xs);
+        y0 = Math.min(...ys);
+        x1 = Math.max(...xs);
+        y1 = Math.max(...ys);
+    }
+
+    const x = Math.floor(x0);
+    const y = Math.floor(y0);
+    return { x, y, width: Math.ceil(x1) - x, height: Math.ceil(y1) - y };
+}
+
+/**
+ * finds where a horizontal line crosses into and out of a screen region
+ * @param {Object} region - rect or lasso region
+ * @param {number} y - CSS Y coordinate of the line
+ * @returns {Array<Array<number>>} [from, to] X ranges inside the region, left to right
+ */
+export function regionRowSpans(region, y) {
+    if (region.type === 'rect') {
+        return y >= region.y0 && y <= region.y1 ? [[region.x0, region.x1]] : [];
+    }
+
+    // even-odd rule: sorted crossings pair up into the spans inside the polygon
+    const points = region.points;
+    const crossings = [];
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y)) {
+            crossings.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+        }
+    }
+    crossings.sort((p, q) => p - q);
+
+    const spans = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) spans.push([crossings[i], crossings[i + 1]]);
+    return spans;
+}
+
+/**
+ * whether a point lies inside a screen region
+ * @param {Object} region - rect or lasso region
+ * @param {number} x - CSS X coordinate
+ * @param {number} y - CSS Y coordinate
+ * @returns {boolean}
+ */
+export function regionContains(region, x, y) {
+    return regionRowSpans(region, y).some(([from, to]) => x >= from && x <= to);
+}
+
 /**
  * creates a debounced version of a function that delays execution until after wait milliseconds
  * @param {Function} func - Function to debounce
@@ -59,38 +142,25 @@ export function debounce(func, wait) {
 }
 
 /**
- * calculates Levenshtein distance between two strings for fuzzy search ranking
- * uses optimized algorithm with O(min(m,n)) space complexity
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {number} Edit distance between the strings
+ * escapes text for use in HTML, e.g. colour and source names read from an imported file
+ * @param {string} text - raw text
+ * @returns {string} text safe to place in element content or a quoted attribute
  */
-export function getEditDistance(a, b) {
-    if (a.length === 0) return b.length;
-    if (b.length === 0) return a.length;
-
-    if (a.length > b.length) [a, b] = [b, a];
-
-    const row = [];
-    for (let i = 0; i <= a.length; i++) row[i] = i;
-
-    for (let i = 1; i <= b.length; i++) {
-        let prev = i;
-        for (let j = 1; j <= a.length; j++) {
-            let val;
-            if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                val = row[j - 1];
-            } else {
-                val = Math.min(row[j - 1] + 1, Math.min(prev + 1, row[j] + 1));
-            }
-            row[j - 1] = prev;
-            prev = val;
-        }
-        row[a.length] = prev;
-    }
-    return row[a.length];
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
 }
 
+/**
+ * easing curves for animations, each maps linear progress t in [0..1] to eased progress
+ */
+export const easings = {
+    linear: (t) => t,
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInOutCubic: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+    easeOutBack: (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
 /**
  * converts sRGB (0-255) to CIELAB (1976) using D65/2° reference white.
  * output ranges are approximately: L* [0..100], a* [-128..127], b* [-128..127]
@@ -100,16 +170,17 @@ export function getEditDistance(a, b) {
  * @returns {{l:number,a:number,b:number}} CIELAB values
  */
 export function rgbToCielab(r, g, b) {
-    // sRGB to linear RGB
-    const srgbToLinear = (u8) => {
-        const v = Math.min(255, Math.max(0, u8)) / 255;
-        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-    };
-
-    const R = srgbToLinear(r);
-    const G = srgbToLinear(g);
-    const B = srgbToLinear(b);
+    return linearRgbToCielab(_srgbToLinear(r), _srgbToLinear(g), _srgbToLinear(b));
+}
 
+/**
+ * converts linear-light sRGB (0-1, may be out of gamut) to CIELAB (1976), D65/2°
+ * @param {number} R - linear red
+ * @param {number} G - linear green
+ * @param {number} B - linear blue
+ * @returns {{l:number,a:number,b:number}} CIELAB values
+ */
+export function linearRgbToCielab(R, G, B) {
     // linear RGB to XYZ (D65)
     // matrix from IEC 61966-2-1:1999 (sRGB) with D65 white point
     const X = R * 0.4124564 + G * 0.3575761 + B * 0.1804375;
@@ -139,3 +210,827 @@ function _labF(t) {
     if (t > d3) return Math.cbrt(t);
     return (t / (3 * d * d)) + (4 / 29);
 }
+
+/**
+ * converts a Cartesian Lab triple (Oklab or CIELAB) to its cylindrical LCh form
+ * @param {number} l - lightness
+ * @param {number} a - a component
+ * @param {number} b - b component
+ * @returns {{l:number,c:number,h:number}} lightness, chroma and hue in degrees [0..360), hue is 0 for neutrals
+ */
+export function labToLch(l, a, b) {
+    const c = Math.sqrt(a * a + b * b);
+    let h = c < 1e-4 ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+    if (h < 0) h += 360;
+    return { l, c, h };
+}
+
+/**
+ * converts sRGB (0-255) to HSL
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {{h:number,s:number,l:number}} hue in degrees [0..360), saturation and lightness in [0..1]
+ */
+export function rgbToHsl(r, g, b) {
+    const { h, max, min } = _rgbHue(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+    return { h, s, l };
+}
+
+/**
+ * converts sRGB (0-255) to HSV
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {{h:number,s:number,v:number}} hue in degrees [0..360), saturation and value in [0..1]
+ */
+export function rgbToHsv(r, g, b) {
+    const { h, max, min } = _rgbHue(r, g, b);
+    const s = max === 0 ? 0 : (max - min) / max;
+    return { h, s, v: max };
+}
+
+function _rgbHue(r, g, b) {
+    const R = r / 255;
+    const G = g / 255;
+    const B = b / 255;
+    const max = Math.max(R, G, B);
+    const min = Math.min(R, G, B);
+    const d = max - min;
+
+    let h = 0;
+    if (d > 0) {
+        if (max === R) h = ((G - B) / d) % 6;
+        else if (max === G) h = (B - R) / d + 2;
+        else h = (R - G) / d + 4;
+        h *= 60;
+        if (h < 0) h += 360;
+    }
+    return { h, max, min };
+}
+
+/**
+ * adds the cylindrical values used by the OKLCh, CIELCh, HSL and HSV colour spaces
+ * @param {Object} color - colour object with Oklab (l, a, oklab_b), r, g, b and cielab_* values
+ * @returns {Object} the same colour object
+ */
+export function addCylindricalValues(color) {
+    const oklch = labToLch(color.l, color.a, color.oklab_b);
+    const cielch = labToLch(color.cielab_l, color.cielab_a, color.cielab_b);
+    const hsl = rgbToHsl(color.r, color.g, color.b);
+    const hsv = rgbToHsv(color.r, color.g, color.b);
+
+    color.oklch_c = oklch.c;
+    color.oklch_h = oklch.h;
+    color.cielch_c = cielch.c;
+    color.cielch_h = cielch.h;
+    color.hsl_h = hsl.h;
+    color.hsl_s = hsl.s;
+    color.hsl_l = hsl.l;
+    color.hsv_h = hsv.h;
+    color.hsv_s = hsv.s;
+    color.hsv_v = hsv.v;
+
+    return color;
+}
+
+function _srgbToLinear(u8) {
+    const v = Math.min(255, Math.max(0, u8)) / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function _linearToSrgb(v) {
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.round(Math.min(1, Math.max(0, c)) * 255);
+}
+
+/**
+ * converts sRGB (0-255) to Oklab
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {{l:number,a:number,b:number}} Oklab values, L in [0..1]
+ */
+export function rgbToOklab(r, g, b) {
+    return linearRgbToOklab(_srgbToLinear(r), _srgbToLinear(g), _srgbToLinear(b));
+}
+
+/**
+ * converts linear-light sRGB (0-1, may be out of gamut) to Oklab
+ * matrices from Björn Ottosson's reference implementation
+ * @param {number} r - linear red
+ * @param {number} g - linear green
+ * @param {number} b - linear blue
+ * @returns {{l:number,a:number,b:number}} Oklab values
+ */
+export function linearRgbToOklab(r, g, b) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * converts Oklab to linear-light sRGB. values outside [0..1] mean the colour is out of gamut
+ * @param {number} L - Oklab lightness
+ * @param {number} a - Oklab a
+ * @param {number} b - Oklab b
+ * @returns {{r:number,g:number,b:number}} linear RGB values
+ */
+export function oklabToLinearRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    };
+}
+
+/**
+ * formats sRGB (0-255) as a lowercase #rrggbb hex string
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {string} hex string
+ */
+export function rgbToHex(r, g, b) {
+    const toHex = (v) => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0');
+    return '#' + toHex(r) + toHex(g) + toHex(b);
+}
+
+/**
+ * builds a colour object from sRGB (0-255), e.g. for a pixel sampled from an image
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @param {string} name - name for the colour object
+ * @returns {Object} colour object shaped like the dataset entries (see parseColor)
+ */
+export function rgbToColor(r, g, b, name = '') {
+    return _colorFromLinear(name, _srgbToLinear(r), _srgbToLinear(g), _srgbToLinear(b));
+}
+
+/**
+ * parses a CSS colour string into an object with the same shape as the loaded dataset entries,
+ * so it can be positioned and compared like any other colour.
+ *
+ * accepts hex (3/4/6/8 digits, with or without #), rgb(), rgba(), hsl(), hsla(), oklab(), oklch()
+ * and lab() in both legacy comma and CSS Color 4 space separated syntax. alpha is ignored.
+ * Oklab and CIELAB values are kept unclamped so out-of-gamut inputs still land in the right place
+ * @param {string} input - colour string
+ * @returns {Object|null} colour object, or null if the input isn't a colour
+ */
+export function parseColor(input) {
+    if (typeof input !== 'string') return null;
+    const str = input.trim().toLowerCase();
+
+    const hex = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(str);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length <= 4) digits = digits.split('').map(c => c + c).join('');
+        return _colorFromLinear(str,
+            _srgbToLinear(parseInt(digits.slice(0, 2), 16)),
+            _srgbToLinear(parseInt(digits.slice(2, 4), 16)),
+            _srgbToLinear(parseInt(digits.slice(4, 6), 16)));
+    }
+
+    const fn = /^([a-z]+)\(\s*(.*?)\s*\)$/.exec(str);
+    if (!fn) return null;
+
+    // drop alpha after a slash or a fourth comma separated value
+    const body = fn[2].split('/')[0].trim();
+    const args = body.includes(',') ? body.split(',').map(s => s.trim()) : body.split(/\s+/);
+    if (args.length < 3 || args.slice(0, 3).some(arg => !_isCssNumber(arg))) return null;
+    const [c1, c2, c3] = args;
+
+    switch (fn[1]) {
+        case 'rgb':
+        case 'rgba':
+            return _colorFromLinear(str,
+                _srgbToLinear(_cssValue(c1, 255)),
+                _srgbToLinear(_cssValue(c2, 255)),
+                _srgbToLinear(_cssValue(c3, 255)));
+
+        case 'hsl':
+        case 'hsla': {
+            const rgb = _hslToRgb(_cssHue(c1), _cssValue(c2, 100) / 100, _cssValue(c3, 100) / 100);
+            return _colorFromLinear(str, _srgbToLinear(rgb.r), _srgbToLinear(rgb.g), _srgbToLinear(rgb.b));
+        }
+
+        case 'oklab': {
+            const lin = oklabToLinearRgb(_cssValue(c1, 1), _cssValue(c2, 0.4), _cssValue(c3, 0.4));
+            return _colorFromLinear(str, lin.r, lin.g, lin.b);
+        }
+
+        case 'oklch': {
+            const C = _cssValue(c2, 0.4);
+            const h = _cssHue(c3) * Math.PI / 180;
+            const lin = oklabToLinearRgb(_cssValue(c1, 1), C * Math.cos(h), C * Math.sin(h));
+            return _colorFromLinear(str, lin.r, lin.g, lin.b);
+        }
+
+        case 'lab': {
+            const lin = _cssLabToLinearRgb(_cssValue(c1, 100), _cssValue(c2, 125), _cssValue(c3, 125));
+            return _colorFromLinear(str, lin.r, lin.g, lin.b);
+        }
+
+        default:
+            return null;
+    }
+}
+
+function _colorFromLinear(name, R, G, B) {
+    const oklab = linearRgbToOklab(R, G, B);
+    const lab = linearRgbToCielab(R, G, B);
+    const r = _linearToSrgb(R);
+    const g = _linearToSrgb(G);
+    const b = _linearToSrgb(B);
+
+    return addCylindricalValues({
+        name: name,
+        hex: rgbToHex(r, g, b),
+        l: oklab.l,
+        a: oklab.a,
+        oklab_b: oklab.b,
+        r: r,
+        g: g,
+        b: b,
+        cielab_l: lab.l,
+        cielab_a: lab.a,
+        cielab_b: lab.b,
+        flag: true
+    });
+}
+
+function _isCssNumber(token) {
+    return token === 'none' || /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(%|deg|rad|grad|turn)?$/.test(token);
+}
+
+/**
+ * resolves a CSS number or percentage, where 100% maps to percentRef
+ */
+function _cssValue(token, percentRef) {
+    if (token === 'none') return 0;
+    if (token.endsWith('%')) return parseFloat(token) / 100 * percentRef;
+    return parseFloat(token);
+}
+
+/**
+ * resolves a CSS hue to degrees
+ */
+function _cssHue(token) {
+    if (token === 'none') return 0;
+    const v = parseFloat(token);
+    if (token.endsWith('grad')) return v * 0.9;
+    if (token.endsWith('rad')) return v * 180 / Math.PI;
+    if (token.endsWith('turn')) return v * 360;
+    return v;
+}
+
+function _hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const sat = Math.min(1, Math.max(0, s));
+    const light = Math.min(1, Math.max(0, l));
+    const f = (n) => {
+        const k = (n + hue / 30) % 12;
+        const a = sat * Math.min(light, 1 - light);
+        return (light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+    };
+    return { r: f(0), g: f(8), b: f(4) };
+}
+
+/**
+ * CSS lab() is relative to D50, so go through XYZ and a Bradford adaptation to D65 before sRGB
+ */
+function _cssLabToLinearRgb(L, a, b) {
+    const e = 216 / 24389;
+    const k = 24389 / 27;
+
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const xr = Math.pow(fx, 3) > e ? Math.pow(fx, 3) : (116 * fx - 16) / k;
+    const yr = L > k * e ? Math.pow(fy, 3) : L / k;
+    const zr = Math.pow(fz, 3) > e ? Math.pow(fz, 3) : (116 * fz - 16) / k;
+
+    const X50 = xr * 0.96422;
+    const Y50 = yr;
+    const Z50 = zr * 0.82521;
+
+    const X = 0.9554734527042182 * X50 - 0.023098536874261423 * Y50 + 0.0632593086610217 * Z50;
+    const Y = -0.028369706963208136 * X50 + 1.0099954580058226 * Y50 + 0.021041398966943008 * Z50;
+    const Z = 0.012314001688319899 * X50 - 0.020507696433477912 * Y50 + 1.3303659366080753 * Z50;
+
+    return {
+        r: 3.2409699419045226 * X - 1.537383177570094 * Y - 0.4986107602930034 * Z,
+        g: -0.9692436362808796 * X + 1.8759675015077202 * Y + 0.04155505740717559 * Z,
+        b: 0.05563007969699366 * X - 0.20397695888897652 * Y + 1.0569715142428786 * Z
+    };
+}
+
+/**
+ * Euclidean distance between two colours in Oklab
+ * @param {Object} c1 - colour object with l, a, oklab_b
+ * @param {Object} c2 - colour object with l, a, oklab_b
+ * @returns {number} ΔEok (a just noticeable difference is roughly 0.02)
+ */
+export function deltaEOK(c1, c2) {
+    const dl = c1.l - c2.l;
+    const da = c1.a - c2.a;
+    const db = c1.oklab_b - c2.oklab_b;
+    return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+/**
+ * CIE76 colour difference, Euclidean distance in CIELAB
+ * @param {Object} c1 - colour object with cielab_l, cielab_a, cielab_b
+ * @param {Object} c2 - colour object with cielab_l, cielab_a, cielab_b
+ * @returns {number} ΔE*ab
+ */
+export function deltaE76(c1, c2) {
+    const dl = c1.cielab_l - c2.cielab_l;
+    const da = c1.cielab_a - c2.cielab_a;
+    const db = c1.cielab_b - c2.cielab_b;
+    return Math.sqrt(dl * dl + da * da + db * db);
+}
+
+/**
+ * CIE94 colour difference with the graphic arts weights (kL = 1, K1 = 0.045, K2 = 0.015).
+ * not symmetric: the first colour is the reference its chroma weights are taken from
+ * @param {Object} c1 - reference colour object with cielab_l, cielab_a, cielab_b
+ * @param {Object} c2 - sample colour object with cielab_l, cielab_a, cielab_b
+ * @returns {number} ΔE94
+ */
+export function deltaE94(c1, c2) {
+    const dL = c1.cielab_l - c2.cielab_l;
+    const da = c1.cielab_a - c2.cielab_a;
+    const db = c1.cielab_b - c2.cielab_b;
+    const C1 = Math.sqrt(c1.cielab_a * c1.cielab_a + c1.cielab_b * c1.cielab_b);
+    const C2 = Math.sqrt(c2.cielab_a * c2.cielab_a + c2.cielab_b * c2.cielab_b);
+    const dC = C1 - C2;
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+
+    const SC = 1 + 0.045 * C1;
+    const SH = 1 + 0.015 * C1;
+
+    return Math.sqrt(dL * dL + (dC / SC) * (dC / SC) + dH2 / (SH * SH));
+}
+
+/**
+ * CIEDE2000 colour difference with kL = kC = kH = 1
+ * follows Sharma, Wu and Dalal (2005)
+ * @param {Object} c1 - colour object with cielab_l, cielab_a, cielab_b
+ * @param {Object} c2 - colour object with cielab_l, cielab_a, cielab_b
+ * @returns {number} ΔE00
+ */
+export function deltaE2000(c1, c2) {
+    const L1 = c1.cielab_l, a1 = c1.cielab_a, b1 = c1.cielab_b;
+    const L2 = c2.cielab_l, a2 = c2.cielab_a, b2 = c2.cielab_b;
+    const rad = Math.PI / 180;
+
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+    const hueAngle = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+        else if (h1p + h2p < 360) hbarp = (hbarp + 360) / 2;
+        else hbarp = (hbarp - 360) / 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Lbarp50 = (Lbarp - 50) * (Lbarp - 50);
+    const SL = 1 + (0.015 * Lbarp50) / Math.sqrt(20 + Lbarp50);
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+    const tL = dLp / SL;
+    const tC = dCp / SC;
+    const tH = dHp / SH;
+
+    return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+/**
+ * colour difference metrics selectable for nearest colour lookups
+ */
+export const colorDistances = {
+    oklab: { name: 'ΔEok', fn: deltaEOK, precision: 3 },
+    de76: { name: 'ΔE76', fn: deltaE76, precision: 1 },
+    de94: { name: 'ΔE94', fn: deltaE94, precision: 1 },
+    de2000: { name: 'ΔE2000', fn: deltaE2000, precision: 1 }
+};
+
+/**
+ * ranks colours by perceptual distance to a target colour
+ *
+ * with an Oklab SpatialIndex over the same data the lookup avoids a full scan: ΔEok results are exact,
+ * the CIELAB based metrics re-rank a generous Oklab shortlist
+ * @param {Array} data - colour objects to search
+ * @param {Object} target - colour object to measure from (see parseColor)
+ * @param {Object} options - { metric: key of colorDistances, limit: max results, filter: (color, index) => boolean, index: SpatialIndex over [l, a, oklab_b] }
+ * @returns {Array<{color:Object,index:number,distance:number}>} nearest colours, closest first
+ */
+export function findNearestColors(data, target, options = {}) {
+    const metric = colorDistances[options.metric] || colorDistances.oklab;
+    const limit = options.limit || 20;
+    const filter = options.filter;
+
+    let candidates;
+    if (options.index && options.index.count === data.length) {
+        const shortlist = metric.fn === deltaEOK ? limit : Math.max(limit * 10, 200);
+        candidates = options.index.nearest(
+            { x: target.l, y: target.a, z: target.oklab_b },
+            shortlist,
+            filter ? (i) => filter(data[i], i) : null
+        ).map(item => item.index);
+    } else {
+        candidates = [];
+        for (let i = 0; i < data.length; i++) {
+            if (!filter || filter(data[i], i)) candidates.push(i);
+        }
+    }
+
+    const results = candidates.map(i => ({ color: data[i], index: i, distance: metric.fn(target, data[i]) }));
+
+    results.sort((a, b) => a.distance - b.distance);
+    return results.slice(0, limit);
+}
+
+/**
+ * builds a colour object from OKLCh, reducing chroma at constant lightness and hue until it fits in sRGB
+ * @param {number} l - Oklab lightness [0..1]
+ * @param {number} c - chroma
+ * @param {number} h - hue in degrees
+ * @param {string} name - name for the colour object
+ * @returns {Object} colour object shaped like the dataset entries (see parseColor)
+ */
+export function oklchToColor(l, c, h, name = '') {
+    const L = Math.min(1, Math.max(0, l));
+    const rad = h * Math.PI / 180;
+    const toLinear = (chroma) => oklabToLinearRgb(L, chroma * Math.cos(rad), chroma * Math.sin(rad));
+    const inGamut = (rgb) => [rgb.r, rgb.g, rgb.b].every(v => v >= -1e-4 && v <= 1 + 1e-4);
+
+    let rgb = toLinear(c);
+    if (!inGamut(rgb)) {
+        let lo = 0;
+        let hi = c;
+        for (let i = 0; i < 20; i++) {
+            const mid = (lo + hi) / 2;
+            if (inGamut(toLinear(mid))) lo = mid;
+            else hi = mid;
+        }
+        rgb = toLinear(lo);
+    }
+
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return _colorFromLinear(name, clamp(rgb.r), clamp(rgb.g), clamp(rgb.b));
+}
+
+/**
+ * colour harmony schemes, computed in OKLCh. hue schemes rotate the base hue by each offset in degrees,
+ * lightness schemes keep hue and chroma and step lightness. `closed` joins the last member back to the first
+ */
+export const harmonySchemes = {
+    complementary: { name: 'Complementary', hues: [0, 180], closed: false },
+    splitComplementary: { name: 'Split complementary', hues: [0, 150, 210], closed: true },
+    triadic: { name: 'Triadic', hues: [0, 120, 240], closed: true },
+    tetradic: { name: 'Tetradic', hues: [0, 90, 180, 270], closed: true },
+    analogous: { name: 'Analogous', hues: [-30, 0, 30], closed: false },
+    monochromatic: { name: 'Monochromatic', lightness: [-0.24, -0.12, 0, 0.12, 0.24], closed: false }
+};
+
+/**
+ * generates the members of a colour harmony around a base colour. generated colours are gamut mapped
+ * to sRGB by reducing chroma, so they may be less saturated than the base
+ * @param {Object} base - colour object with Oklab and OKLCh values
+ * @param {string} scheme - key of harmonySchemes
+ * @returns {Array<Object>} generated colour objects, named after their offset from the base
+ */
+export function generateHarmony(base, scheme) {
+    const spec = harmonySchemes[scheme];
+    if (!spec || !base) return [];
+
+    if (spec.lightness) {
+        // shift the ramp so it stays inside a usable lightness range
+        const lo = 0.15;
+        const hi = 0.95;
+        const min = base.l + spec.lightness[0];
+        const max = base.l + spec.lightness[spec.lightness.length - 1];
+        const shift = min < lo ? lo - min : (max > hi ? hi - max : 0);
+
+        return spec.lightness.map(step => {
+            const l = base.l + step + shift;
+            return oklchToColor(l, base.oklch_c, base.oklch_h, `L ${l.toFixed(2)}`);
+        });
+    }
+
+    return spec.hues.map(offset => {
+        const h = ((base.oklch_h + offset) % 360 + 360) % 360;
+        const label = offset === 0 ? 'Base' : `${offset > 0 ? '+' : '−'}${Math.abs(offset)}°`;
+        return oklchToColor(base.l, base.oklch_c, h, label);
+    });
+}
+
+/**
+ * RGB gamuts that can be drawn as hulls. `toLinearSrgb` converts linear values in the gamut's own
+ * primaries to linear sRGB (both D65, row major), null for sRGB itself
+ */
+export const rgbGamuts = {
+    srgb: { name: 'sRGB', toLinearSrgb: null },
+    p3: {
+        name: 'Display P3',
+        toLinearSrgb: [
+            1.2249401, -0.2249404, 0.0000000,
+            -0.0420569, 1.0420571, 0.0000000,
+            -0.0196376, -0.0786361, 1.0982735
+        ]
+    },
+    rec2020: {
+        name: 'Rec. 2020',
+        toLinearSrgb: [
+            1.6604910, -0.5876411, -0.0728499,
+            -0.1245505, 1.1328999, -0.0083494,
+            -0.0181508, -0.1005789, 1.1187297
+        ]
+    }
+};
+
+/**
+ * builds a colour object from linear RGB in one of rgbGamuts without clamping to sRGB, so colours
+ * outside sRGB still land in the right place. r, g and b are extended sRGB and may leave [0..255],
+ * only hex is clamped
+ * @param {string} gamut - key of rgbGamuts
+ * @param {number} R - linear red in the gamut's primaries [0..1]
+ * @param {number} G - linear green in the gamut's primaries [0..1]
+ * @param {number} B - linear blue in the gamut's primaries [0..1]
+ * @returns {Object} colour object shaped like the dataset entries
+ */
+export function linearGamutToColor(gamut, R, G, B) {
+    const m = rgbGamuts[gamut] ? rgbGamuts[gamut].toLinearSrgb : null;
+    const sr = m ? m[0] * R + m[1] * G + m[2] * B : R;
+    const sg = m ? m[3] * R + m[4] * G + m[5] * B : G;
+    const sb = m ? m[6] * R + m[7] * G + m[8] * B : B;
+
+    // sign preserving sRGB transfer, as used by extended sRGB
+    const encode = (v) => {
+        const a = Math.abs(v);
+        const c = a <= 0.0031308 ? a * 12.92 : 1.055 * Math.pow(a, 1 / 2.4) - 0.055;
+        return Math.sign(v) * c * 255;
+    };
+
+    const oklab = linearRgbToOklab(sr, sg, sb);
+    const lab = linearRgbToCielab(sr, sg, sb);
+    const r = encode(sr);
+    const g = encode(sg);
+    const b = encode(sb);
+
+    return addCylindricalValues({
+        name: '',
+        hex: rgbToHex(r, g, b),
+        l: oklab.l,
+        a: oklab.a,
+        oklab_b: oklab.b,
+        r: r,
+        g: g,
+        b: b,
+        cielab_l: lab.l,
+        cielab_a: lab.a,
+        cielab_b: lab.b,
+        flag: true
+    });
+}
+
+/**
+ * colour vision deficiency simulations. matrices act on linear sRGB and are the full strength (severity 1.0)
+ * dichromacy matrices from Machado, Oliveira & Fernandes (2009); achromatopsia keeps only luminance.
+ * weaker severities are interpolated towards the identity
+ */
+export const cvdTypes = {
+    none: { name: 'None', matrix: null },
+    protan: {
+        name: 'Protanopia',
+        matrix: [
+            0.152286, 1.052583, -0.204868,
+            0.114503, 0.786281, 0.099216,
+            -0.003882, -0.048116, 1.051998
+        ]
+    },
+    deutan: {
+        name: 'Deuteranopia',
+        matrix: [
+            0.367322, 0.860646, -0.227968,
+            0.280085, 0.672501, 0.047413,
+            -0.011820, 0.042940, 0.968881
+        ]
+    },
+    tritan: {
+        name: 'Tritanopia',
+        matrix: [
+            1.255528, -0.076749, -0.178779,
+            -0.078411, 0.930809, 0.147602,
+            0.004733, 0.691367, 0.303900
+        ]
+    },
+    achromat: {
+        name: 'Achromatopsia',
+        matrix: [
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722,
+            0.2126, 0.7152, 0.0722
+        ]
+    }
+};
+
+/**
+ * simulates how an sRGB colour appears with a colour vision deficiency
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @param {string} type - key of cvdTypes
+ * @param {number} severity - 0 (normal vision) to 1 (full dichromacy)
+ * @returns {{r:number,g:number,b:number}} simulated sRGB (0-255)
+ */
+export function simulateCvd(r, g, b, type, severity = 1) {
+    const linear = _simulateCvdLinear(r, g, b, type, severity);
+    return {
+        r: _linearToSrgb(linear[0]),
+        g: _linearToSrgb(linear[1]),
+        b: _linearToSrgb(linear[2])
+    };
+}
+
+/**
+ * simulates a colour vision deficiency on a hex colour
+ * @param {string} hex - colour hex
+ * @param {string} type - key of cvdTypes
+ * @param {number} severity - 0 (normal vision) to 1 (full dichromacy)
+ * @returns {string} simulated colour hex
+ */
+export function simulateCvdHex(hex, type, severity = 1) {
+    const { r, g, b } = hexToRgb(hex);
+    const sim = simulateCvd(r, g, b, type, severity);
+    return rgbToHex(sim.r, sim.g, sim.b);
+}
+
+/**
+ * simulates a colour vision deficiency on a colour object, e.g. to position it where it is perceived
+ * @param {Object} color - colour object with r, g, b
+ * @param {string} type - key of cvdTypes
+ * @param {number} severity - 0 (normal vision) to 1 (full dichromacy)
+ * @returns {Object} new colour object with the same name and flag
+ */
+export function simulateCvdColor(color, type, severity = 1) {
+    const linear = _simulateCvdLinear(color.r, color.g, color.b, type, severity);
+    const simulated = _colorFromLinear(color.name, linear[0], linear[1], linear[2]);
+    simulated.flag = color.flag;
+    return simulated;
+}
+
+function _simulateCvdLinear(r, g, b, type, severity) {
+    const R = _srgbToLinear(r);
+    const G = _srgbToLinear(g);
+    const B = _srgbToLinear(b);
+
+    const spec = cvdTypes[type];
+    if (!spec || !spec.matrix || severity <= 0) return [R, G, B];
+
+    const m = spec.matrix;
+    const t = Math.min(1, severity);
+    const out = [
+        m[0] * R + m[1] * G + m[2] * B,
+        m[3] * R + m[4] * G + m[5] * B,
+        m[6] * R + m[7] * G + m[8] * B
+    ];
+
+    return [
+        Math.min(1, Math.max(0, R + (out[0] - R) * t)),
+        Math.min(1, Math.max(0, G + (out[1] - G) * t)),
+        Math.min(1, Math.max(0, B + (out[2] - B) * t))
+    ];
+}
+
+/**
+ * WCAG 2.x relative luminance of an sRGB colour
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {number} luminance [0..1]
+ */
+export function relativeLuminance(r, g, b) {
+    return 0.2126 * _srgbToLinear(r) + 0.7152 * _srgbToLinear(g) + 0.0722 * _srgbToLinear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colours, independent of which is text
+ * @param {{r:number,g:number,b:number}} c1 - first colour (0-255 channels)
+ * @param {{r:number,g:number,b:number}} c2 - second colour (0-255 channels)
+ * @returns {number} ratio from 1 to 21
+ */
+export function wcagContrast(c1, c2) {
+    const l1 = relativeLuminance(c1.r, c1.g, c1.b);
+    const l2 = relativeLuminance(c2.r, c2.g, c2.b);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * WCAG 2.x success criteria met by a contrast ratio
+ * @param {number} ratio - contrast ratio
+ * @returns {{aa:boolean,aaLarge:boolean,aaa:boolean,aaaLarge:boolean}} pass/fail for normal and large text
+ */
+export function wcagLevels(ratio) {
+    return {
+        aa: ratio >= 4.5,
+        aaLarge: ratio >= 3,
+        aaa: ratio >= 7,
+        aaaLarge: ratio >= 4.5
+    };
+}
+
+/**
+ * APCA screen luminance (Y) of an sRGB colour, before the soft black clamp
+ * @param {number} r - red (0-255)
+ * @param {number} g - green (0-255)
+ * @param {number} b - blue (0-255)
+ * @returns {number} luminance [0..1]
+ */
+export function apcaLuminance(r, g, b) {
+    const channel = (v) => Math.pow(Math.min(255, Math.max(0, v)) / 255, 2.4);
+    return 0.2126729 * channel(r) + 0.7151522 * channel(g) + 0.0721750 * channel(b);
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background, following APCA-W3 0.0.98G-4g.
+ * positive for dark text on a light background, negative for light text on a dark one
+ * @param {number} textY - text luminance from apcaLuminance
+ * @param {number} backgroundY - background luminance from apcaLuminance
+ * @returns {number} Lc, roughly -108..106
+ */
+export function apcaContrast(textY, backgroundY) {
+    const blackThreshold = 0.022;
+    const blackClamp = 1.414;
+    const clamp = (y) => y > blackThreshold ? y : y + Math.pow(blackThreshold - y, blackClamp);
+
+    const txt = clamp(textY);
+    const bg = clamp(backgroundY);
+    if (Math.abs(bg - txt) < 0.0005) return 0;
+
+    let sapc;
+    if (bg > txt) {
+        sapc = (Math.pow(bg, 0.56) - Math.pow(txt, 0.57)) * 1.14;
+        return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+
+    sapc = (Math.pow(bg, 0.65) - Math.pow(txt, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}